@@ -0,0 +1,73 @@
+import type { DiscordMessage } from './types/index.js';
+
+// Max length of the first line shown as message content when the full text is attached
+const SUMMARY_LINE_LENGTH = 200;
+
+// Events whose text is process output, these are attached as .log files
+const LOG_EVENTS = new Set(['log', 'error']);
+
+const FENCE = '```';
+
+/**
+ * Removes the code block fences added by `format()` from the start and end of a text.
+ *
+ * @param text - Possibly formatted text
+ * @returns Text without surrounding code fences
+ */
+export function stripCodeFences(text: string): string {
+	if (text.startsWith(FENCE) && text.endsWith(FENCE) && text.length >= FENCE.length * 2) {
+		return text.substring(FENCE.length, text.length - FENCE.length);
+	}
+	return text;
+}
+
+/**
+ * Creates a file name for an attached message from its process name and event.
+ * Log output is attached as a `.log` file, everything else as `.txt`.
+ *
+ * @param message - Message that will be attached
+ * @returns Safe file name
+ * @example
+ * getAttachmentFilename({ name: 'api[2]', event: 'error', ... })     // => "api-2-error.log"
+ * getAttachmentFilename({ name: 'api', event: 'exception', ... })    // => "api-exception.txt"
+ */
+export function getAttachmentFilename(message: DiscordMessage): string {
+	const base = `${message.name}-${message.event}`
+		.toLowerCase()
+		.replace(/[^a-z0-9_-]+/g, '-')
+		.replace(/-{2,}/g, '-')
+		.replace(/^-+|-+$/g, '') || 'message';
+	const extension = LOG_EVENTS.has(message.event) ? 'log' : 'txt';
+	return `${base}.${extension}`;
+}
+
+/**
+ * Turns a long message into a message with a short summary as description
+ * and the full text as a file attachment.
+ * The summary is the first non-empty line of the text, which is wrapped in
+ * a code block again if the original text was formatted.
+ *
+ * @param message - Message whose description is too long
+ * @returns New message with summary description and attachment
+ */
+export function toAttachmentMessage(message: DiscordMessage): DiscordMessage {
+	const description = message.description ?? '';
+	const isFormatted = description.startsWith(FENCE);
+	const fullText = stripCodeFences(description);
+	const filename = getAttachmentFilename(message);
+
+	let firstLine = fullText.split('\n').find(line => line.trim().length > 0)?.trim() ?? '';
+	if (firstLine.length > SUMMARY_LINE_LENGTH) {
+		firstLine = firstLine.substring(0, SUMMARY_LINE_LENGTH - 3) + '...';
+	}
+	const summaryLine = isFormatted && firstLine ? FENCE + firstLine + FENCE : firstLine;
+
+	return {
+		...message,
+		description: `${summaryLine}\n(full message attached as ${filename}, ${fullText.length} characters)`,
+		attachment: {
+			filename,
+			content: fullText,
+		},
+	};
+}
@@ -0,0 +1,52 @@
+import type { Stats } from 'fs';
+import { unwatchFile, watchFile } from 'fs';
+import { getModuleConfPath, readModuleConf, resolveConfig } from './config.mjs';
+import { debug, log } from './logging.mjs';
+import type { Config } from './types/index.js';
+
+// How often module_conf.json is checked for changes
+const CONFIG_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Watches PM2's module_conf.json and calls `onChange` with the new config
+ * whenever the settings of this module change, e.g. after `pm2 set pm2-discord:discord_url ...`.
+ * Changes to the settings of other modules are ignored.
+ * The file is polled, so watching works even when PM2 replaces the file instead of writing to it.
+ *
+ * @param onChange - Called with the complete, resolved config
+ * @param filePath - Path of module_conf.json
+ * @param intervalMs - Polling interval in milliseconds
+ * @returns Function that stops watching
+ */
+export function watchConfig(
+  onChange: (config: Config) => void,
+  filePath: string = getModuleConfPath(),
+  intervalMs: number = CONFIG_POLL_INTERVAL_MS
+): () => void {
+  let lastSettings = JSON.stringify(readModuleConf(filePath));
+
+  const listener = (current: Stats, previous: Stats) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    const settings = readModuleConf(filePath);
+    if (settings === null) {
+      return;
+    }
+
+    const serialized = JSON.stringify(settings);
+    if (serialized === lastSettings) {
+      debug('module_conf.json changed, but not the settings of this module');
+      return;
+    }
+    lastSettings = serialized;
+
+    log('log', 'Module settings changed, applying the new config.');
+    onChange(resolveConfig(settings));
+  };
+
+  // not persistent, so watching doesn't keep the process alive on shutdown
+  watchFile(filePath, { interval: intervalMs, persistent: false }, listener);
+  return () => unwatchFile(filePath, listener);
+}
@@ -1,5 +1,10 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
 import { debug, log } from './logging.mjs';
-import type { Config } from './types/index.js';
+import { getPm2Home } from './paths.mjs';
+import { findUnknownPlaceholders, TEMPLATE_PLACEHOLDERS } from './templates.mjs';
+import { TIME_OF_DAY_REGEX, WEEKDAYS } from './time-utils.mjs';
+import type { BufferGroupBy, Config, LongMessageMode, MaintenanceWindow, MessagePriority, OverflowPolicy } from './types/index.js';
 
 // Configuration limits - buffer and queue bounds
 const MIN_BUFFER_SECONDS = 1;
@@ -7,6 +12,39 @@ const MAX_BUFFER_SECONDS = 5;
 const MIN_QUEUE_MAX = 10;
 const MAX_QUEUE_MAX = 100;
 
+const MIN_DEDUPE_WINDOW_SECONDS = 5;
+const MAX_DEDUPE_WINDOW_SECONDS = 3600;
+const MIN_FLOOD_THRESHOLD = 30;
+const MAX_FLOOD_THRESHOLD = 100000;
+const MIN_FLOOD_SUMMARY_SECONDS = 10;
+const MAX_FLOOD_SUMMARY_SECONDS = 3600;
+const MIN_CRASH_LOOP_RESTARTS = 2;
+const MAX_CRASH_LOOP_RESTARTS = 100;
+const MIN_CRASH_LOOP_MINUTES = 1;
+const MAX_CRASH_LOOP_MINUTES = 1440;
+const MIN_RESOURCE_SUSTAIN_SECONDS = 0;
+const MAX_RESOURCE_SUSTAIN_SECONDS = 3600;
+const MIN_RESOURCE_POLL_SECONDS = 5;
+const MAX_RESOURCE_POLL_SECONDS = 3600;
+const MIN_DIGEST_INTERVAL_MINUTES = 5;
+const MAX_DIGEST_INTERVAL_MINUTES = 10080;
+const MIN_SPOOL_MAX_MB = 1;
+const MAX_SPOOL_MAX_MB = 1024;
+const MIN_ATTACHMENT_THRESHOLD = 100;
+const MAX_ATTACHMENT_THRESHOLD = 4096;
+
+const LONG_MESSAGE_MODES: LongMessageMode[] = ['truncate', 'split', 'attach'];
+const BUFFER_GROUP_BY_MODES: BufferGroupBy[] = ['process_event', 'process', 'event', 'none'];
+const PRIORITIES: MessagePriority[] = ['critical', 'normal', 'bulk'];
+const MIN_PRIORITY_MAX_WAIT_SECONDS = 10;
+const MAX_PRIORITY_MAX_WAIT_SECONDS = 3600;
+const MIN_MAX_QUEUED_MESSAGES = 100;
+const MAX_MAX_QUEUED_MESSAGES = 100000;
+const OVERFLOW_POLICIES: OverflowPolicy[] = ['drop_oldest', 'drop_newest', 'drop_lowest_priority'];
+
+// Name of the module as registered in PM2, used as key for its settings
+const MODULE_NAME = 'pm2-discord';
+
 export const defaultConfig: Config = {
   "log": true,
   "error": false,
@@ -19,20 +57,157 @@ export const defaultConfig: Config = {
   "exit": false,
   "start": false,
   "online": false,
+  "crash loop": true,
+  "crash_loop_restarts": 5,
+  "crash_loop_window_minutes": 10,
+  "crash_loop_stable_minutes": 10,
   "process_name": null,
+  "exclude_process_name": null,
+  "namespace": null,
+  "include_patterns": null,
+  "exclude_patterns": null,
+  "json_logs": false,
+  "min_level": null,
+  "group_stack_traces": false,
+  "process_info": false,
+  "memory_threshold_mb": null,
+  "cpu_threshold": null,
+  "resource_sustain_seconds": 60,
+  "resource_poll_seconds": 15,
+  "digest_interval_minutes": null,
+  "digest_time": null,
+  "digest_timezone": null,
+  "maintenance_windows": null,
+  "maintenance_timezone": null,
+  "maintenance_events": ["restart", "stop", "start", "online", "exit", "delete"],
+  "maintenance_allow_exceptions": true,
+  "redact": false,
+  "redact_detectors": null,
+  "redact_rules": null,
+  "templates": null,
+  "dedupe": false,
+  "dedupe_window_seconds": 60,
+  "flood_protection": false,
+  "flood_threshold": 120,
+  "flood_summary_seconds": 60,
   "discord_url": null,
   "buffer": true,
   "buffer_seconds": 1,
+  "buffer_group_by": "process_event",
   "queue_max": 100,
   "rate_limit_messages": 30,
   "rate_limit_window_seconds": 60,
-  "format": true
+  "format": true,
+  "embeds": false,
+  "long_messages": "truncate",
+  "attachment_threshold": 2000,
+  "priorities": null,
+  "priority_max_wait_seconds": 120,
+  "max_queued_messages": 1000,
+  "overflow_policy": "drop_lowest_priority",
+  "webhooks": null,
+  "routes": null,
+  "spool": false,
+  "spool_max_mb": 10,
+  "dead_letter": false,
+  "data_dir": null
 }
 
 function clamp(num: number, min: number, max: number): number {
   return Math.min(Math.max(num, min), max);
 }
 
+/**
+ * Returns null for unset string options, which `pm2 set` may store as "" or "null"
+ */
+function toOptionalString(value: unknown): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed === '' || trimmed === 'null' ? null : trimmed;
+}
+
+/**
+ * Keeps the maintenance windows that have a valid start, end and days, warning about the others
+ */
+function toMaintenanceWindows(value: unknown): MaintenanceWindow[] | null {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const list = Array.isArray(value) ? value : [value];
+  const windows = list.filter((window): window is MaintenanceWindow => {
+    const valid = typeof window === 'object' && window !== null &&
+      typeof window.start === 'string' && TIME_OF_DAY_REGEX.test(window.start) &&
+      typeof window.end === 'string' && TIME_OF_DAY_REGEX.test(window.end) &&
+      (window.days === undefined || (Array.isArray(window.days) &&
+        window.days.every((day: unknown) => typeof day === 'string' && WEEKDAYS.includes(day.toLowerCase().substring(0, 3)))));
+    if (!valid) {
+      log('warn', `Invalid maintenance window ${JSON.stringify(window)}, must be like {"days": ["sat"], "start": "22:00", "end": "06:00"}. Ignoring it.`);
+    }
+    return valid;
+  });
+  return windows.length > 0 ? windows : null;
+}
+
+/**
+ * Keeps the templates that are strings with known placeholders, logging an error for the others
+ */
+function toTemplates(value: unknown): Record<string, string> | null {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    log('error', 'Ignoring templates: expected an object of templates by event type, like {"restart": "{name} restarted"}.');
+    return null;
+  }
+  const templates: Record<string, string> = {};
+  for (const [event, template] of Object.entries(value)) {
+    if (typeof template !== 'string') {
+      log('error', `Ignoring template for "${event}": ${JSON.stringify(template)} is not a string.`);
+      continue;
+    }
+    const unknown = findUnknownPlaceholders(template);
+    if (unknown.length > 0) {
+      log('error', `Ignoring template for "${event}": unknown placeholder${unknown.length === 1 ? '' : 's'} ${unknown.map(p => `{${p}}`).join(', ')}. Available placeholders: ${TEMPLATE_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}.`);
+      continue;
+    }
+    templates[event] = template;
+  }
+  return Object.keys(templates).length > 0 ? templates : null;
+}
+
+/**
+ * Keeps the priorities that are one of `PRIORITIES`, warning about the others
+ */
+function toPriorities(value: unknown): Record<string, MessagePriority> | null {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    log('warn', 'Ignoring priorities: expected an object of priorities by event type, like {"error": "critical"}.');
+    return null;
+  }
+  const priorities: Record<string, MessagePriority> = {};
+  for (const [event, priority] of Object.entries(value)) {
+    if (!PRIORITIES.includes(priority as MessagePriority)) {
+      log('warn', `Ignoring priority ${JSON.stringify(priority)} for "${event}", must be one of: ${PRIORITIES.join(', ')}.`);
+      continue;
+    }
+    priorities[event] = priority as MessagePriority;
+  }
+  return Object.keys(priorities).length > 0 ? priorities : null;
+}
+
+function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * Convert string values to correct types
  * PM2 passes config as stringified JSON, so values like "true", "1" need conversion
@@ -41,12 +216,24 @@ export function convertConfigValue(key: string, value: unknown): unknown {
   // boolean keys - these should always be booleans
   const booleanKeys = new Set<string>([
     'log', 'error', 'kill', 'exception', 'restart', 'delete', 'stop',
-    'restart overlimit', 'exit', 'start', 'online', 'buffer', 'format'
+    'restart overlimit', 'exit', 'start', 'online', 'crash loop', 'buffer', 'format', 'embeds',
+    'spool', 'dead_letter', 'json_logs', 'dedupe',
+    'flood_protection', 'group_stack_traces', 'process_info', 'maintenance_allow_exceptions', 'redact'
   ]);
 
   // Numeric keys - these should always be numbers
   const numericKeys = new Set<string>([
-    'buffer_seconds', 'queue_max', 'rate_limit_messages', 'rate_limit_window_seconds'
+    'buffer_seconds', 'queue_max', 'rate_limit_messages', 'rate_limit_window_seconds',
+    'attachment_threshold', 'spool_max_mb', 'dedupe_window_seconds',
+    'flood_threshold', 'flood_summary_seconds',
+    'crash_loop_restarts', 'crash_loop_window_minutes', 'crash_loop_stable_minutes',
+    'resource_sustain_seconds', 'resource_poll_seconds', 'priority_max_wait_seconds',
+    'max_queued_messages'
+  ]);
+
+  // JSON keys - structured values that `pm2 set` passes as JSON strings
+  const jsonKeys = new Set<string>([
+    'webhooks', 'routes', 'maintenance_windows', 'redact_rules', 'templates', 'priorities'
   ]);
 
   if (booleanKeys.has(key)) {
@@ -67,13 +254,86 @@ export function convertConfigValue(key: string, value: unknown): unknown {
     return undefined;
   }
 
-  // remaining key is `process_name` which can be string, string[], or null/undefined
-  // and can be returned as-is
+  // Name list keys - a single name, or a list that `pm2 set` passes as a JSON string
+  const nameListKeys = new Set<string>([
+    'process_name', 'exclude_process_name', 'namespace', 'maintenance_events', 'redact_detectors'
+  ]);
+
+  if (nameListKeys.has(key)) {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (!trimmed || trimmed === 'null') return null;
+    if (trimmed.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) return parsed.map(String);
+      } catch (e) {
+        log('error', `Invalid JSON list for "${key}", using it as a single name:`, value);
+      }
+    }
+    return value;
+  }
+
+  // JSON lists or objects, or a single value that isn't JSON
+  const jsonOrStringKeys = new Set<string>([
+    'include_patterns', 'exclude_patterns', 'min_level', 'memory_threshold_mb', 'cpu_threshold',
+    'digest_interval_minutes'
+  ]);
+
+  if (jsonOrStringKeys.has(key)) {
+    if (typeof value !== 'string') return value;
+    if (!value.trim()) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  if (jsonKeys.has(key)) {
+    if (typeof value !== 'string') return value;
+    if (!value.trim()) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      log('error', `Invalid JSON for "${key}", ignoring it:`, value);
+      return undefined;
+    }
+  }
+
+  // remaining keys are strings and can be returned as-is
   return value;
 }
 
 let cachedConfig: Config | null = null;
 
+/**
+ * Returns the path of the file where `pm2 set` stores module settings
+ *
+ * @returns `<PM2_HOME>/module_conf.json`
+ */
+export function getModuleConfPath(): string {
+  return join(getPm2Home(), 'module_conf.json');
+}
+
+/**
+ * Reads this module's settings from PM2's module_conf.json,
+ * which `pm2 set pm2-discord:<key> <value>` writes to.
+ *
+ * @param filePath - Path of module_conf.json
+ * @returns Raw settings, or null if the file can't be read
+ */
+export function readModuleConf(filePath: string = getModuleConfPath()): Record<string, unknown> | null {
+  try {
+    const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+    const moduleConf = parsed?.[MODULE_NAME];
+    return typeof moduleConf === 'object' && moduleConf !== null ? moduleConf : {};
+  } catch (e) {
+    debug(`Could not read module config from ${filePath}:`, e);
+    return null;
+  }
+}
+
 export function loadConfig(refresh: boolean = false): Config {
   if (cachedConfig && !refresh) {
     return cachedConfig;
@@ -81,8 +341,8 @@ export function loadConfig(refresh: boolean = false): Config {
 
   // Read config directly from environment (PM2 sets this for modules)
   const rawConfig: Record<string, unknown> = {};
-  const configFromEnv = process.env['pm2-discord'];
-  debug(`process.env['pm2-discord'] = ${configFromEnv}`)
+  const configFromEnv = process.env[MODULE_NAME];
+  debug(`process.env['${MODULE_NAME}'] = ${configFromEnv}`)
   try {
     if (configFromEnv) {
       const parsed = JSON.parse(configFromEnv);
@@ -94,6 +354,18 @@ export function loadConfig(refresh: boolean = false): Config {
     log('error', 'Error parsing module config from env:', e);
   }
 
+  cachedConfig = resolveConfig(rawConfig);
+  return cachedConfig;
+}
+
+/**
+ * Turns raw module settings, as PM2 passes them, into a complete config:
+ * values are converted to their types, merged with the defaults and clamped.
+ *
+ * @param rawConfig - Settings by key, values may be strings
+ * @returns Final config
+ */
+export function resolveConfig(rawConfig: Record<string, unknown>): Config {
   // Convert values to correct types based on key
   const moduleConfig: Partial<Config> = {};
   for (const key in rawConfig) {
@@ -114,7 +386,102 @@ export function loadConfig(refresh: boolean = false): Config {
   // queue max can be between MIN_QUEUE_MAX and MAX_QUEUE_MAX, inclusive
   finalConfig.queue_max = clamp(finalConfig.queue_max, MIN_QUEUE_MAX, MAX_QUEUE_MAX);
 
+  // attachment threshold can be between MIN_ATTACHMENT_THRESHOLD and MAX_ATTACHMENT_THRESHOLD, inclusive
+  finalConfig.attachment_threshold = clamp(finalConfig.attachment_threshold, MIN_ATTACHMENT_THRESHOLD, MAX_ATTACHMENT_THRESHOLD);
+
+  // spool max size can be between MIN_SPOOL_MAX_MB and MAX_SPOOL_MAX_MB, inclusive
+  finalConfig.spool_max_mb = clamp(finalConfig.spool_max_mb, MIN_SPOOL_MAX_MB, MAX_SPOOL_MAX_MB);
+
+  // dedupe window can be between MIN_DEDUPE_WINDOW_SECONDS and MAX_DEDUPE_WINDOW_SECONDS, inclusive
+  finalConfig.dedupe_window_seconds = clamp(finalConfig.dedupe_window_seconds, MIN_DEDUPE_WINDOW_SECONDS, MAX_DEDUPE_WINDOW_SECONDS);
+
+  // flood threshold can be between MIN_FLOOD_THRESHOLD and MAX_FLOOD_THRESHOLD, inclusive
+  finalConfig.flood_threshold = clamp(finalConfig.flood_threshold, MIN_FLOOD_THRESHOLD, MAX_FLOOD_THRESHOLD);
+
+  // flood summary interval can be between MIN_FLOOD_SUMMARY_SECONDS and MAX_FLOOD_SUMMARY_SECONDS, inclusive
+  finalConfig.flood_summary_seconds = clamp(finalConfig.flood_summary_seconds, MIN_FLOOD_SUMMARY_SECONDS, MAX_FLOOD_SUMMARY_SECONDS);
+
+  // crash loop restarts can be between MIN_CRASH_LOOP_RESTARTS and MAX_CRASH_LOOP_RESTARTS, inclusive
+  finalConfig.crash_loop_restarts = clamp(finalConfig.crash_loop_restarts, MIN_CRASH_LOOP_RESTARTS, MAX_CRASH_LOOP_RESTARTS);
+
+  // crash loop window and stable time can be between MIN_CRASH_LOOP_MINUTES and MAX_CRASH_LOOP_MINUTES, inclusive
+  finalConfig.crash_loop_window_minutes = clamp(finalConfig.crash_loop_window_minutes, MIN_CRASH_LOOP_MINUTES, MAX_CRASH_LOOP_MINUTES);
+  finalConfig.crash_loop_stable_minutes = clamp(finalConfig.crash_loop_stable_minutes, MIN_CRASH_LOOP_MINUTES, MAX_CRASH_LOOP_MINUTES);
+
+  // resource sustain time can be between MIN_RESOURCE_SUSTAIN_SECONDS and MAX_RESOURCE_SUSTAIN_SECONDS, inclusive
+  finalConfig.resource_sustain_seconds = clamp(finalConfig.resource_sustain_seconds, MIN_RESOURCE_SUSTAIN_SECONDS, MAX_RESOURCE_SUSTAIN_SECONDS);
+
+  // resource poll interval can be between MIN_RESOURCE_POLL_SECONDS and MAX_RESOURCE_POLL_SECONDS, inclusive
+  finalConfig.resource_poll_seconds = clamp(finalConfig.resource_poll_seconds, MIN_RESOURCE_POLL_SECONDS, MAX_RESOURCE_POLL_SECONDS);
+
+  // digest interval can be between MIN_DIGEST_INTERVAL_MINUTES and MAX_DIGEST_INTERVAL_MINUTES, inclusive
+  if (typeof finalConfig.digest_interval_minutes === 'number') {
+    finalConfig.digest_interval_minutes = clamp(finalConfig.digest_interval_minutes, MIN_DIGEST_INTERVAL_MINUTES, MAX_DIGEST_INTERVAL_MINUTES);
+  } else if (finalConfig.digest_interval_minutes !== null) {
+    log('warn', `Invalid digest_interval_minutes value "${finalConfig.digest_interval_minutes}", must be a number of minutes. Not sending digests on an interval.`);
+    finalConfig.digest_interval_minutes = null;
+  }
+
+  finalConfig.digest_time = toOptionalString(finalConfig.digest_time);
+  if (finalConfig.digest_time !== null && !TIME_OF_DAY_REGEX.test(finalConfig.digest_time)) {
+    log('warn', `Invalid digest_time value "${finalConfig.digest_time}", must be a time like "09:00". Not sending daily digests.`);
+    finalConfig.digest_time = null;
+  }
+
+  finalConfig.digest_timezone = toOptionalString(finalConfig.digest_timezone);
+  if (finalConfig.digest_timezone !== null && !isValidTimeZone(finalConfig.digest_timezone)) {
+    log('warn', `Invalid digest_timezone value "${finalConfig.digest_timezone}", must be an IANA time zone like "Europe/Amsterdam". Using the system time zone.`);
+    finalConfig.digest_timezone = null;
+  }
+
+  finalConfig.maintenance_windows = toMaintenanceWindows(finalConfig.maintenance_windows);
+
+  finalConfig.maintenance_timezone = toOptionalString(finalConfig.maintenance_timezone);
+  if (finalConfig.maintenance_timezone !== null && !isValidTimeZone(finalConfig.maintenance_timezone)) {
+    log('warn', `Invalid maintenance_timezone value "${finalConfig.maintenance_timezone}", must be an IANA time zone like "Europe/Amsterdam". Using the system time zone.`);
+    finalConfig.maintenance_timezone = null;
+  }
+
+  // a single event name is a list of one
+  if (typeof finalConfig.maintenance_events === 'string') {
+    finalConfig.maintenance_events = [finalConfig.maintenance_events];
+  } else if (!Array.isArray(finalConfig.maintenance_events)) {
+    finalConfig.maintenance_events = [];
+  }
+
+  if (typeof finalConfig.redact_detectors === 'string') {
+    finalConfig.redact_detectors = [finalConfig.redact_detectors];
+  }
+  // a single rule is a list of one
+  if (finalConfig.redact_rules !== null && !Array.isArray(finalConfig.redact_rules)) {
+    finalConfig.redact_rules = [finalConfig.redact_rules];
+  }
+
+  finalConfig.templates = toTemplates(finalConfig.templates);
+
+  finalConfig.priorities = toPriorities(finalConfig.priorities);
+
+  // priority max wait can be between MIN_PRIORITY_MAX_WAIT_SECONDS and MAX_PRIORITY_MAX_WAIT_SECONDS, inclusive
+  finalConfig.priority_max_wait_seconds = clamp(finalConfig.priority_max_wait_seconds, MIN_PRIORITY_MAX_WAIT_SECONDS, MAX_PRIORITY_MAX_WAIT_SECONDS);
+
+  // max queued messages can be between MIN_MAX_QUEUED_MESSAGES and MAX_MAX_QUEUED_MESSAGES, inclusive
+  finalConfig.max_queued_messages = clamp(finalConfig.max_queued_messages, MIN_MAX_QUEUED_MESSAGES, MAX_MAX_QUEUED_MESSAGES);
+
+  if (!OVERFLOW_POLICIES.includes(finalConfig.overflow_policy)) {
+    log('warn', `Invalid overflow_policy value "${finalConfig.overflow_policy}", must be one of: ${OVERFLOW_POLICIES.join(', ')}. Using "${defaultConfig.overflow_policy}".`);
+    finalConfig.overflow_policy = defaultConfig.overflow_policy;
+  }
+
+  if (!BUFFER_GROUP_BY_MODES.includes(finalConfig.buffer_group_by as BufferGroupBy)) {
+    log('warn', `Invalid buffer_group_by value "${finalConfig.buffer_group_by}", must be one of: ${BUFFER_GROUP_BY_MODES.join(', ')}. Using "${defaultConfig.buffer_group_by}".`);
+    finalConfig.buffer_group_by = defaultConfig.buffer_group_by;
+  }
+
+  if (!LONG_MESSAGE_MODES.includes(finalConfig.long_messages)) {
+    log('warn', `Invalid long_messages value "${finalConfig.long_messages}", must be one of: ${LONG_MESSAGE_MODES.join(', ')}. Using "${defaultConfig.long_messages}".`);
+    finalConfig.long_messages = defaultConfig.long_messages;
+  }
+
   debug('finalConfig after merge and clamp:', finalConfig)
-  cachedConfig = finalConfig;
   return finalConfig;
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { log } from './logging.mjs';
+import { parsePattern } from './pattern-utils.mjs';
+import type { PatternConfig } from './types/index.js';
+
+// Patterns listed under this key apply to every event type
+const ALL_EVENTS = '*';
+
+/**
+ * Compiles the patterns of an `include_patterns` or `exclude_patterns` option per event type.
+ * A single pattern or a list of patterns applies to every event type, an object maps
+ * event types (or `*` for all of them) to patterns.
+ * Invalid patterns are logged and left out.
+ *
+ * @param patterns - Option value
+ * @param optionName - Name of the option, for error messages
+ * @returns Compiled patterns by event type
+ * @example
+ * compilePatterns({ log: ['GET /health'], '*': '/FATAL|panic/' }, 'include_patterns')
+ * // => Map { 'log' => [/GET \/health/], '*' => [/FATAL|panic/] }
+ */
+export function compilePatterns(patterns: PatternConfig, optionName: string): Map<string, RegExp[]> {
+  const compiled: Map<string, RegExp[]> = new Map();
+  if (patterns === null || patterns === undefined) {
+    return compiled;
+  }
+
+  const byEvent = typeof patterns === 'string' || Array.isArray(patterns)
+    ? { [ALL_EVENTS]: patterns }
+    : patterns;
+
+  if (typeof byEvent !== 'object') {
+    log('error', `Ignoring ${optionName}: expected a pattern, a list of patterns or an object of patterns by event type.`);
+    return compiled;
+  }
+
+  for (const [event, eventPatterns] of Object.entries(byEvent)) {
+    const list = Array.isArray(eventPatterns) ? eventPatterns : [eventPatterns];
+    const regexes: RegExp[] = [];
+    for (const pattern of list) {
+      if (typeof pattern !== 'string') {
+        log('error', `Ignoring ${optionName} pattern for "${event}": ${JSON.stringify(pattern)} is not a string.`);
+        continue;
+      }
+      try {
+        regexes.push(parsePattern(pattern));
+      } catch (e) {
+        log('error', `Ignoring invalid ${optionName} pattern for "${event}": ${pattern}`, (e as Error).message);
+      }
+    }
+    if (regexes.length > 0) {
+      compiled.set(event, regexes);
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * Decides which messages are forwarded based on their text.
+ * Messages matching an exclude pattern are dropped, unless they also match
+ * an include pattern: included messages are always forwarded.
+ */
+export class ContentFilter {
+  include: Map<string, RegExp[]>
+  exclude: Map<string, RegExp[]>
+
+  /**
+   * Compiles the patterns once, invalid patterns are reported here.
+   *
+   * @param include - `include_patterns` option
+   * @param exclude - `exclude_patterns` option
+   */
+  constructor(include: PatternConfig, exclude: PatternConfig) {
+    this.include = compilePatterns(include, 'include_patterns');
+    this.exclude = compilePatterns(exclude, 'exclude_patterns');
+  }
+
+  /**
+   * Returns the patterns for an event type, including the ones for all events
+   */
+  static patternsFor(patterns: Map<string, RegExp[]>, event: string): RegExp[] {
+    return [...(patterns.get(ALL_EVENTS) ?? []), ...(patterns.get(event) ?? [])];
+  }
+
+  /**
+   * Checks if a message should be forwarded.
+   *
+   * @param event - Event type, e.g. "log" or "error"
+   * @param text - Unformatted message text
+   * @returns true if the message should be sent to Discord
+   * @example
+   * const filter = new ContentFilter({ log: '/FATAL|panic/' }, { log: 'GET /health' });
+   * filter.shouldForward('log', 'GET /health 200')   // => false
+   * filter.shouldForward('log', 'FATAL GET /health') // => true
+   * filter.shouldForward('log', 'Server started')    // => true
+   */
+  shouldForward(event: string, text: string): boolean {
+    if (ContentFilter.patternsFor(this.include, event).some(regex => regex.test(text))) {
+      return true;
+    }
+    return !ContentFilter.patternsFor(this.exclude, event).some(regex => regex.test(text));
+  }
+}
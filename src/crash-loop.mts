@@ -0,0 +1,180 @@
+import { log } from './logging.mjs';
+import { format, parseProcessName } from './log-utils.mjs';
+import type { Emit, Process } from './types/index.js';
+
+// Event of crash loop alerts and their follow-ups
+export const CRASH_LOOP_EVENT = 'crash loop';
+
+// Process events that count as a crash, unless they were triggered manually
+const CRASH_EVENTS = ['restart', 'exit'];
+// Process events that end the tracking of a process
+const STOP_EVENTS = ['stop', 'delete'];
+// Manual actions that PM2 reports after stopping the process with a regular "exit" event
+const MANUAL_RESTART_EVENTS = ['restart', 'reload', 'graceful reload'];
+// How long a manual restart may take, from the exit of the old process until PM2 reports the action
+const MANUAL_RESTART_MAX_MS = 5 * 60000;
+// Prefix of the pm_id PM2 gives the old worker of a cluster reload before stopping it
+const OLD_WORKER_PREFIX = '_old_';
+
+export interface CrashLoopOptions {
+	/** Number of crashes within the window that count as a crash loop */
+	restarts: number,
+	/** Length of the sliding window, in minutes */
+	windowMinutes: number,
+	/** How long a process has to stay online to count as stabilized, in minutes */
+	stableMinutes: number,
+	/** Wrap messages in a code block, like other messages */
+	format?: boolean
+}
+
+/**
+ * Recent crashes of one process
+ */
+interface CrashHistory {
+	process: Process,
+	/** Epoch milliseconds of the crashes within the window */
+	crashes: number[],
+	/** Epoch milliseconds of the last exit, taken back if it turns out to be a manual restart */
+	lastExitAt: number | null,
+	looping: boolean,
+	stableTimer: NodeJS.Timeout | null
+}
+
+/**
+ * Detects processes that keep crashing and restarting, which PM2 only reports
+ * with `restart overlimit` once `max_restarts` is reached.
+ * A "crash loop" alert is sent when a process crashes `restarts` times within `windowMinutes`,
+ * and a follow-up once it stayed online for `stableMinutes`.
+ */
+export class CrashLoopDetector {
+	options: CrashLoopOptions
+	emit: Emit
+	histories: Map<string, CrashHistory> = new Map()
+
+	/**
+	 * @param options - Thresholds and formatting, can be replaced at any time
+	 * @param emit - Called with the alerts
+	 */
+	constructor(options: CrashLoopOptions, emit: Emit) {
+		this.options = options;
+		this.emit = emit;
+	}
+
+	/**
+	 * Records a PM2 process event.
+	 * PM2 stops a process for `pm2 restart` and `pm2 reload` with the same "exit" event as a crash,
+	 * and only flags the manual action it reports afterwards. That exit is counted at first and taken back
+	 * once the manual action comes in.
+	 *
+	 * @param event - Event name, e.g. "exit" or "online"
+	 * @param process - PM2 process the event is about
+	 * @param manually - Whether the event was triggered by a user, e.g. `pm2 restart`
+	 * @param now - Current time in milliseconds
+	 */
+	record(event: string, process: Process, manually: boolean = false, now: number = Date.now()): void {
+		const key = String(process.pm_id ?? process.name);
+		if (key.startsWith(OLD_WORKER_PREFIX)) {
+			// the old worker of a cluster reload is stopped once the new one is up
+			return;
+		}
+		const history = this.histories.get(key);
+
+		if (manually && MANUAL_RESTART_EVENTS.includes(event)) {
+			if (history) {
+				this.dropManualExit(key, history, now);
+			}
+			return;
+		}
+
+		if (STOP_EVENTS.includes(event)) {
+			// a stopped process is not looping anymore, and will not stabilize either
+			if (history) {
+				this.forget(key, history);
+			}
+			return;
+		}
+
+		if (event === 'online') {
+			if (history?.looping) {
+				this.startStableTimer(key, history);
+			}
+			return;
+		}
+
+		if (!CRASH_EVENTS.includes(event) || manually) {
+			return;
+		}
+
+		const current = history ?? { process, crashes: [], lastExitAt: null, looping: false, stableTimer: null };
+		this.histories.set(key, current);
+		current.process = process;
+
+		const windowStart = now - this.options.windowMinutes * 60000;
+		current.crashes = current.crashes.filter(time => time > windowStart);
+		current.crashes.push(now);
+		if (event === 'exit') {
+			current.lastExitAt = now;
+		}
+
+		// it crashed again, so it did not stabilize
+		if (current.stableTimer) {
+			clearTimeout(current.stableTimer);
+			current.stableTimer = null;
+		}
+
+		if (!current.looping && current.crashes.length >= this.options.restarts) {
+			current.looping = true;
+			log('warn', `${process.name} is in a crash loop: ${current.crashes.length} restarts in ${this.options.windowMinutes} minutes.`);
+			this.emitText(current, `Crash loop: ${process.name} restarted ${current.crashes.length} times in the last ${this.options.windowMinutes} minutes.`);
+		}
+	}
+
+	/**
+	 * Takes back the exit that a manual restart stopped the process with
+	 */
+	dropManualExit(key: string, history: CrashHistory, now: number): void {
+		if (history.lastExitAt === null || now - history.lastExitAt > MANUAL_RESTART_MAX_MS) {
+			return;
+		}
+		const index = history.crashes.lastIndexOf(history.lastExitAt);
+		if (index !== -1) {
+			history.crashes.splice(index, 1);
+		}
+		history.lastExitAt = null;
+		if (history.crashes.length === 0 && !history.looping) {
+			this.forget(key, history);
+		}
+	}
+
+	/**
+	 * Sends the "stabilized" follow-up once the process stayed online long enough
+	 */
+	startStableTimer(key: string, history: CrashHistory): void {
+		if (history.stableTimer) {
+			clearTimeout(history.stableTimer);
+		}
+		history.stableTimer = setTimeout(() => {
+			this.forget(key, history);
+			log('log', `${history.process.name} stabilized after a crash loop.`);
+			this.emitText(history, `Stabilized: ${history.process.name} has been online for ${this.options.stableMinutes} minutes without restarting.`);
+		}, this.options.stableMinutes * 60000);
+		// a pending follow-up should not keep the process alive
+		history.stableTimer.unref();
+	}
+
+	forget(key: string, history: CrashHistory): void {
+		if (history.stableTimer) {
+			clearTimeout(history.stableTimer);
+		}
+		this.histories.delete(key);
+	}
+
+	emitText(history: CrashHistory, text: string): void {
+		this.emit({
+			name: parseProcessName(history.process),
+			event: CRASH_LOOP_EVENT,
+			description: this.options.format ? format(text) : text,
+			timestamp: Math.floor(Date.now() / 1000),
+		}, history.process);
+	}
+}
@@ -0,0 +1,142 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, rmSync } from 'fs';
+import { dirname } from 'path';
+import { debug, log } from './logging.mjs';
+import type { DiscordMessage } from './types/index.js';
+
+/**
+ * One line of the dead-letter file
+ */
+export interface DeadLetterEntry {
+  /** Why the message was given up on, e.g. the last error or "webhook invalid" */
+  reason: string,
+  /** Number of failed attempts to send the message */
+  attempts: number,
+  /** Original timestamp of the message (epoch seconds), if it had one */
+  timestamp: number | null,
+  /** ISO8601 time the message was dead-lettered */
+  failedAt: string,
+  message: DiscordMessage
+}
+
+/**
+ * Returns a copy of a message without the internal bookkeeping fields,
+ * so a replayed message starts over as a brand new message.
+ */
+function withoutInternalFields(message: DiscordMessage): DiscordMessage {
+  const { _retryAttempts, _spoolId, _queuedAt, ...rest } = message;
+  return rest;
+}
+
+/**
+ * Append-only JSONL file for messages that could not be delivered,
+ * either because they failed too many times or because the webhook is invalid.
+ * The messages can be replayed through the queue once the webhook is healthy again.
+ */
+export class DeadLetterStore {
+  filePath: string
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+
+    try {
+      mkdirSync(dirname(filePath), { recursive: true });
+    } catch (e) {
+      log('error', `Could not create dead-letter directory for ${filePath}:`, e);
+    }
+  }
+
+  /**
+   * Writes messages to the dead-letter file.
+   *
+   * @param messages - Messages that were given up on
+   * @param reason - Why they could not be delivered
+   * @param attempts - Number of failed attempts, defaults to the retry count of each message
+   */
+  add(messages: DiscordMessage[], reason: string, attempts?: number): void {
+    const failedAt = new Date().toISOString();
+    const lines = messages.map(message => {
+      const entry: DeadLetterEntry = {
+        reason,
+        attempts: attempts ?? message._retryAttempts ?? 1,
+        timestamp: message.timestamp,
+        failedAt,
+        message: withoutInternalFields(message),
+      };
+      return JSON.stringify(entry) + '\n';
+    });
+
+    try {
+      appendFileSync(this.filePath, lines.join(''));
+      log('warn', `Wrote ${messages.length} undeliverable message(s) to ${this.filePath}: ${reason}`);
+    } catch (e) {
+      log('error', `Could not write to dead-letter file ${this.filePath}:`, e);
+    }
+  }
+
+  /**
+   * Reads all entries from the dead-letter file.
+   *
+   * @returns Dead-lettered messages, oldest first
+   */
+  read(): DeadLetterEntry[] {
+    if (!existsSync(this.filePath)) {
+      return [];
+    }
+
+    const entries: DeadLetterEntry[] = [];
+    try {
+      const lines = readFileSync(this.filePath, 'utf-8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (e) {
+          debug(`Skipping unreadable dead-letter line in ${this.filePath}`);
+        }
+      }
+    } catch (e) {
+      log('error', `Could not read dead-letter file ${this.filePath}:`, e);
+    }
+    return entries;
+  }
+
+  /**
+   * Removes all entries from the dead-letter file and returns their messages,
+   * ready to be queued again.
+   * The file is moved aside before it is read, so messages that fail again
+   * while being replayed end up in a fresh dead-letter file.
+   *
+   * @returns Messages to replay, oldest first
+   */
+  take(): DiscordMessage[] {
+    if (!existsSync(this.filePath)) {
+      return [];
+    }
+
+    const replayPath = `${this.filePath}.replay`;
+    try {
+      renameSync(this.filePath, replayPath);
+    } catch (e) {
+      log('error', `Could not move dead-letter file ${this.filePath} for replay:`, e);
+      return [];
+    }
+
+    const store = new DeadLetterStore(replayPath);
+    const messages = store.read().map(entry => withoutInternalFields(entry.message));
+    store.clear();
+    return messages;
+  }
+
+  /**
+   * Deletes the dead-letter file
+   */
+  clear(): void {
+    try {
+      if (existsSync(this.filePath)) {
+        rmSync(this.filePath);
+      }
+    } catch (e) {
+      log('error', `Could not delete dead-letter file ${this.filePath}:`, e);
+    }
+  }
+}
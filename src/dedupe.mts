@@ -0,0 +1,137 @@
+import { stripCodeFences } from './attachment-utils.mjs';
+import { debug } from './logging.mjs';
+import { format } from './log-utils.mjs';
+import type { DiscordMessage, Emit, Process } from './types/index.js';
+
+/**
+ * Called with every message that is held back
+ */
+export type OnSuppress = (message: DiscordMessage) => void
+
+export interface DeduplicatorOptions {
+	/** How long duplicates of a message are suppressed, in seconds */
+	windowSeconds: number,
+	/** Wrap the "repeated" summary in a code block, like other messages */
+	format?: boolean
+}
+
+/**
+ * Duplicates of a message seen within the window
+ */
+interface DuplicateEntry {
+	message: DiscordMessage,
+	process: Partial<Process> | null,
+	count: number,
+	lastTimestamp: number | null,
+	timer: NodeJS.Timeout
+}
+
+/**
+ * Normalizes message text so messages that only differ in numbers, ids or
+ * whitespace are treated as duplicates.
+ *
+ * @param text - Message text, possibly formatted
+ * @returns Normalized text
+ * @example
+ * normalizeText('Request 1234 failed after 30ms')  // => "request # failed after #ms"
+ * normalizeText('Job 5f2b9c1e-0a4d-4c7e-9f11-2b3c4d5e6f70 failed') // => "job <id> failed"
+ */
+export function normalizeText(text: string): string {
+	return stripCodeFences(text)
+		.toLowerCase()
+		// UUIDs and long hex ids, e.g. request or trace ids
+		.replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/g, '<id>')
+		.replace(/\b(0x)?[0-9a-f]{12,}\b/g, '<id>')
+		// numbers, including times and dates
+		.replace(/\d+([.:,]\d+)*/g, '#')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+/**
+ * Returns the key under which duplicates of a message are counted:
+ * same process, same event and same normalized text.
+ */
+export function getDedupeKey(message: DiscordMessage): string {
+	return `${message.name}\u0000${message.event}\u0000${normalizeText(message.description ?? '')}`;
+}
+
+/**
+ * Collapses identical or near-identical messages within a time window.
+ * The first message is sent right away, further duplicates within the window are counted,
+ * and when the window closes a "last message repeated N times" summary is sent.
+ */
+export class Deduplicator {
+	options: DeduplicatorOptions
+	emit: Emit
+	onSuppress: OnSuppress
+	entries: Map<string, DuplicateEntry> = new Map()
+
+	/**
+	 * @param options - Window length and formatting
+	 * @param emit - Called with every message that should be sent
+	 * @param onSuppress - Called with every duplicate that is not sent
+	 */
+	constructor(options: DeduplicatorOptions, emit: Emit, onSuppress: OnSuppress = () => {}) {
+		this.options = options;
+		this.emit = emit;
+		this.onSuppress = onSuppress;
+	}
+
+	/**
+	 * Sends a message, unless it is a duplicate of a message sent within the window.
+	 *
+	 * @param message - Message to send
+	 * @param process - PM2 process the message originates from, if any
+	 */
+	add(message: DiscordMessage, process: Partial<Process> | null = null): void {
+		const key = getDedupeKey(message);
+		const entry = this.entries.get(key);
+
+		if (entry) {
+			entry.count++;
+			entry.lastTimestamp = message.timestamp;
+			debug(`Suppressed duplicate ${message.event} message from ${message.name} (${entry.count} so far)`);
+			this.onSuppress(message);
+			return;
+		}
+
+		const timer = setTimeout(() => this.closeWindow(key), this.options.windowSeconds * 1000);
+		// pending summaries should not keep the process alive
+		timer.unref();
+		this.entries.set(key, { message, process, count: 0, lastTimestamp: message.timestamp, timer });
+		this.emit(message, process);
+	}
+
+	/**
+	 * Ends the window of a message and sends the summary if duplicates were suppressed
+	 */
+	closeWindow(key: string): void {
+		const entry = this.entries.get(key);
+		if (!entry) {
+			return;
+		}
+		clearTimeout(entry.timer);
+		this.entries.delete(key);
+
+		if (entry.count === 0) {
+			return;
+		}
+
+		const summary = `Last message repeated ${entry.count} ${entry.count === 1 ? 'time' : 'times'}`;
+		this.emit({
+			name: entry.message.name,
+			event: entry.message.event,
+			description: this.options.format ? format(summary) : summary,
+			timestamp: entry.lastTimestamp ?? Math.floor(Date.now() / 1000),
+		}, entry.process);
+	}
+
+	/**
+	 * Closes all windows right away, sending the pending summaries.
+	 * Used before shutting down or replacing the deduplicator.
+	 */
+	flush(): void {
+		Array.from(this.entries.keys()).forEach(key => this.closeWindow(key));
+	}
+}
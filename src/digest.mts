@@ -0,0 +1,303 @@
+import type { ProcessDescription } from 'pm2';
+import { log } from './logging.mjs';
+import { format, parseProcessName } from './log-utils.mjs';
+import { formatDuration } from './process-info.mjs';
+import { toProcess } from './resource-monitor.mjs';
+import { getLocalTime, parseTimeOfDay } from './time-utils.mjs';
+import type { DiscordMessage, Emit, Process } from './types/index.js';
+
+// Event of digest messages
+export const DIGEST_EVENT = 'digest';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists the processes managed by PM2, usually `listProcesses`
+ */
+export type ListProcesses = () => Promise<ProcessDescription[]>
+
+export interface DigestOptions {
+	/** Send a digest every this many minutes */
+	intervalMinutes: number | null,
+	/** Send a digest every day at this time, as "HH:MM". Takes precedence over the interval */
+	time: string | null,
+	/** IANA time zone of `time`, null for the system time zone */
+	timeZone: string | null,
+	/** Wrap the digest in a code block, like other messages */
+	format?: boolean
+}
+
+/**
+ * What the module did with the messages of one process since the last digest
+ */
+export interface ProcessCounters {
+	errors: number,
+	exceptions: number,
+	/** Messages dropped by filters, or held back by dedupe and flood protection */
+	suppressed: number
+}
+
+/**
+ * Counts forwarded and suppressed messages per process, as the module handles bus events
+ */
+export class DigestStats {
+	counters: Map<string, ProcessCounters> = new Map()
+
+	get(name: string): ProcessCounters {
+		let counters = this.counters.get(name);
+		if (!counters) {
+			counters = { errors: 0, exceptions: 0, suppressed: 0 };
+			this.counters.set(name, counters);
+		}
+		return counters;
+	}
+
+	/**
+	 * Counts an error or exception of a process that passed the filters.
+	 * Called with the original message only, not with the summaries of dedupe and flood protection.
+	 */
+	recordForwarded(message: DiscordMessage): void {
+		if (message.event === 'error') {
+			this.get(message.name).errors++;
+		} else if (message.event === 'exception') {
+			this.get(message.name).exceptions++;
+		}
+	}
+
+	/**
+	 * Counts a message that is not sent to Discord
+	 *
+	 * @param name - Process name as shown in messages
+	 */
+	recordSuppressed(name: string): void {
+		this.get(name).suppressed++;
+	}
+
+	/**
+	 * Returns the counters and starts counting from zero
+	 */
+	take(): Map<string, ProcessCounters> {
+		const counters = this.counters;
+		this.counters = new Map();
+		return counters;
+	}
+}
+
+/**
+ * Returns the milliseconds until the next time a clock in the given time zone shows `time`.
+ *
+ * @param time - Time of day, as "HH:MM"
+ * @param timeZone - IANA time zone, e.g. "Europe/Amsterdam", null for the system time zone
+ * @param now - Current time in milliseconds
+ * @returns Delay in milliseconds, always more than 0 and at most a day
+ * @example
+ * // at 08:30 in Amsterdam
+ * getDelayUntil('09:00', 'Europe/Amsterdam') // => 1800000
+ */
+export function getDelayUntil(time: string, timeZone: string | null, now: number = Date.now()): number {
+	const delay = (parseTimeOfDay(time) - getLocalTime(timeZone, now).seconds) * 1000 - (now % 1000);
+	return delay > 0 ? delay : delay + DAY_MS;
+}
+
+function plural(count: number, word: string): string {
+	return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Builds the text of a digest, one line per process.
+ *
+ * @param processes - Processes as listed by `pm2.list`
+ * @param counters - Counters since the last digest, by process name
+ * @param restarts - Restarts since the last digest, by pm_id
+ * @param periodMs - Time since the last digest
+ * @param now - Current time in milliseconds, for the uptime
+ * @returns Digest text
+ * @example
+ * // Status digest for the last 1h:
+ * // api: online, up 3h 5m, 2 restarts, 4 errors, 1 exception, 120 suppressed
+ * // worker: stopped, 0 restarts, 0 errors, 0 exceptions, 0 suppressed
+ */
+export function buildDigest(
+	processes: ProcessDescription[],
+	counters: Map<string, ProcessCounters>,
+	restarts: Map<string, number>,
+	periodMs: number,
+	now: number = Date.now()
+): string {
+	const lines = [`Status digest for the last ${formatDuration(periodMs)}:`];
+	const listed = new Set<string>();
+
+	for (const description of processes) {
+		const name = parseProcessName(toProcess(description));
+		const env = (description.pm2_env ?? {}) as Record<string, unknown>;
+		const status = typeof env.status === 'string' ? env.status : 'unknown';
+		const count = counters.get(name) ?? { errors: 0, exceptions: 0, suppressed: 0 };
+		listed.add(name);
+
+		const parts = [status];
+		if (status === 'online' && typeof env.pm_uptime === 'number') {
+			parts.push(`up ${formatDuration(Math.max(now - env.pm_uptime, 0))}`);
+		}
+		parts.push(
+			plural(restarts.get(String(description.pm_id)) ?? 0, 'restart'),
+			plural(count.errors, 'error'),
+			plural(count.exceptions, 'exception'),
+			`${count.suppressed} suppressed`,
+		);
+		lines.push(`${name}: ${parts.join(', ')}`);
+	}
+
+	// processes that sent messages but were deleted since
+	for (const [name, count] of counters) {
+		if (!listed.has(name)) {
+			lines.push(`${name}: not in PM2 anymore, ${plural(count.errors, 'error')}, ${plural(count.exceptions, 'exception')}, ${count.suppressed} suppressed`);
+		}
+	}
+
+	if (lines.length === 1) {
+		lines.push('No processes.');
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Sends a status digest of all processes on a schedule:
+ * every `intervalMinutes`, or every day at `time` in `timeZone`.
+ */
+export class DigestScheduler {
+	options: DigestOptions
+	stats: DigestStats
+	list: ListProcesses
+	emit: Emit
+	matches: (process: Process) => boolean
+	timer: NodeJS.Timeout | null = null
+	lastDigestAt: number = Date.now()
+	/** Restart count of each process at the last digest, by pm_id */
+	restartBaselines: Map<string, number> = new Map()
+
+	/**
+	 * @param options - Schedule and formatting
+	 * @param stats - Counters kept while handling bus events
+	 * @param list - Lists the processes with their status
+	 * @param emit - Called with the digest
+	 * @param matches - Decides which processes are included
+	 */
+	constructor(
+		options: DigestOptions,
+		stats: DigestStats,
+		list: ListProcesses,
+		emit: Emit,
+		matches: (process: Process) => boolean = () => true
+	) {
+		this.options = options;
+		this.stats = stats;
+		this.list = list;
+		this.emit = emit;
+		this.matches = matches;
+	}
+
+	/**
+	 * Whether a schedule is set
+	 */
+	isEnabled(): boolean {
+		return this.options.time !== null || this.options.intervalMinutes !== null;
+	}
+
+	/**
+	 * Returns the milliseconds until the next digest
+	 */
+	getNextDelay(now: number = Date.now()): number {
+		if (this.options.time !== null) {
+			return getDelayUntil(this.options.time, this.options.timeZone, now);
+		}
+		return (this.options.intervalMinutes ?? 0) * 60000;
+	}
+
+	/**
+	 * Schedules the next digest, if a schedule is set.
+	 * Restart counts of the processes are recorded, so the first digest only counts new restarts.
+	 */
+	async start(): Promise<void> {
+		if (!this.isEnabled()) {
+			return;
+		}
+		this.schedule();
+		try {
+			this.updateBaselines(await this.list());
+		} catch (e) {
+			log('error', 'Could not list processes for the status digest:', (e as Error).message);
+		}
+	}
+
+	schedule(): void {
+		this.stop();
+		if (!this.isEnabled()) {
+			return;
+		}
+		this.timer = setTimeout(async () => {
+			this.timer = null;
+			await this.send();
+			if (!this.timer) {
+				this.schedule();
+			}
+		}, this.getNextDelay());
+		// a pending digest should not keep the process alive
+		this.timer.unref();
+	}
+
+	stop(): void {
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+	}
+
+	/**
+	 * Applies new options, the next digest is only rescheduled if the schedule changed
+	 */
+	update(options: DigestOptions): void {
+		const previous = this.options;
+		this.options = options;
+		const changed = previous.time !== options.time ||
+			previous.timeZone !== options.timeZone ||
+			previous.intervalMinutes !== options.intervalMinutes;
+		if (changed || (!this.timer && this.isEnabled())) {
+			this.schedule();
+		}
+	}
+
+	updateBaselines(processes: ProcessDescription[]): Map<string, number> {
+		const restarts: Map<string, number> = new Map();
+		for (const description of processes) {
+			const id = String(description.pm_id);
+			const restartTime = description.pm2_env?.restart_time ?? 0;
+			restarts.set(id, Math.max(restartTime - (this.restartBaselines.get(id) ?? restartTime), 0));
+			this.restartBaselines.set(id, restartTime);
+		}
+		return restarts;
+	}
+
+	/**
+	 * Sends a digest now and starts counting from zero
+	 */
+	async send(now: number = Date.now()): Promise<void> {
+		let processes: ProcessDescription[];
+		try {
+			processes = (await this.list()).filter(description => this.matches(toProcess(description)));
+		} catch (e) {
+			log('error', 'Could not list processes for the status digest:', (e as Error).message);
+			return;
+		}
+
+		const restarts = this.updateBaselines(processes);
+		const text = buildDigest(processes, this.stats.take(), restarts, now - this.lastDigestAt, now);
+		this.lastDigestAt = now;
+
+		this.emit({
+			name: 'PM2',
+			event: DIGEST_EVENT,
+			description: this.options.format ? format(text) : text,
+			timestamp: Math.floor(now / 1000),
+		});
+	}
+}
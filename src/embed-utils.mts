@@ -0,0 +1,108 @@
+import type { DiscordEmbed, DiscordField, DiscordMessage } from './types/index.js';
+
+// Discord embed limits
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+export const DISCORD_EMBEDS_PER_MESSAGE = 10;
+export const DISCORD_EMBED_TOTAL_CHAR_LIMIT = 6000;
+export const DISCORD_EMBED_DESCRIPTION_LIMIT = 4096;
+const DISCORD_EMBED_TITLE_LIMIT = 256;
+const DISCORD_EMBED_AUTHOR_NAME_LIMIT = 256;
+const DISCORD_EMBED_FIELDS_LIMIT = 25;
+const DISCORD_EMBED_FIELD_NAME_LIMIT = 256;
+const DISCORD_EMBED_FIELD_VALUE_LIMIT = 1024;
+
+// Embed colors per event type, as decimal RGB values
+const EVENT_COLORS: Record<string, number> = {
+  'exception': 0xED4245, // red
+  'crash loop': 0xED4245, // red
+  'restart overlimit': 0xE67E22, // orange
+  'online': 0x57F287, // green
+};
+const DEFAULT_EMBED_COLOR = 0x5865F2; // Discord blurple
+
+function truncate(str: string, limit: number): string {
+  return str.length > limit ? str.substring(0, limit - 3) + '...' : str;
+}
+
+/**
+ * Returns the embed color for an event type.
+ * Events without a dedicated color use Discord's blurple.
+ *
+ * @param event - Event name, e.g. "exception" or "restart overlimit"
+ * @returns Color as a decimal RGB value
+ */
+export function getEmbedColor(event: string): number {
+  return EVENT_COLORS[event] ?? DEFAULT_EMBED_COLOR;
+}
+
+/**
+ * Converts a queued message into a Discord embed object.
+ * The process name becomes the author, the event the title and the
+ * message timestamp (unix seconds) the embed timestamp.
+ *
+ * @param message - Discord message to convert
+ * @returns Embed object ready to be placed in the webhook `embeds` array
+ * @example
+ * toEmbed({ name: 'api', event: 'exception', description: 'boom', timestamp: 1737627045 })
+ * // => { title: 'exception', description: 'boom', color: 15548997,
+ * //      author: { name: 'api' }, timestamp: '2025-01-23T10:10:45.000Z' }
+ */
+export function toEmbed(message: DiscordMessage): DiscordEmbed {
+  const embed: DiscordEmbed = {
+    title: truncate(message.event, DISCORD_EMBED_TITLE_LIMIT),
+    description: truncate(message.description || '', DISCORD_EMBED_DESCRIPTION_LIMIT),
+    color: getEmbedColor(message.event),
+  };
+
+  const authorName = message.name.trim();
+  if (authorName) {
+    embed.author = { name: truncate(authorName, DISCORD_EMBED_AUTHOR_NAME_LIMIT) };
+  }
+
+  if (typeof message.timestamp === 'number') {
+    embed.timestamp = new Date(message.timestamp * 1000).toISOString();
+  }
+
+  if (message.fields && message.fields.length > 0) {
+    embed.fields = message.fields.slice(0, DISCORD_EMBED_FIELDS_LIMIT).map(field => ({
+      name: truncate(field.name, DISCORD_EMBED_FIELD_NAME_LIMIT),
+      value: truncate(field.value, DISCORD_EMBED_FIELD_VALUE_LIMIT),
+      inline: field.inline ?? true,
+    }));
+  }
+
+  return embed;
+}
+
+/**
+ * Appends fields to a message text, for messages that are not sent as embeds.
+ *
+ * @param description - Message text
+ * @param fields - Fields to append
+ * @returns Text with the fields on a line after it
+ * @example
+ * appendFieldsText('boom', [{ name: 'pm_id', value: '3' }, { name: 'Restarts', value: '12' }])
+ * // => "boom\npm_id: 3 | Restarts: 12"
+ */
+export function appendFieldsText(description: string | null, fields: DiscordField[]): string | null {
+  if (fields.length === 0) {
+    return description;
+  }
+  const text = fields.map(field => `${field.name}: ${field.value}`).join(' | ');
+  return description ? `${description}\n${text}` : text;
+}
+
+/**
+ * Counts the characters a message contributes to Discord's 6000 character
+ * total embed limit (title, description, author name and fields).
+ *
+ * @param message - Discord message that will be sent as an embed
+ * @returns Number of characters counted towards the total embed limit
+ */
+export function getEmbedLength(message: DiscordMessage): number {
+  const embed = toEmbed(message);
+  return (embed.title?.length ?? 0) +
+    (embed.description?.length ?? 0) +
+    (embed.author?.name.length ?? 0) +
+    (embed.fields ?? []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
@@ -0,0 +1,280 @@
+import { stripCodeFences } from './attachment-utils.mjs';
+import type { OnSuppress } from './dedupe.mjs';
+import { normalizeText } from './dedupe.mjs';
+import { debug, log } from './logging.mjs';
+import { format } from './log-utils.mjs';
+import type { DiscordMessage, Emit, Process } from './types/index.js';
+
+// Inbound volume is measured over the last minute, in one-second buckets
+const RATE_WINDOW_SECONDS = 60;
+// Lines shown in a summary
+const SAMPLE_SIZE = 5;
+const TOP_SIZE = 5;
+// Distinct messages counted per summary, further ones only count towards the total
+const MAX_DISTINCT = 1000;
+// Lines in a summary are cut off after this many characters
+const MAX_LINE_LENGTH = 200;
+
+export interface FloodGuardOptions {
+	/** Lines per minute from one process above which it is considered flooding */
+	threshold: number,
+	/** How often a summary is sent while a process is flooding, in seconds */
+	summarySeconds: number,
+	/** Wrap summaries in a code block, like other messages */
+	format?: boolean
+}
+
+/**
+ * Counts events over the last minute
+ */
+export class RateCounter {
+	buckets: number[] = new Array(RATE_WINDOW_SECONDS).fill(0)
+	lastSecond: number
+
+	constructor(now: number = Date.now()) {
+		this.lastSecond = Math.floor(now / 1000);
+	}
+
+	/**
+	 * Clears the buckets of the seconds that passed since the last call
+	 */
+	advance(now: number): void {
+		const second = Math.floor(now / 1000);
+		const elapsed = Math.min(second - this.lastSecond, RATE_WINDOW_SECONDS);
+		for (let i = 1; i <= elapsed; i++) {
+			this.buckets[(this.lastSecond + i) % RATE_WINDOW_SECONDS] = 0;
+		}
+		this.lastSecond = Math.max(second, this.lastSecond);
+	}
+
+	add(now: number = Date.now()): void {
+		this.advance(now);
+		this.buckets[this.lastSecond % RATE_WINDOW_SECONDS]++;
+	}
+
+	/**
+	 * Returns the number of events in the last minute
+	 */
+	count(now: number = Date.now()): number {
+		this.advance(now);
+		return this.buckets.reduce((sum, n) => sum + n, 0);
+	}
+}
+
+/**
+ * Lines held back while a process is flooding
+ */
+interface FloodSummary {
+	count: number,
+	samples: string[],
+	/** Distinct messages by normalized text, with the first text seen */
+	distinct: Map<string, { text: string, count: number }>
+}
+
+/**
+ * Inbound volume and flood state of one process and event
+ */
+interface FloodState {
+	name: string,
+	event: string,
+	process: Partial<Process> | null,
+	rate: RateCounter,
+	flooding: boolean,
+	summary: FloodSummary,
+	timer: NodeJS.Timeout | null
+}
+
+function emptySummary(): FloodSummary {
+	return { count: 0, samples: [], distinct: new Map() };
+}
+
+function toSummaryLine(description: string | null): string {
+	const text = stripCodeFences(description ?? '').replace(/\s*\n\s*/g, ' ').trim();
+	return text.length > MAX_LINE_LENGTH ? text.substring(0, MAX_LINE_LENGTH - 3) + '...' : text;
+}
+
+/**
+ * Detects processes that log far more lines than the webhook can deliver.
+ * A flooding process stops having its lines forwarded one by one: instead, a summary with
+ * the line count, a sample of lines and the most frequent messages is sent periodically.
+ * Normal forwarding resumes once the volume drops below half the threshold.
+ */
+export class FloodGuard {
+	options: FloodGuardOptions
+	emit: Emit
+	onSuppress: OnSuppress
+	states: Map<string, FloodState> = new Map()
+
+	/**
+	 * @param options - Threshold, summary interval and formatting
+	 * @param emit - Called with every message that should be sent
+	 * @param onSuppress - Called with every line that is only counted in a summary
+	 */
+	constructor(options: FloodGuardOptions, emit: Emit, onSuppress: OnSuppress = () => {}) {
+		this.options = options;
+		this.emit = emit;
+		this.onSuppress = onSuppress;
+	}
+
+	/**
+	 * Forwards a message, or adds it to the summary if its process is flooding.
+	 *
+	 * @param message - Message to send
+	 * @param process - PM2 process the message originates from, if any
+	 */
+	add(message: DiscordMessage, process: Partial<Process> | null = null): void {
+		const key = `${message.name}\u0000${message.event}`;
+		let state = this.states.get(key);
+		if (!state) {
+			state = {
+				name: message.name,
+				event: message.event,
+				process,
+				rate: new RateCounter(),
+				flooding: false,
+				summary: emptySummary(),
+				timer: null,
+			};
+			this.states.set(key, state);
+		}
+
+		state.rate.add();
+
+		if (!state.flooding && state.rate.count() > this.options.threshold) {
+			this.startFlood(key, state);
+		}
+
+		if (!state.flooding) {
+			this.emit(message, process);
+			return;
+		}
+
+		this.addToSummary(state.summary, message);
+		this.onSuppress(message);
+	}
+
+	/**
+	 * Switches a process to summary mode
+	 */
+	startFlood(key: string, state: FloodState): void {
+		const lines = state.rate.count();
+		state.flooding = true;
+		state.timer = setInterval(() => this.sendSummary(key), this.options.summarySeconds * 1000);
+		// summaries should not keep the process alive
+		state.timer.unref();
+
+		log('warn', `${state.name} is flooding ${state.event} messages (${lines} lines in the last minute), sending summaries instead.`);
+		this.emitText(state, `Flood protection: ${lines} lines in the last minute. Sending a summary every ${this.options.summarySeconds} seconds instead of every line.`);
+	}
+
+	addToSummary(summary: FloodSummary, message: DiscordMessage): void {
+		summary.count++;
+
+		const line = toSummaryLine(message.description);
+		if (summary.samples.length < SAMPLE_SIZE) {
+			summary.samples.push(line);
+		}
+
+		const normalized = normalizeText(line);
+		const distinct = summary.distinct.get(normalized);
+		if (distinct) {
+			distinct.count++;
+		} else if (summary.distinct.size < MAX_DISTINCT) {
+			summary.distinct.set(normalized, { text: line, count: 1 });
+		}
+	}
+
+	/**
+	 * Builds the text of a summary.
+	 *
+	 * @example
+	 * // Flood protection: 4312 lines in the last 60 seconds.
+	 * //
+	 * // Top messages:
+	 * // 4100x Connection 12 refused
+	 * // 212x Retrying in 5s
+	 * //
+	 * // Sample:
+	 * // Connection 1 refused
+	 * // ...
+	 */
+	formatSummary(summary: FloodSummary): string {
+		const top = Array.from(summary.distinct.values())
+			.sort((a, b) => b.count - a.count)
+			.slice(0, TOP_SIZE)
+			.map(({ text, count }) => `${count}x ${text}`);
+
+		return [
+			`Flood protection: ${summary.count} lines in the last ${this.options.summarySeconds} seconds.`,
+			'',
+			'Top messages:',
+			...top,
+			'',
+			'Sample:',
+			...summary.samples,
+		].join('\n');
+	}
+
+	/**
+	 * Sends the summary of a flooding process, and resumes normal forwarding
+	 * once its volume dropped below half the threshold
+	 */
+	sendSummary(key: string): void {
+		const state = this.states.get(key);
+		if (!state || !state.flooding) {
+			return;
+		}
+
+		const recovered = state.rate.count() < this.options.threshold / 2;
+		const parts: string[] = [];
+		if (state.summary.count > 0) {
+			parts.push(this.formatSummary(state.summary));
+		}
+		if (recovered) {
+			parts.push('Volume is back to normal, forwarding every line again.');
+		}
+		state.summary = emptySummary();
+
+		if (recovered) {
+			this.stopFlood(key, state);
+		}
+		if (parts.length > 0) {
+			this.emitText(state, parts.join('\n\n'));
+		} else {
+			debug(`${state.name} is still flooding ${state.event} messages, but nothing was logged since the last summary`);
+		}
+	}
+
+	stopFlood(key: string, state: FloodState): void {
+		if (state.timer) {
+			clearInterval(state.timer);
+		}
+		this.states.delete(key);
+		log('log', `${state.name} stopped flooding ${state.event} messages, forwarding every line again.`);
+	}
+
+	emitText(state: FloodState, text: string): void {
+		this.emit({
+			name: state.name,
+			event: state.event,
+			description: this.options.format ? format(text) : text,
+			timestamp: Math.floor(Date.now() / 1000),
+		}, state.process);
+	}
+
+	/**
+	 * Sends the pending summaries right away and stops all timers.
+	 * Used before shutting down or replacing the flood guard.
+	 */
+	flush(): void {
+		for (const state of this.states.values()) {
+			if (state.timer) {
+				clearInterval(state.timer);
+			}
+			if (state.flooding && state.summary.count > 0) {
+				this.emitText(state, this.formatSummary(state.summary));
+			}
+		}
+		this.states.clear();
+	}
+}
@@ -3,42 +3,220 @@ import pm2 from 'pm2';
 import pmx from 'pmx';
 import stripAnsi from 'strip-ansi';
 import { loadConfig } from './config.mjs';
-import { checkProcessName, format, parseIncomingLog, parseProcessName } from './log-utils.mjs';
+import { watchConfig } from './config-watcher.mjs';
+import { ContentFilter } from './content-filter.mjs';
+import { CrashLoopDetector } from './crash-loop.mjs';
+import { Deduplicator } from './dedupe.mjs';
+import { DigestScheduler, DigestStats } from './digest.mjs';
+import { FloodGuard } from './flood-guard.mjs';
+import { JsonLogParser } from './json-log.mjs';
+import { handleMuteAction, MaintenanceWindows } from './maintenance.mjs';
+import { format, parseIncomingLog, parseProcessName } from './log-utils.mjs';
 import { debug, log } from './logging.mjs';
-import { MessageQueue } from './message-queue.mjs';
-import { sendToDiscord } from './send-to-discord.mjs';
+import { getProcessFields, listProcesses } from './process-info.mjs';
+import { ProcessMatcher } from './process-matcher.mjs';
+import { ResourceMonitor } from './resource-monitor.mjs';
+import { getWebhookUrls, Router } from './router.mjs';
+import { probeWebhook, sendToDiscord } from './send-to-discord.mjs';
 import { gracefulShutdown } from './shutdown.mjs';
-import type { BusData, Config } from './types/index.js';
-import { isValidDiscordWebhookUrl } from './webhook-utils.mjs';
+import { StackAssembler } from './stack-assembler.mjs';
+import { getTemplate, getTemplateValues, renderTemplate } from './templates.mjs';
+import type { BusData, Config, DiscordMessage, LogMessage, Process } from './types/index.js';
 
-const config = loadConfig();
+// Replaced when the module settings change, so handlers must read it at event time
+let config = loadConfig();
 
-if (!isValidDiscordWebhookUrl(config.discord_url)) {
-  // Invalid Discord webhook URL, exit the module
+// Compiled once per config, so invalid patterns are reported at startup
+let contentFilter = new ContentFilter(config.include_patterns, config.exclude_patterns);
+let processMatcher = new ProcessMatcher(config.process_name, config.exclude_process_name, config.namespace);
+let jsonLogParser = config.json_logs ? new JsonLogParser(config.min_level) : null;
+
+if (Object.keys(getWebhookUrls(config)).length === 0) {
+  // No valid Discord webhook URL, exit the module
   process.exit(1);
 }
 
 const configFromInit = pmx.initModule(null, onInit);
 debug('pm2-discord: Module initialized with config:', configFromInit);
 
+/**
+ * Fills in the template of an event, before the text is formatted
+ */
+function applyTemplate(event: string, text: string, proc: Process | null, timestamp: number | null): string {
+  return renderTemplate(getTemplate(config.templates, event), getTemplateValues(event, text, proc, timestamp));
+}
+
 function onInit() {
-  const messageQueue = new MessageQueue(
-    {
-      discord_url: config.discord_url as string,
-      rate_limit_messages: config.rate_limit_messages,
-      rate_limit_window_seconds: config.rate_limit_window_seconds,
-      buffer: config.buffer,
-      buffer_seconds: config.buffer_seconds,
-      queue_max: config.queue_max,
-    },
-    sendToDiscord
-  );
+  // One message queue per webhook, each bus event is dispatched to the matching queue(s)
+  const router = new Router(config, sendToDiscord, probeWebhook);
 
-  // Handle graceful shutdown
-  const handleShutdown = () => gracefulShutdown(messageQueue).catch(e => {
-    log('error', 'Error during graceful shutdown:', e);
-    process.exit(1);
+  // Counts forwarded and suppressed messages for the status digest
+  const stats = new DigestStats();
+  const suppress = (message: DiscordMessage) => stats.recordSuppressed(message.name);
+  const route = (message: DiscordMessage, proc: Partial<Process> | null = null) => router.route(message, proc);
+
+  // Messages pass through the deduplicator, then the flood guard, before they are queued
+  const createFloodGuard = (options: Config) => options.flood_protection
+    ? new FloodGuard({ threshold: options.flood_threshold, summarySeconds: options.flood_summary_seconds, format: options.format }, route, suppress)
+    : null;
+  let floodGuard = createFloodGuard(config);
+
+  const forward = (message: DiscordMessage, proc: Partial<Process> | null = null) => {
+    if (floodGuard) {
+      floodGuard.add(message, proc);
+    } else {
+      route(message, proc);
+    }
+  };
+
+  const createDeduplicator = (options: Config) => options.dedupe
+    ? new Deduplicator({ windowSeconds: options.dedupe_window_seconds, format: options.format }, forward, suppress)
+    : null;
+  let deduplicator = createDeduplicator(config);
+
+  // Chosen events are counted instead of sent during maintenance windows, and summarized when they end
+  const maintenanceOptions = (options: Config) => ({
+    windows: options.maintenance_windows ?? [],
+    timeZone: options.maintenance_timezone,
+    events: options.maintenance_events,
+    allowExceptions: options.maintenance_allow_exceptions,
+    format: options.format,
+  });
+  const maintenance = new MaintenanceWindows(maintenanceOptions(config), message => router.route(message));
+  maintenance.start();
+
+  const send = (message: DiscordMessage, proc: Partial<Process> | null = null) => {
+    if (maintenance.suppresses(message)) {
+      suppress(message);
+    } else if (deduplicator) {
+      deduplicator.add(message, proc);
+    } else {
+      forward(message, proc);
+    }
+  };
+
+  // Crash loop alerts skip deduplication and flood protection, so they are never held back
+  const crashLoopOptions = (options: Config) => ({
+    restarts: options.crash_loop_restarts,
+    windowMinutes: options.crash_loop_window_minutes,
+    stableMinutes: options.crash_loop_stable_minutes,
+    format: options.format,
+  });
+  const crashLoopDetector = new CrashLoopDetector(crashLoopOptions(config), (message, proc) => {
+    if (maintenance.suppresses(message)) {
+      suppress(message);
+    } else {
+      router.route(message, proc);
+    }
   });
+
+  // Memory and CPU usage are polled, alerts are queued like other messages
+  const resourceMonitorOptions = (options: Config) => ({
+    memoryThresholdMb: options.memory_threshold_mb,
+    cpuThreshold: options.cpu_threshold,
+    sustainSeconds: options.resource_sustain_seconds,
+    pollSeconds: options.resource_poll_seconds,
+    format: options.format,
+  });
+  const resourceMonitor = new ResourceMonitor(resourceMonitorOptions(config), listProcesses, (message, proc) => {
+    if (proc && processMatcher.matches(proc)) {
+      send(message, proc);
+    }
+  });
+  resourceMonitor.start();
+
+  const digestOptions = (options: Config) => ({
+    intervalMinutes: options.digest_interval_minutes,
+    time: options.digest_time,
+    timeZone: options.digest_timezone,
+    format: options.format,
+  });
+  const digestScheduler = new DigestScheduler(digestOptions(config), stats, listProcesses, message => router.route(message), proc => processMatcher.matches(proc));
+  digestScheduler.start();
+
+  // Error output is filtered and sent once its stack trace is complete
+  const sendError = (logMessage: LogMessage, proc: Process) => {
+    let parsedLog = logMessage;
+    if (jsonLogParser) {
+      parsedLog = jsonLogParser.parse(parsedLog, 'error');
+      if (!parsedLog.description) { // every line was below min_level
+        stats.recordSuppressed(parseProcessName(proc));
+        return;
+      }
+    }
+    if (!contentFilter.shouldForward('error', parsedLog.description ?? '')) {
+      stats.recordSuppressed(parseProcessName(proc));
+      return;
+    }
+    const text = parsedLog.description && applyTemplate('error', parsedLog.description, proc, parsedLog.timestamp);
+    const message: DiscordMessage = {
+      name: parseProcessName(proc),
+      event: 'error',
+      description: config.format && text ? format(text) : text,
+      timestamp: parsedLog.timestamp,
+    };
+    // counted here rather than when routed, so dedupe and flood summaries are not counted as errors
+    stats.recordForwarded(message);
+    send(message, proc);
+  };
+
+  const createStackAssembler = (options: Config) => options.group_stack_traces ? new StackAssembler(sendError) : null;
+  let stackAssembler = createStackAssembler(config);
+
+  // Send messages that were still queued when the module last stopped
+  router.restoreSpooledMessages();
+
+  // `pm2 trigger pm2-discord replay-dead-letters` queues undeliverable messages again
+  pmx.action('replay-dead-letters', function (reply) {
+    const replayed = router.replayDeadLetters();
+    reply({ success: true, replayed });
+  });
+
+  // `pm2 trigger pm2-discord mute [minutes]` suppresses maintenance events for a while, 30 minutes by default
+  pmx.action('mute', function (param: unknown, reply: (data: unknown) => void) {
+    handleMuteAction(maintenance, param, reply);
+  });
+
+  // `pm2 trigger pm2-discord unmute` ends a mute and sends the summary of what was suppressed
+  pmx.action('unmute', function (reply) {
+    maintenance.unmute();
+    reply({ success: true });
+  });
+
+  // Apply changed settings to the running module, queued messages are kept
+  watchConfig(newConfig => {
+    config = newConfig;
+    contentFilter = new ContentFilter(newConfig.include_patterns, newConfig.exclude_patterns);
+    processMatcher = new ProcessMatcher(newConfig.process_name, newConfig.exclude_process_name, newConfig.namespace);
+    jsonLogParser = newConfig.json_logs ? new JsonLogParser(newConfig.min_level) : null;
+    router.update(newConfig);
+    // restarts counted so far are kept
+    crashLoopDetector.options = crashLoopOptions(newConfig);
+    resourceMonitor.update(resourceMonitorOptions(newConfig));
+    digestScheduler.update(digestOptions(newConfig));
+    maintenance.update(maintenanceOptions(newConfig));
+    // pending messages and summaries are sent before they are replaced
+    stackAssembler?.flush();
+    deduplicator?.flush();
+    floodGuard?.flush();
+    stackAssembler = createStackAssembler(newConfig);
+    deduplicator = createDeduplicator(newConfig);
+    floodGuard = createFloodGuard(newConfig);
+  });
+
+  // Handle graceful shutdown
+  const handleShutdown = () => {
+    resourceMonitor.stop();
+    digestScheduler.stop();
+    stackAssembler?.flush();
+    deduplicator?.flush();
+    floodGuard?.flush();
+    maintenance.flush();
+    return gracefulShutdown(router.getQueues()).catch(e => {
+      log('error', 'Error during graceful shutdown:', e);
+      process.exit(1);
+    });
+  };
   process.on('SIGINT', handleShutdown);
   process.on('SIGTERM', handleShutdown);
 
@@ -50,77 +228,112 @@ function onInit() {
     // - https://github.com/Unitech/pm2/blob/v6.0.14/lib/Client.js#L439
 
 
+    // All listeners are registered, and check if their event is enabled when it happens,
+    // so events can be turned on and off without restarting the module
+
     // Listen for process logs
-    if (config.log) {
-      bus.on('log:out', async function (data: BusData) {
-        if (!checkProcessName(data, config.process_name)) { return; }
-
-        const parsedLog = await parseIncomingLog(data.data || '', config.format);
-        messageQueue.addMessage({
-          name: parseProcessName(data.process),
-          event: 'log',
-          description: parsedLog.description,
-          timestamp: parsedLog.timestamp,
-        });
-      });
-    }
+    bus.on('log:out', async function (data: BusData) {
+      if (!config.log) { return; }
+      if (!processMatcher.matches(data.process)) { return; }
+
+      // Filter on the plain text, before it is formatted
+      let parsedLog = await parseIncomingLog(data.data || '');
+      if (jsonLogParser) {
+        parsedLog = jsonLogParser.parse(parsedLog, 'log');
+        if (!parsedLog.description) { // every line was below min_level
+          stats.recordSuppressed(parseProcessName(data.process));
+          return;
+        }
+      }
+      if (!contentFilter.shouldForward('log', parsedLog.description ?? '')) {
+        stats.recordSuppressed(parseProcessName(data.process));
+        return;
+      }
+      const text = parsedLog.description && applyTemplate('log', parsedLog.description, data.process, parsedLog.timestamp);
+      send({
+        name: parseProcessName(data.process),
+        event: 'log',
+        description: config.format && text ? format(text) : text,
+        timestamp: parsedLog.timestamp,
+      }, data.process);
+    });
 
     // Listen for process errors
-    if (config.error) {
-      bus.on('log:err', async function (data: BusData) {
-        if (!checkProcessName(data, config.process_name)) { return; }
-
-        const parsedLog = await parseIncomingLog(data.data || '', config.format);
-        messageQueue.addMessage({
-          name: parseProcessName(data.process),
-          event: 'error',
-          description: parsedLog.description,
-          timestamp: parsedLog.timestamp,
-        });
-      });
-    }
+    bus.on('log:err', async function (data: BusData) {
+      if (!config.error) { return; }
+      if (!processMatcher.matches(data.process)) { return; }
+
+      // Filter on the plain text, before it is formatted
+      const parsedLog = await parseIncomingLog(data.data || '');
+      if (stackAssembler) {
+        stackAssembler.add(parsedLog, data.process);
+      } else {
+        sendError(parsedLog, data.process);
+      }
+    });
 
     // Listen for PM2 kill
-    if (config.kill) {
-      bus.on('pm2:kill', function (data: any) {
-        messageQueue.addMessage({
-          name: 'PM2',
-          event: 'kill',
-          description: config.format ? format(data.msg) : data.msg,
-          timestamp: Math.floor(Date.now() / 1000),
-        });
+    bus.on('pm2:kill', function (data: any) {
+      if (!config.kill) { return; }
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const text = applyTemplate('kill', data.msg, null, timestamp);
+      send({
+        name: 'PM2',
+        event: 'kill',
+        description: config.format ? format(text) : text,
+        timestamp,
       });
-    }
+    });
 
     // Listen for process exceptions
-    if (config.exception) {
-      bus.on('process:exception', async function (data: BusData & { data: any }) {
-        if (!checkProcessName(data, config.process_name)) { return; }
-
-        // If it is instance of Error, use it. If type is unknown, stringify it.
-        const rawDescription = (data.data && data.data.message) ? (data.data.code || '') + data.data.message : JSON.stringify(data.data);
-        const description = config.format ? format(stripAnsi(rawDescription)) : stripAnsi(rawDescription);
-        messageQueue.addMessage({
-          name: parseProcessName(data.process),
-          event: 'exception',
-          description,
-          timestamp: Math.floor(Date.now() / 1000),
-        });
-      });
-    }
+    bus.on('process:exception', async function (data: BusData & { data: any }) {
+      if (!config.exception) { return; }
+      if (!processMatcher.matches(data.process)) { return; }
+
+      // If it is instance of Error, use it. If type is unknown, stringify it.
+      const rawDescription = (data.data && data.data.message) ? (data.data.code || '') + data.data.message : JSON.stringify(data.data);
+      if (!contentFilter.shouldForward('exception', stripAnsi(rawDescription))) {
+        stats.recordSuppressed(parseProcessName(data.process));
+        return;
+      }
+      // The stack starts with the error message, so it replaces it
+      const timestamp = Math.floor(Date.now() / 1000);
+      const text = applyTemplate('exception', config.process_info && typeof data.data?.stack === 'string'
+        ? (data.data.code ? `${data.data.code} ` : '') + stripAnsi(data.data.stack)
+        : stripAnsi(rawDescription), data.process, timestamp);
+      const fields = config.process_info ? await getProcessFields(data.process) : undefined;
+      const message: DiscordMessage = {
+        name: parseProcessName(data.process),
+        event: 'exception',
+        description: config.format ? format(text) : text,
+        timestamp,
+        ...(fields && { fields }),
+      };
+      stats.recordForwarded(message);
+      send(message, data.process);
+    });
 
     // PM2 process events (restart, stop, start, exit, online, delete, "restart overlimit")
-    bus.on('process:event', function (data: BusData & { event: string }) {
+    bus.on('process:event', async function (data: BusData & { event: string, manually?: boolean }) {
+      if (!processMatcher.matches(data.process)) { return; }
+      // Restarts are counted even when the restart and exit events themselves are not forwarded
+      if (config['crash loop']) {
+        crashLoopDetector.record(data.event, data.process, data.manually);
+      }
+
       const setting = config[data.event as keyof Config];
       if (typeof setting === 'boolean' && !setting) { return; } // This event type is disabled by configuration.
-      if (!checkProcessName(data, config.process_name)) { return; }
-      const message = `The following event has occurred on the PM2 process ${data.process.name}: ${data.event}`;
-      messageQueue.addMessage({
+      const timestamp = Math.floor(Date.now() / 1000);
+      const message = applyTemplate(data.event, `The following event has occurred on the PM2 process ${data.process.name}: ${data.event}`, data.process, timestamp);
+      const fields = config.process_info ? await getProcessFields(data.process) : undefined;
+      send({
         name: parseProcessName(data.process),
         event: data.event,
         description: config.format ? format(message) : message,
-        timestamp: Math.floor(Date.now() / 1000),
-      });
+        timestamp,
+        ...(fields && { fields }),
+      }, data.process);
     });
   });
 }
@@ -0,0 +1,298 @@
+import { log } from './logging.mjs';
+import type { LogMessage, MinLevelConfig } from './types/index.js';
+
+// Severity levels on pino's and bunyan's numeric scale.
+// Level names of winston and syslog style loggers are mapped onto it.
+const LEVELS: Record<string, number> = {
+	trace: 10,
+	silly: 10,
+	debug: 20,
+	verbose: 20,
+	http: 25,
+	info: 30,
+	notice: 30,
+	warn: 40,
+	warning: 40,
+	error: 50,
+	err: 50,
+	fatal: 60,
+	critical: 60,
+	crit: 60,
+	alert: 60,
+	emerg: 60,
+	panic: 60,
+};
+
+// Level names shown in Discord, from the highest threshold down
+const LEVEL_LABELS: [number, string][] = [
+	[60, 'FATAL'],
+	[50, 'ERROR'],
+	[40, 'WARN'],
+	[30, 'INFO'],
+	[20, 'DEBUG'],
+	[0, 'TRACE'],
+];
+
+const LEVEL_KEYS = ['level', 'lvl', 'severity'];
+const MESSAGE_KEYS = ['msg', 'message'];
+const TIME_KEYS = ['time', 'timestamp', '@timestamp'];
+const ERROR_KEYS = ['err', 'error'];
+// Fields added by loggers that are not interesting in Discord
+const NOISE_KEYS = ['pid', 'hostname', 'v'];
+
+// Min level listed under this key applies to every event type
+const ALL_EVENTS = '*';
+
+/**
+ * A log line parsed from JSON
+ */
+export interface JsonLogEntry {
+	/** Severity on pino's scale (10 trace - 60 fatal), null if the line has no known level */
+	level: number | null,
+	message: string | null,
+	/** Epoch seconds */
+	timestamp: number | null,
+	/** Error stack or message */
+	error: string | null,
+	/** All other fields */
+	fields: Record<string, unknown>
+}
+
+/**
+ * Converts a level as logged (number or name) to pino's numeric scale.
+ *
+ * @param value - Level field of a log line, or a configured level name
+ * @returns Numeric level, or null if unknown
+ * @example
+ * toLevelNumber(40)        // => 40
+ * toLevelNumber('warning') // => 40
+ * toLevelNumber('loud')    // => null
+ */
+export function toLevelNumber(value: unknown): number | null {
+	if (typeof value === 'number' && isFinite(value)) {
+		return value;
+	}
+	if (typeof value === 'string') {
+		const level = LEVELS[value.trim().toLowerCase()];
+		if (level !== undefined) {
+			return level;
+		}
+		const numeric = Number(value);
+		return value.trim() && isFinite(numeric) ? numeric : null;
+	}
+	return null;
+}
+
+/**
+ * Returns the label shown for a numeric level, e.g. "WARN" for 40
+ */
+export function getLevelLabel(level: number): string {
+	return (LEVEL_LABELS.find(([threshold]) => level >= threshold) ?? LEVEL_LABELS[LEVEL_LABELS.length - 1])[1];
+}
+
+/**
+ * Converts a logged time (epoch milliseconds, epoch seconds or a date string) to epoch seconds
+ */
+function toEpochSeconds(value: unknown): number | null {
+	if (typeof value === 'number' && isFinite(value)) {
+		// pino logs milliseconds, some loggers log seconds
+		return Math.floor(value > 1e12 ? value / 1000 : value);
+	}
+	if (typeof value === 'string') {
+		const parsed = Date.parse(value);
+		return isNaN(parsed) ? null : Math.floor(parsed / 1000);
+	}
+	return null;
+}
+
+function toErrorText(value: unknown): string | null {
+	if (!value) {
+		return null;
+	}
+	if (typeof value === 'string') {
+		return value;
+	}
+	if (typeof value === 'object') {
+		const error = value as { stack?: unknown, message?: unknown };
+		if (typeof error.stack === 'string') return error.stack;
+		if (typeof error.message === 'string') return error.message;
+	}
+	return JSON.stringify(value);
+}
+
+function pick(record: Record<string, unknown>, keys: string[]): unknown {
+	const key = keys.find(k => record[k] !== undefined);
+	return key === undefined ? undefined : record[key];
+}
+
+/**
+ * Parses a single log line written by a JSON logger like pino, winston or bunyan.
+ *
+ * @param line - Log line without PM2's timestamp prefix
+ * @returns Parsed entry, or null if the line is not a JSON object
+ * @example
+ * parseJsonLog('{"level":40,"time":1737627045000,"msg":"Disk almost full"}')
+ * // => { level: 40, message: 'Disk almost full', timestamp: 1737627045, error: null, fields: {} }
+ */
+export function parseJsonLog(line: string): JsonLogEntry | null {
+	const trimmed = line.trim();
+	if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) {
+		return null;
+	}
+
+	let record: Record<string, unknown>;
+	try {
+		record = JSON.parse(trimmed);
+	} catch (e) {
+		return null;
+	}
+	if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+		return null;
+	}
+
+	const message = pick(record, MESSAGE_KEYS);
+	const knownKeys = new Set([...LEVEL_KEYS, ...MESSAGE_KEYS, ...TIME_KEYS, ...ERROR_KEYS, ...NOISE_KEYS]);
+	const fields: Record<string, unknown> = {};
+	for (const [key, value] of Object.entries(record)) {
+		if (!knownKeys.has(key)) {
+			fields[key] = value;
+		}
+	}
+
+	return {
+		level: toLevelNumber(pick(record, LEVEL_KEYS)),
+		message: message === undefined || message === null ? null : String(message),
+		timestamp: toEpochSeconds(pick(record, TIME_KEYS)),
+		error: toErrorText(pick(record, ERROR_KEYS)),
+		fields,
+	};
+}
+
+/**
+ * Renders a parsed JSON log line as readable text:
+ * the level and message, the other fields as `key=value`, then the error stack.
+ *
+ * @param entry - Parsed log line
+ * @returns Text to send to Discord
+ * @example
+ * formatJsonLog({ level: 40, message: 'Disk almost full', timestamp: null, error: null, fields: { mount: '/data' } })
+ * // => "WARN: Disk almost full\nmount=/data"
+ */
+export function formatJsonLog(entry: JsonLogEntry): string {
+	const lines: string[] = [];
+
+	const label = entry.level !== null ? getLevelLabel(entry.level) : null;
+	const headline = [label, entry.message].filter(part => part !== null).join(': ');
+	if (headline) {
+		lines.push(headline);
+	}
+
+	const fields = Object.entries(entry.fields).map(([key, value]) => {
+		const text = typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value);
+		return `${key}=${text}`;
+	});
+	if (fields.length > 0) {
+		lines.push(fields.join(' '));
+	}
+
+	if (entry.error) {
+		lines.push(entry.error);
+	}
+
+	return lines.join('\n');
+}
+
+/**
+ * Compiles the `min_level` option. A level name applies to every event type,
+ * an object maps event types (or `*` for all of them) to level names.
+ * Unknown levels are logged and ignored.
+ *
+ * @param minLevel - `min_level` option
+ * @returns Minimum numeric level by event type
+ */
+export function compileMinLevels(minLevel: MinLevelConfig): Map<string, number> {
+	const compiled: Map<string, number> = new Map();
+	if (minLevel === null || minLevel === undefined) {
+		return compiled;
+	}
+
+	const byEvent = typeof minLevel === 'object' ? minLevel : { [ALL_EVENTS]: minLevel };
+	for (const [event, level] of Object.entries(byEvent)) {
+		const numeric = toLevelNumber(level);
+		if (numeric === null) {
+			log('error', `Ignoring unknown min_level "${level}" for "${event}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+			continue;
+		}
+		compiled.set(event, numeric);
+	}
+	return compiled;
+}
+
+/**
+ * Turns process output written by JSON loggers into readable messages,
+ * and drops lines below the configured minimum level.
+ * Lines that are not JSON are kept as they are.
+ */
+export class JsonLogParser {
+	minLevels: Map<string, number>
+
+	/**
+	 * @param minLevel - `min_level` option, levels are checked here
+	 */
+	constructor(minLevel: MinLevelConfig = null) {
+		this.minLevels = compileMinLevels(minLevel);
+	}
+
+	/**
+	 * Returns the minimum level for an event type, or null if every level is forwarded
+	 */
+	getMinLevel(event: string): number | null {
+		return this.minLevels.get(event) ?? this.minLevels.get(ALL_EVENTS) ?? null;
+	}
+
+	/**
+	 * Parses the JSON lines of a log message.
+	 * Lines without a known level are never dropped.
+	 *
+	 * @param logMessage - Log message as returned by `parseIncomingLog`, unformatted
+	 * @param event - Event type, e.g. "log" or "error"
+	 * @returns Log message with readable text and the log's own time as timestamp,
+	 *          or a null description if every line was below the minimum level
+	 */
+	parse(logMessage: LogMessage, event: string): LogMessage {
+		if (!logMessage.description) {
+			return logMessage;
+		}
+
+		const minLevel = this.getMinLevel(event);
+		let timestamp: number | null = null;
+		let foundJson = false;
+		const lines: string[] = [];
+
+		// a chunk of process output can hold several log lines
+		for (const line of logMessage.description.split('\n')) {
+			const entry = parseJsonLog(line);
+			if (!entry) {
+				if (line.trim()) {
+					lines.push(line);
+				}
+				continue;
+			}
+			foundJson = true;
+			if (minLevel !== null && entry.level !== null && entry.level < minLevel) {
+				continue;
+			}
+			timestamp = timestamp ?? entry.timestamp;
+			lines.push(formatJsonLog(entry));
+		}
+
+		if (!foundJson) {
+			return logMessage;
+		}
+
+		return {
+			description: lines.length > 0 ? lines.join('\n') : null,
+			timestamp: timestamp ?? logMessage.timestamp,
+		};
+	}
+}
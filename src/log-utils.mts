@@ -1,4 +1,5 @@
 import stripAnsi from 'strip-ansi';
+import { ProcessMatcher } from './process-matcher.mjs';
 import { BusData, LogMessage, Process } from './types/index.js';
 
 /**
@@ -69,9 +70,14 @@ export function parseProcessName(process: Process): string {
 /**
  * Checks if a PM2 process should have its messages forwarded to Discord.
  * Filters out messages from pm2-discord itself to prevent recursion,
- * and optionally filters by specific process name if configured.
+ * and optionally filters by process name if configured.
+ * Process names can be exact names, globs like "api-*" or regular expressions like "/^worker-\d+$/".
+ * 
+ * Compiles the patterns on every call, use a `ProcessMatcher` to check many messages
+ * against the same config, and to filter by `exclude_process_name` and `namespace`.
  * 
  * @param data - PM2 bus data containing process information
+ * @param configProcessName - `process_name` option
  * @returns true if messages from this process should be forwarded, false otherwise
  * @example
  * // Always filters out self:
@@ -83,17 +89,5 @@ export function parseProcessName(process: Process): string {
  * checkProcessName({ process: { name: 'worker' } }) // => false
  */
 export function checkProcessName(data: BusData, configProcessName: string | string[] | null = null): boolean {
-	if (data.process.name === 'pm2-discord') { return false; }
-
-	if (typeof configProcessName === 'string' &&
-		data.process.name !== configProcessName) {
-		return false;
-	}
-
-	if (Array.isArray(configProcessName) &&
-		!configProcessName.includes(data.process.name)) {
-		return false;
-	}
-
-	return true;
+	return new ProcessMatcher(configProcessName).matches(data.process);
 }
\ No newline at end of file
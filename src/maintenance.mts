@@ -0,0 +1,264 @@
+import { log } from './logging.mjs';
+import { format } from './log-utils.mjs';
+import { getLocalTime, parseTimeOfDay, WEEKDAYS } from './time-utils.mjs';
+import type { DiscordMessage, Emit, MaintenanceWindow } from './types/index.js';
+
+// Event of maintenance summaries
+export const MAINTENANCE_EVENT = 'maintenance';
+
+// Listed in `maintenance_events` to suppress every event
+const ALL_EVENTS = '*';
+
+// How often the module checks whether a window ended
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// On-demand mutes last 30 minutes unless told otherwise, and at most a day
+const DEFAULT_MUTE_MINUTES = 30;
+const MAX_MUTE_MINUTES = 1440;
+
+export interface MaintenanceOptions {
+	/** Recurring windows */
+	windows: MaintenanceWindow[],
+	/** IANA time zone of the windows, null for the system time zone */
+	timeZone: string | null,
+	/** Events suppressed inside a window, `*` for all */
+	events: string[],
+	/** Send exceptions even if their event is suppressed */
+	allowExceptions: boolean,
+	/** Wrap summaries in a code block, like other messages */
+	format?: boolean
+}
+
+function isDay(window: MaintenanceWindow, weekday: number): boolean {
+	return !window.days || window.days.some(day => WEEKDAYS.indexOf(day.toLowerCase().substring(0, 3)) === weekday);
+}
+
+/**
+ * Checks if a recurring window is open at a time of the week.
+ * A window that ends before it starts runs past midnight, and `days` are the days it starts on.
+ *
+ * @param window - Window from the config
+ * @param weekday - Day of the week, 0 for Sunday
+ * @param seconds - Seconds since midnight
+ * @example
+ * // Saturday 02:00
+ * isInWindow({ days: ['fri'], start: '22:00', end: '06:00' }, 6, 7200) // => true
+ */
+export function isInWindow(window: MaintenanceWindow, weekday: number, seconds: number): boolean {
+	const start = parseTimeOfDay(window.start);
+	const end = parseTimeOfDay(window.end);
+	if (start === end) {
+		return isDay(window, weekday);
+	}
+	if (start < end) {
+		return isDay(window, weekday) && seconds >= start && seconds < end;
+	}
+	return (seconds >= start && isDay(window, weekday)) ||
+		(seconds < end && isDay(window, (weekday + 6) % 7));
+}
+
+/**
+ * Builds the text of the summary sent when a window ends.
+ *
+ * @param counts - Suppressed messages by process name, then by event
+ * @returns Summary text
+ * @example
+ * // Maintenance window ended, 5 messages were suppressed:
+ * // api: 2 stop, 2 online
+ * // worker: 1 restart
+ */
+export function buildSummary(counts: Map<string, Map<string, number>>): string {
+	let total = 0;
+	const lines: string[] = [];
+	for (const [name, events] of counts) {
+		const parts: string[] = [];
+		for (const [event, count] of events) {
+			parts.push(`${count} ${event}`);
+			total += count;
+		}
+		lines.push(`${name}: ${parts.join(', ')}`);
+	}
+	const header = `Maintenance window ended, ${total} message${total === 1 ? ' was' : 's were'} suppressed:`;
+	return [header, ...lines].join('\n');
+}
+
+/**
+ * Suppresses chosen events during recurring maintenance windows, and while muted on demand.
+ * Suppressed messages are counted, and a single summary is sent once the window ends.
+ */
+export class MaintenanceWindows {
+	options: MaintenanceOptions
+	emit: Emit
+	/** End of the on-demand mute, epoch milliseconds */
+	mutedUntil: number | null = null
+	/** Whether a window was open when last checked */
+	active: boolean = false
+	/** Suppressed messages by process name, then by event */
+	counts: Map<string, Map<string, number>> = new Map()
+	interval: NodeJS.Timeout | null = null
+
+	/**
+	 * @param options - Windows, events and formatting
+	 * @param emit - Called with the summary
+	 */
+	constructor(options: MaintenanceOptions, emit: Emit) {
+		this.options = options;
+		this.emit = emit;
+	}
+
+	/**
+	 * Whether a recurring window or a mute is open
+	 */
+	isActive(now: number = Date.now()): boolean {
+		if (this.mutedUntil !== null && now < this.mutedUntil) {
+			return true;
+		}
+		if (this.options.windows.length === 0) {
+			return false;
+		}
+		const { weekday, seconds } = getLocalTime(this.options.timeZone, now);
+		return this.options.windows.some(window => isInWindow(window, weekday, seconds));
+	}
+
+	/**
+	 * Starts checking for the end of windows, if any window or mute is set
+	 */
+	start(): void {
+		if (this.interval || (this.options.windows.length === 0 && this.mutedUntil === null)) {
+			return;
+		}
+		this.interval = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+		// checking should not keep the process alive
+		this.interval.unref();
+	}
+
+	stop(): void {
+		if (this.interval) {
+			clearInterval(this.interval);
+			this.interval = null;
+		}
+	}
+
+	/**
+	 * Applies new options, a mute and the messages counted so far are kept
+	 */
+	update(options: MaintenanceOptions): void {
+		this.options = options;
+		this.stop();
+		this.check();
+		this.start();
+	}
+
+	/**
+	 * Suppresses the chosen events for a while, on top of the recurring windows.
+	 *
+	 * @param minutes - How long to mute
+	 * @param now - Current time in milliseconds
+	 */
+	mute(minutes: number, now: number = Date.now()): void {
+		this.mutedUntil = now + minutes * 60000;
+		this.active = true;
+		log('log', `Muted for ${minutes} minutes.`);
+		this.start();
+	}
+
+	/**
+	 * Ends a mute right away, the summary is sent unless a recurring window is still open
+	 */
+	unmute(now: number = Date.now()): void {
+		this.mutedUntil = null;
+		log('log', 'Unmuted.');
+		this.check(now);
+	}
+
+	/**
+	 * Sends the summary if the window that was open has ended
+	 *
+	 * @returns Whether a window is open
+	 */
+	check(now: number = Date.now()): boolean {
+		if (this.mutedUntil !== null && now >= this.mutedUntil) {
+			this.mutedUntil = null;
+		}
+		const active = this.isActive(now);
+		if (this.active && !active) {
+			this.sendSummary(now);
+		}
+		this.active = active;
+		if (!active && this.mutedUntil === null && this.options.windows.length === 0) {
+			this.stop();
+		}
+		return active;
+	}
+
+	/**
+	 * Counts a message if it should not be sent because a window is open.
+	 *
+	 * @param message - Message to send
+	 * @param now - Current time in milliseconds
+	 * @returns Whether the message is suppressed
+	 */
+	suppresses(message: DiscordMessage, now: number = Date.now()): boolean {
+		if (!this.check(now)) {
+			return false;
+		}
+		if (message.event === 'exception' && this.options.allowExceptions) {
+			return false;
+		}
+		if (!this.options.events.includes(message.event) && !this.options.events.includes(ALL_EVENTS)) {
+			return false;
+		}
+
+		let events = this.counts.get(message.name);
+		if (!events) {
+			events = new Map();
+			this.counts.set(message.name, events);
+		}
+		events.set(message.event, (events.get(message.event) ?? 0) + 1);
+		return true;
+	}
+
+	/**
+	 * Sends the summary of the suppressed messages, if any, and starts counting from zero
+	 */
+	sendSummary(now: number = Date.now()): void {
+		if (this.counts.size === 0) {
+			return;
+		}
+		const text = buildSummary(this.counts);
+		this.counts = new Map();
+		this.emit({
+			name: 'PM2',
+			event: MAINTENANCE_EVENT,
+			description: this.options.format ? format(text) : text,
+			timestamp: Math.floor(now / 1000),
+		});
+	}
+
+	/**
+	 * Sends the summary of a window that is still open and stops checking.
+	 * Used before shutting down.
+	 */
+	flush(): void {
+		this.stop();
+		this.sendSummary();
+	}
+}
+
+/**
+ * Handles `pm2 trigger pm2-discord mute [minutes]`.
+ * PM2 passes `{}` instead of the minutes when none are given, which mutes for `DEFAULT_MUTE_MINUTES`.
+ *
+ * @param maintenance - Windows to mute
+ * @param param - Argument of the trigger
+ * @param reply - Sends the result back to `pm2 trigger`
+ */
+export function handleMuteAction(maintenance: MaintenanceWindows, param: unknown, reply: (data: unknown) => void): void {
+	const minutes = typeof param === 'string' && param.trim() !== '' ? Number(param) : DEFAULT_MUTE_MINUTES;
+	if (!Number.isFinite(minutes) || minutes <= 0) {
+		reply({ success: false, error: `Invalid number of minutes "${param}"` });
+		return;
+	}
+	maintenance.mute(Math.min(minutes, MAX_MUTE_MINUTES));
+	reply({ success: true, muted_until: new Date(maintenance.mutedUntil ?? Date.now()).toISOString() });
+}
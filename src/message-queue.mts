@@ -1,5 +1,10 @@
+import { toAttachmentMessage } from './attachment-utils.mjs';
+import type { DeadLetterStore } from './dead-letter.mjs';
+import { appendFieldsText, DISCORD_EMBEDS_PER_MESSAGE, DISCORD_EMBED_DESCRIPTION_LIMIT, DISCORD_EMBED_TOTAL_CHAR_LIMIT, getEmbedLength } from './embed-utils.mjs';
 import { debug, log } from './logging.mjs';
-import type { DiscordMessage, DiscordRateLimitInfo, MessageQueueConfig, RequestHistoryEntry, SendToDiscord } from './types/index.js';
+import { splitMessage } from './message-split.mjs';
+import type { Spool } from './spool.mjs';
+import type { BufferGroupBy, DiscordMessage, DiscordRateLimitInfo, MessagePriority, MessageQueueConfig, OverflowPolicy, ProbeWebhook, RequestHistoryEntry, SendToDiscord } from './types/index.js';
 
 // Rate limit constants
 // Discord webhooks have a specific limit: 30 requests per 60 seconds = 0.5 req/sec
@@ -11,13 +16,139 @@ const DEFAULT_TICK_INTERVAL_MS = 100;
 // and reduce duplicate message risk in edge cases
 const MAX_RETRY_ATTEMPTS = 5;
 
+// Backoff after failed requests (other than 429) doubles with every
+// consecutive failure, starting at BACKOFF_BASE_MS and capped at BACKOFF_MAX_MS
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+
+// How often a webhook that returned 404 is checked again
+const WEBHOOK_PROBE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Lanes in the order they are served
+export const PRIORITIES: MessagePriority[] = ['critical', 'normal', 'bulk'];
+
+// Priority of events that `priorities` does not mention, `*` applies to all other events
+export const DEFAULT_PRIORITIES: Record<string, MessagePriority> = {
+  'exception': 'critical',
+  'restart overlimit': 'critical',
+  'crash loop': 'critical',
+  'kill': 'critical',
+  'log': 'bulk',
+  '*': 'normal',
+};
+
+// Messages that waited this long are sent before messages of a higher priority, unless configured
+const DEFAULT_PRIORITY_MAX_WAIT_SECONDS = 120;
+
+// Most messages a queue holds and which are dropped beyond that, unless configured
+const DEFAULT_MAX_QUEUED_MESSAGES = 1000;
+const DEFAULT_OVERFLOW_POLICY: OverflowPolicy = 'drop_lowest_priority';
+
+// Event of the notice sent once messages are delivered again after some were dropped
+export const OVERFLOW_EVENT = 'queue overflow';
+
 // Discord message character limit per message
 // https://discord.com/developers/docs/resources/channel#create-message
 const DISCORD_MESSAGE_CHAR_LIMIT = 2000;
 
+/**
+ * Calculates how long to wait before retrying after consecutive failed requests.
+ * The delay doubles with every failure and is capped at 60 seconds. Half of the delay
+ * is random (jitter) so that queues don't retry a recovering endpoint all at once.
+ *
+ * @param failures - Number of consecutive failed requests (1 for the first failure)
+ * @param random - Random number generator returning values in [0, 1), for testing
+ * @returns Delay in milliseconds
+ * @example
+ * computeBackoffDelay(1) // => between 500 and 1000
+ * computeBackoffDelay(3) // => between 2000 and 4000
+ * computeBackoffDelay(10) // => between 30000 and 60000
+ */
+export function computeBackoffDelay(failures: number, random: () => number = Math.random): number {
+  const exponent = Math.max(0, failures - 1);
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, exponent));
+  return Math.floor(delay / 2 + random() * (delay / 2));
+}
+
+/**
+ * Returns the priority of an event: the configured one, the configured one for `*`,
+ * the default one, or "normal".
+ * A configured `*` overrides the default priorities too, so `{ '*': 'bulk' }` also demotes exceptions.
+ *
+ * @param event - Event type
+ * @param priorities - `priorities` setting
+ * @returns Lane of the event
+ * @example
+ * getPriority('exception')                        // => "critical"
+ * getPriority('log')                              // => "bulk"
+ * getPriority('error', { error: 'critical' })     // => "critical"
+ * getPriority('log', { '*': 'normal' })           // => "normal"
+ */
+export function getPriority(event: string, priorities: Record<string, MessagePriority> | null = null): MessagePriority {
+  return priorities?.[event] ?? priorities?.['*'] ?? DEFAULT_PRIORITIES[event] ?? DEFAULT_PRIORITIES['*'];
+}
+
+/**
+ * Returns the highest of some priorities
+ *
+ * @example
+ * highestPriority(['bulk', 'critical', 'normal']) // => "critical"
+ */
+export function highestPriority(priorities: MessagePriority[]): MessagePriority {
+  return PRIORITIES.find(priority => priorities.includes(priority)) ?? DEFAULT_PRIORITIES['*'];
+}
+
+function emptyLanes(): Record<MessagePriority, DiscordMessage[]> {
+  return { critical: [], normal: [], bulk: [] };
+}
+
+/**
+ * Returns the key of the buffer a message goes into, messages with the same key are combined.
+ *
+ * @param message - Message to buffer
+ * @param groupBy - `buffer_group_by` setting
+ * @returns Buffer key
+ * @example
+ * getBufferKey({ name: 'api', event: 'log', ... }, 'process_event') // => "api\u0000log"
+ * getBufferKey({ name: 'api', event: 'log', ... }, 'process')       // => "api"
+ * getBufferKey({ name: 'api', event: 'log', ... }, 'none')          // => ""
+ */
+export function getBufferKey(message: DiscordMessage, groupBy: BufferGroupBy = 'process_event'): string {
+  switch (groupBy) {
+    case 'process':
+      return message.name;
+    case 'event':
+      return message.event;
+    case 'none':
+      return '';
+    default:
+      return `${message.name}\u0000${message.event}`;
+  }
+}
+
+/**
+ * Messages waiting to be combined, with their own flush timer and character count
+ */
+export interface MessageBuffer {
+  messages: DiscordMessage[],
+  characterCount: number,
+  timer: NodeJS.Timeout | null
+}
+
+/**
+ * Optional stores a MessageQueue persists messages to
+ */
+export interface MessageQueueStorage {
+  /** Durable spool so queued messages survive restarts and crashes */
+  spool?: Spool | null
+  /** Dead-letter file for messages that could not be delivered */
+  deadLetters?: DeadLetterStore | null
+}
+
 export class MessageQueue {
   config: MessageQueueConfig
-  messageQueue: DiscordMessage[] = []
+  // Queued messages by priority, each lane is first in, first out
+  lanes: Record<MessagePriority, DiscordMessage[]> = emptyLanes()
   sender: SendToDiscord
   requestHistory: RequestHistoryEntry[] = []
   discordRateLimit: DiscordRateLimitInfo | null = null
@@ -25,9 +156,8 @@ export class MessageQueue {
   isSending: boolean = false
   webhookInvalid: boolean = false
 
-  // Buffer-related properties
-  bufferTimer: NodeJS.Timeout | null = null
-  currentBuffer: DiscordMessage[] = []
+  // Buffers by key, see `getBufferKey`, in the order they were started
+  buffers: Map<string, MessageBuffer> = new Map()
 
   // Backoff timeout for rate limit delays
   backoffTimeout: NodeJS.Timeout | null = null
@@ -39,15 +169,81 @@ export class MessageQueue {
   // Track if we're in a rate-limited backoff period
   rateLimitedUntil: number = 0
 
-  characterCount: number = 0
+  // Number of failed requests in a row, used for exponential backoff
+  consecutiveFailures: number = 0
+
+  // Messages dropped because the queue was full, reported once delivery recovers
+  droppedCount: number = 0
 
   // Shutdown state to prevent new operations during graceful shutdown
   isShuttingDown: boolean = false
 
-  constructor(config: MessageQueueConfig, sender: SendToDiscord) {
+  spool: Spool | null
+  deadLetters: DeadLetterStore | null
+
+  // Checks an invalid webhook again from time to time, if set
+  probe: ProbeWebhook | null
+  probeInterval: NodeJS.Timeout | null = null
+
+  constructor(config: MessageQueueConfig, sender: SendToDiscord, storage: MessageQueueStorage = {}, probe: ProbeWebhook | null = null) {
     this.config = config;
     this.sender = sender;
+    this.probe = probe;
+    this.spool = storage.spool ?? null;
+    this.deadLetters = storage.deadLetters ?? null;
+
+    const { requestsPerTick, tickIntervalMs } = MessageQueue.calculateThrottle(config);
+    this.requestsPerTick = requestsPerTick;
+    this.tickIntervalMs = tickIntervalMs;
+  }
+
+  /**
+   * Queued messages of all lanes, from the highest priority to the lowest
+   */
+  get messageQueue(): DiscordMessage[] {
+    return PRIORITIES.flatMap(priority => this.lanes[priority]);
+  }
+
+  set messageQueue(messages: DiscordMessage[]) {
+    this.lanes = emptyLanes();
+    messages.forEach(message => this.getLane(message).push(message));
+  }
 
+  /**
+   * Buffered messages of all buffers
+   */
+  get currentBuffer(): DiscordMessage[] {
+    return Array.from(this.buffers.values()).flatMap(buffer => buffer.messages);
+  }
+
+  /**
+   * Characters buffered in all buffers
+   */
+  get characterCount(): number {
+    let count = 0;
+    this.buffers.forEach(buffer => count += buffer.characterCount);
+    return count;
+  }
+
+  /**
+   * Flush timer of the oldest buffer that has one, null if no flush is pending
+   */
+  get bufferTimer(): NodeJS.Timeout | null {
+    for (const buffer of this.buffers.values()) {
+      if (buffer.timer) {
+        return buffer.timer;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Calculates how many requests to send per tick, and how often to tick, from the rate limit settings.
+   *
+   * @param config - Queue config with the user's rate limit settings
+   * @returns Throttle settings
+   */
+  static calculateThrottle(config: Pick<MessageQueueConfig, 'rate_limit_messages' | 'rate_limit_window_seconds'>): { requestsPerTick: number, tickIntervalMs: number } {
     // Calculate throttle settings from user config
     // User specifies: rate_limit_messages per rate_limit_window_seconds
     // We need to convert this to: how many requests to send per tick interval
@@ -74,14 +270,52 @@ export class MessageQueue {
     //   Example: 2/sec with 100ms tick = send 0.2 requests per tick (rounded to 0)
     if (safeRatePerSecond < 1) {
       // Low rate: send 1 request per extended interval
-      this.requestsPerTick = 1;
-      this.tickIntervalMs = Math.floor(1000 / safeRatePerSecond);
-    } else {
-      // Higher rate: use standard interval and calculate requests per tick
-      // Formula: (requests/sec) * (tick_duration_sec) = requests/tick
-      // Example: 2 req/sec * 0.1 sec = 0.2 requests/tick (min 1)
-      this.tickIntervalMs = DEFAULT_TICK_INTERVAL_MS;
-      this.requestsPerTick = Math.max(1, Math.floor(safeRatePerSecond * (this.tickIntervalMs / 1000)));
+      return {
+        requestsPerTick: 1,
+        tickIntervalMs: Math.floor(1000 / safeRatePerSecond),
+      };
+    }
+    // Higher rate: use standard interval and calculate requests per tick
+    // Formula: (requests/sec) * (tick_duration_sec) = requests/tick
+    // Example: 2 req/sec * 0.1 sec = 0.2 requests/tick (min 1)
+    return {
+      tickIntervalMs: DEFAULT_TICK_INTERVAL_MS,
+      requestsPerTick: Math.max(1, Math.floor(safeRatePerSecond * (DEFAULT_TICK_INTERVAL_MS / 1000))),
+    };
+  }
+
+  /**
+   * Applies changed settings to the running queue, e.g. after `pm2 set`.
+   * Messages that are already queued or buffered are kept. The throttle is recalculated
+   * from the new rate limits, and the buffers are flushed if buffering was turned off or grouping changed.
+   *
+   * @param config - New queue config
+   */
+  updateConfig(config: MessageQueueConfig): void {
+    const urlChanged = config.discord_url !== this.config.discord_url;
+    const bufferWasEnabled = this.config.buffer ?? true;
+    const groupByChanged = config.buffer_group_by !== this.config.buffer_group_by;
+    this.config = { ...config, discord_url: this.config.discord_url };
+
+    const { requestsPerTick, tickIntervalMs } = MessageQueue.calculateThrottle(config);
+    this.requestsPerTick = requestsPerTick;
+    if (tickIntervalMs !== this.tickIntervalMs) {
+      this.tickIntervalMs = tickIntervalMs;
+      // restart the interval so the new tick rate is used right away
+      if (this.flushInterval) {
+        clearInterval(this.flushInterval);
+        this.flushInterval = null;
+        this.startInterval();
+      }
+    }
+
+    if ((bufferWasEnabled && !(config.buffer ?? true)) || groupByChanged) {
+      this.flushBuffer();
+    }
+    this.trimQueue();
+
+    if (urlChanged) {
+      this.setWebhookUrl(config.discord_url);
     }
   }
 
@@ -122,6 +356,102 @@ export class MessageQueue {
     return this.webhookInvalid;
   }
 
+  /**
+   * Marks the webhook as invalid (404 response) and stops sending to it.
+   * If a probe is set, the webhook is checked again every 15 minutes
+   * and delivery resumes once it exists again.
+   */
+  markWebhookInvalid(): void {
+    log('error', 'Webhook marked as invalid. Stopping message processing.');
+    this.webhookInvalid = true;
+    this.stopTicking();
+
+    if (this.probe && !this.probeInterval && !this.isShuttingDown) {
+      const minutes = WEBHOOK_PROBE_INTERVAL_MS / 60000;
+      log('log', `Will check the webhook again every ${minutes} minutes. Set a new discord_url to resume delivery right away.`);
+      this.probeInterval = setInterval(() => {
+        this.probeWebhook().catch(err => {
+          log('error', 'Error probing webhook:', err);
+        });
+      }, WEBHOOK_PROBE_INTERVAL_MS);
+      // don't keep the process alive just for probing
+      this.probeInterval.unref();
+    }
+  }
+
+  /**
+   * Checks if an invalid webhook exists again and resumes delivery if it does.
+   *
+   * @returns true if the webhook is valid again
+   */
+  async probeWebhook(): Promise<boolean> {
+    if (!this.probe || !this.webhookInvalid || !this.config.discord_url) {
+      return false;
+    }
+
+    log('log', 'Checking if the invalid webhook exists again...');
+    const url = this.config.discord_url;
+    const valid = await this.probe(url);
+    // the URL may have been changed while probing
+    if (url !== this.config.discord_url || !this.webhookInvalid) {
+      return false;
+    }
+    if (!valid) {
+      log('log', `Webhook is still invalid, checking again in ${WEBHOOK_PROBE_INTERVAL_MS / 60000} minutes.`);
+      return false;
+    }
+
+    log('log', 'Webhook exists again, resuming message processing.');
+    this.resumeDelivery();
+    return true;
+  }
+
+  /**
+   * Switches the queue to a new webhook URL. Clears the invalid webhook state and
+   * rate limit bookkeeping of the old URL, and resumes sending queued messages.
+   *
+   * @param discord_url - New webhook URL
+   */
+  setWebhookUrl(discord_url: string | null): void {
+    if (discord_url === this.config.discord_url) {
+      return;
+    }
+
+    log('log', 'Webhook URL changed, resuming message processing with the new URL.');
+    this.config = { ...this.config, discord_url };
+    this.discordRateLimit = null;
+    this.requestHistory = [];
+    this.resumeDelivery();
+  }
+
+  /**
+   * Clears the invalid webhook and backoff state and restarts sending
+   */
+  resumeDelivery(): void {
+    this.webhookInvalid = false;
+    this.consecutiveFailures = 0;
+    this.rateLimitedUntil = 0;
+    this.stopProbe();
+    if (this.backoffTimeout) {
+      clearTimeout(this.backoffTimeout);
+      this.backoffTimeout = null;
+    }
+
+    if (this.messageQueue.length > 0 && !this.flushInterval && !this.isShuttingDown) {
+      this.startInterval();
+    }
+  }
+
+  /**
+   * Stops checking an invalid webhook
+   */
+  stopProbe(): void {
+    if (this.probeInterval) {
+      clearInterval(this.probeInterval);
+      this.probeInterval = null;
+    }
+  }
+
   /**
    * Records a request in the history for rate limit tracking.
    * Used for testing and monitoring request patterns.
@@ -188,19 +518,299 @@ export class MessageQueue {
     return this.rateLimitedUntil - now;
   }
 
+  /**
+   * Returns the lane of a message, based on its event or the priority it was given when combined
+   */
+  getLane(message: DiscordMessage): DiscordMessage[] {
+    return this.lanes[message._priority ?? getPriority(message.event, this.config.priorities)];
+  }
+
+  /**
+   * Adds messages to the end of their lane and records them in the spool, if enabled.
+   *
+   * @param messages - Messages to queue
+   */
+  enqueue(...messages: DiscordMessage[]): void {
+    const now = Date.now();
+    messages.forEach(message => {
+      message._queuedAt = message._queuedAt ?? now;
+      this.spool?.append(message);
+      this.getLane(message).push(message);
+    });
+    this.trimQueue();
+  }
+
+  /**
+   * Puts messages back in front of their lanes, in their original order,
+   * e.g. to retry them or after restoring them from the spool
+   *
+   * @param messages - Messages to put back
+   */
+  putBack(messages: DiscordMessage[]): void {
+    for (let i = messages.length - 1; i >= 0; i--) {
+      this.getLane(messages[i]).unshift(messages[i]);
+    }
+    this.trimQueue();
+  }
+
+  /**
+   * Number of queued messages in all lanes
+   */
+  getQueuedCount(): number {
+    return PRIORITIES.reduce((count, priority) => count + this.lanes[priority].length, 0);
+  }
+
+  /**
+   * Most messages the queue holds, see `max_queued_messages`
+   */
+  getMaxQueuedMessages(): number {
+    return this.config.max_queued_messages ?? DEFAULT_MAX_QUEUED_MESSAGES;
+  }
+
+  /**
+   * Removes one message from the queue according to `overflow_policy`.
+   * When messages of several lanes were queued at the same time, the lowest priority one goes.
+   *
+   * @returns Dropped message
+   */
+  dropOne(): DiscordMessage | undefined {
+    const lanes = PRIORITIES.map(priority => this.lanes[priority]).filter(lane => lane.length > 0).reverse();
+    switch (this.config.overflow_policy ?? DEFAULT_OVERFLOW_POLICY) {
+      case 'drop_oldest':
+        return lanes.reduce((oldest, lane) => (lane[0]._queuedAt ?? 0) < (oldest[0]._queuedAt ?? 0) ? lane : oldest).shift();
+      case 'drop_newest':
+        return lanes.reduce((newest, lane) => (lane[lane.length - 1]._queuedAt ?? 0) > (newest[newest.length - 1]._queuedAt ?? 0) ? lane : newest).pop();
+      default:
+        return lanes[0].shift();
+    }
+  }
+
+  /**
+   * Drops messages until the queue holds at most `max_queued_messages`, so memory stays bounded
+   * while Discord can't be reached. Dropped messages are only counted for the notice sent once
+   * delivery recovers, they are not dead-lettered so a flood does not fill the disk instead.
+   */
+  trimQueue(): void {
+    const overflow = this.getQueuedCount() - this.getMaxQueuedMessages();
+    if (overflow <= 0) {
+      return;
+    }
+
+    const dropped: DiscordMessage[] = [];
+    for (let i = 0; i < overflow; i++) {
+      const message = this.dropOne();
+      if (message) {
+        dropped.push(message);
+      }
+    }
+    // logged once until the notice is sent
+    if (this.droppedCount === 0) {
+      log('warn', `Queue is full (${this.getMaxQueuedMessages()} messages), dropping messages: ${this.config.overflow_policy ?? DEFAULT_OVERFLOW_POLICY}`);
+    }
+    this.droppedCount += dropped.length;
+    this.acknowledge(dropped);
+  }
+
+  /**
+   * Queues a notice with the number of dropped messages, once the backlog went down to
+   * half of `max_queued_messages` so it is not sent while messages are still being dropped.
+   */
+  queueDroppedNotice(): void {
+    if (this.droppedCount === 0 || this.getQueuedCount() > this.getMaxQueuedMessages() / 2) {
+      return;
+    }
+    const count = this.droppedCount;
+    this.droppedCount = 0;
+    log('log', `Delivery recovered, ${count} message(s) were dropped.`);
+    this.enqueue({
+      name: 'PM2',
+      event: OVERFLOW_EVENT,
+      description: `${count} message${count === 1 ? ' was' : 's were'} dropped due to backlog`,
+      timestamp: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  /**
+   * Marks messages as done in the spool, if enabled, so they are not replayed after a restart.
+   * Called for messages that were sent and for messages that were given up on.
+   *
+   * @param messages - Messages that left the queue for good
+   */
+  acknowledge(messages: DiscordMessage[]): void {
+    messages.forEach(message => this.spool?.ack(message));
+  }
+
+  /**
+   * Gives up on messages: writes them to the dead-letter file, if enabled,
+   * and removes them from the spool.
+   *
+   * @param messages - Messages that could not be delivered
+   * @param reason - Why they could not be delivered
+   * @param attempts - Number of failed attempts, defaults to the retry count of each message
+   */
+  discard(messages: DiscordMessage[], reason: string, attempts?: number): void {
+    this.deadLetters?.add(messages, reason, attempts);
+    this.acknowledge(messages);
+  }
+
+  /**
+   * Queues all messages from the dead-letter file again and empties it.
+   * Meant to be triggered by the user once the webhook works again, so a webhook
+   * that was marked as invalid is given another chance as well.
+   *
+   * @returns Number of replayed messages
+   */
+  replayDeadLetters(): number {
+    if (!this.deadLetters || this.isShuttingDown) {
+      return 0;
+    }
+
+    const messages = this.deadLetters.take();
+    if (messages.length === 0) {
+      return 0;
+    }
+
+    if (this.webhookInvalid) {
+      log('log', 'Replaying dead letters, trying the webhook again.');
+      this.webhookInvalid = false;
+      this.stopProbe();
+    }
+    log('log', `Replaying ${messages.length} message(s) from ${this.deadLetters.filePath}`);
+    this.enqueue(...messages);
+    if (!this.flushInterval) {
+      this.startInterval();
+    }
+    return messages.length;
+  }
+
+  /**
+   * Loads messages that were still queued when the module stopped from the spool
+   * and puts them in front of the processing queue.
+   *
+   * @returns Number of replayed messages
+   */
+  restoreFromSpool(): number {
+    if (!this.spool) {
+      return 0;
+    }
+
+    const messages = this.spool.load();
+    if (messages.length > 0) {
+      this.putBack(messages);
+      if (!this.flushInterval) {
+        this.startInterval();
+      }
+    }
+    return messages.length;
+  }
+
+  /**
+   * Whether messages are sent as Discord embeds instead of plain content.
+   *
+   * @returns true if embeds mode is enabled
+   */
+  isEmbedsMode(): boolean {
+    return this.config.embeds ?? false;
+  }
+
+  /**
+   * Maximum number of characters allowed in a single message description.
+   * Plain content is limited to 2000 characters, an embed description to 4096.
+   *
+   * @returns Character limit for one message
+   */
+  getMessageCharLimit(): number {
+    return this.isEmbedsMode() ? DISCORD_EMBED_DESCRIPTION_LIMIT : DISCORD_MESSAGE_CHAR_LIMIT;
+  }
+
+  /**
+   * Maximum number of characters a buffered batch may hold.
+   * In content mode the batch becomes one 2000 character message,
+   * in embeds mode it is bound by the 6000 character total embed limit.
+   *
+   * @returns Character limit for one buffered batch
+   */
+  getBufferCharLimit(): number {
+    return this.isEmbedsMode() ? DISCORD_EMBED_TOTAL_CHAR_LIMIT : DISCORD_MESSAGE_CHAR_LIMIT;
+  }
+
+  /**
+   * Picks the lane the next request is taken from: the highest priority lane with messages,
+   * unless a lane has a message that waited longer than `priority_max_wait_seconds`.
+   * Lanes with such messages go first, the one with the oldest message first,
+   * so bulk messages are delayed by higher priorities but never held back forever.
+   *
+   * @param now - Current time in milliseconds
+   * @returns Lane to take messages from, empty if nothing is queued
+   */
+  selectLane(now: number = Date.now()): DiscordMessage[] {
+    const maxWaitMs = (this.config.priority_max_wait_seconds ?? DEFAULT_PRIORITY_MAX_WAIT_SECONDS) * 1000;
+    let overdue: DiscordMessage[] | null = null;
+    for (const priority of PRIORITIES) {
+      const queuedAt = this.lanes[priority][0]?._queuedAt;
+      if (queuedAt === undefined || now - queuedAt < maxWaitMs) {
+        continue;
+      }
+      if (!overdue || queuedAt < (overdue[0]._queuedAt ?? now)) {
+        overdue = this.lanes[priority];
+      }
+    }
+    return overdue ?? PRIORITIES.map(priority => this.lanes[priority]).find(lane => lane.length > 0) ?? this.lanes.normal;
+  }
+
+  /**
+   * Removes the messages for the next request from the front of a lane, see `selectLane`.
+   * In content mode this takes up to requestsPerTick messages. In embeds mode
+   * it takes as many messages as fit in one request: at most 10 embeds and
+   * 6000 characters in total.
+   * A message with a file attachment is always sent in a request of its own.
+   *
+   * @returns Messages to send in one request
+   */
+  takeBatch(): DiscordMessage[] {
+    const lane = this.selectLane();
+    if (lane[0]?.attachment) {
+      return lane.splice(0, 1);
+    }
+
+    const maxMessages = this.isEmbedsMode() ? DISCORD_EMBEDS_PER_MESSAGE : this.requestsPerTick;
+    let count = 0;
+    let totalLength = 0;
+    while (count < lane.length && count < maxMessages) {
+      const next = lane[count];
+      if (next.attachment) {
+        break;
+      }
+      if (!this.isEmbedsMode()) {
+        count++;
+        continue;
+      }
+      const length = getEmbedLength(next);
+      // always send at least one embed, even if it is oversized on its own
+      if (count > 0 && totalLength + length > DISCORD_EMBED_TOTAL_CHAR_LIMIT) {
+        break;
+      }
+      totalLength += length;
+      count++;
+    }
+    return lane.splice(0, count);
+  }
+
   /**
    * Process one tick of the queue - send up to requestsPerTick messages
+   *
+   * @param drain - Send even though the queue is shutting down, used to send what is left before exiting
    */
-  async processTick(): Promise<void> {
+  async processTick(drain: boolean = false): Promise<void> {
     // Don't process if already sending, webhook is invalid, or we're shutting down
-    if (this.isSending || this.webhookInvalid || this.isShuttingDown) {
+    if (this.isSending || this.webhookInvalid || (this.isShuttingDown && !drain)) {
       return;
     }
 
     // If in backoff, schedule a check for when it expires (unless shutting down)
     if (!this.canSendNow()) {
       if (this.flushInterval) {
-        this.stopInterval();
+        this.stopTicking();
       }
       if (!this.isShuttingDown) {
         const delay = this.getDelayUntilNextSend();
@@ -215,15 +825,15 @@ export class MessageQueue {
 
     // If queue is empty, stop the interval
     if (this.messageQueue.length === 0) {
-      this.stopInterval();
+      this.stopTicking();
       return;
     }
 
     this.isSending = true;
 
     try {
-      // Take up to requestsPerTick messages from the queue
-      const messagesToSend = this.messageQueue.splice(0, this.requestsPerTick);
+      // Take the messages for the next request from the queue
+      const messagesToSend = this.takeBatch();
 
       if (messagesToSend.length === 0) {
         return;
@@ -236,7 +846,7 @@ export class MessageQueue {
       this.cleanupRequestHistory();
 
       // Send to Discord
-      const result = await this.sender(messagesToSend, this.config.discord_url);
+      const result = await this.sender(messagesToSend, this.config.discord_url, { embeds: this.isEmbedsMode() });
 
       // Update Discord rate limit info if provided
       if (result.rateLimitInfo) {
@@ -245,10 +855,9 @@ export class MessageQueue {
 
       // Handle webhook invalid (404) - stop sending
       if (result.webhookInvalid) {
-        log('error', 'Webhook marked as invalid. Stopping message processing.');
-        this.webhookInvalid = true;
-        this.stopInterval();
+        this.markWebhookInvalid();
         // Don't put messages back - they can't be sent to an invalid webhook
+        messagesToSend.forEach(msg => this.discard([msg], 'webhook invalid', (msg._retryAttempts ?? 0) + 1));
         return;
       }
 
@@ -258,25 +867,42 @@ export class MessageQueue {
         this.rateLimitedUntil = Date.now() + (result.retryAfter * 1000);
         // Put messages back at front of queue for retry (if not exceeding max attempts)
         // Track retry attempts to prevent infinite loops in edge cases
-        messagesToSend.forEach(msg => {
+        const retryMessages = messagesToSend.filter(msg => {
           msg._retryAttempts = (msg._retryAttempts ?? 0) + 1;
           if (msg._retryAttempts <= MAX_RETRY_ATTEMPTS) {
-            this.messageQueue.unshift(msg);
-          } else {
-            log('warn', `Message exceeded max retry attempts (${MAX_RETRY_ATTEMPTS}), discarding`);
+            return true;
           }
+          log('warn', `Message exceeded max retry attempts (${MAX_RETRY_ATTEMPTS}), discarding`);
+          this.discard([msg], 'rate limited');
+          return false;
         });
+        // Put them back all at once so they keep their original order
+        this.putBack(retryMessages);
+      } else if (!result.success && result.retryable === false) {
+        // Client errors (400, 401, 403, ...) fail the same way every time, so don't retry them
+        messagesToSend.forEach(msg => this.discard([msg], result.error ?? 'request rejected', (msg._retryAttempts ?? 0) + 1));
       } else if (!result.success) {
-        // Handle other errors - retry with attempt tracking
-        messagesToSend.forEach(msg => {
+        // Handle other errors (5xx, timeouts, network errors) - back off and retry with attempt tracking
+        this.consecutiveFailures++;
+        const delay = computeBackoffDelay(this.consecutiveFailures);
+        log('log', `Request failed (${result.error}), backing off for ${delay}ms`);
+        this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + delay);
+        const retryMessages = messagesToSend.filter(msg => {
           msg._retryAttempts = (msg._retryAttempts ?? 0) + 1;
           if (msg._retryAttempts <= MAX_RETRY_ATTEMPTS) {
-            // Put failed messages back for retry
-            this.messageQueue.unshift(msg);
-          } else {
-            log('warn', `Message exceeded max retry attempts (${MAX_RETRY_ATTEMPTS}), discarding: ${result.error}`);
+            return true;
           }
+          log('warn', `Message exceeded max retry attempts (${MAX_RETRY_ATTEMPTS}), discarding: ${result.error}`);
+          this.discard([msg], result.error ?? 'unknown error');
+          return false;
         });
+        // Put failed messages back for retry, in their original order
+        this.putBack(retryMessages);
+      } else {
+        // Sent successfully
+        this.consecutiveFailures = 0;
+        this.acknowledge(messagesToSend);
+        this.queueDroppedNotice();
       }
     } catch (error) {
       log('error', 'Error sending to Discord:', error);
@@ -302,25 +928,36 @@ export class MessageQueue {
   }
 
   /**
-   * Stops all timers and intervals for this queue.
-   * Clears both the processing interval and buffer flush timer.
-   * Called during shutdown or when queue is empty.
+   * Stops the processing interval and the backoff timeout.
+   * Called when the queue is empty or in backoff. Buffer timers keep running,
+   * so buffered messages are still flushed into the queue and start it again.
    */
-  stopInterval(): void {
+  stopTicking(): void {
     if (this.flushInterval) {
       clearInterval(this.flushInterval);
       this.flushInterval = null;
     }
-    if (this.bufferTimer) {
-      clearTimeout(this.bufferTimer);
-      this.bufferTimer = null;
-    }
     if (this.backoffTimeout) {
       clearTimeout(this.backoffTimeout);
       this.backoffTimeout = null;
     }
   }
 
+  /**
+   * Stops all timers and intervals for this queue.
+   * Clears the processing interval, the backoff timeout and the buffer flush timers.
+   * Called during shutdown or when a queue is no longer used.
+   */
+  stopInterval(): void {
+    this.stopTicking();
+    this.buffers.forEach(buffer => {
+      if (buffer.timer) {
+        clearTimeout(buffer.timer);
+        buffer.timer = null;
+      }
+    });
+  }
+
   /**
    * Initiates graceful shutdown of this message queue.
    * Sets shutdown flag to prevent new operations and stops all timers.
@@ -329,56 +966,105 @@ export class MessageQueue {
   beginShutdown(): void {
     this.isShuttingDown = true;
     this.stopInterval();
+    this.stopProbe();
   }
 
   /**
-   * Flushes the current message buffer by combining all buffered messages into one.
+   * Flushes a message buffer by combining its messages into one, or all buffers
+   * in the order they were started when no key is given.
    * Messages are joined with newlines and added to the processing queue.
-   * Resets the buffer and character count to start fresh.
-   * Called either when buffer timer expires or when buffer reaches size/character limits.
+   * In embeds mode messages are queued individually since each one becomes its own embed.
+   * Called either when a buffer timer expires or when a buffer reaches size/character limits.
+   *
+   * @param key - Key of the buffer to flush, see `getBufferKey`
    */
-  flushBuffer(): void {
-    this.characterCount = 0;
+  flushBuffer(key?: string): void {
+    const keys = key === undefined ? Array.from(this.buffers.keys()) : [key];
+    for (const bufferKey of keys) {
+      const buffer = this.buffers.get(bufferKey);
+      if (!buffer) {
+        continue;
+      }
+      if (buffer.timer) {
+        clearTimeout(buffer.timer);
+      }
+      this.buffers.delete(bufferKey);
 
-    if (this.currentBuffer.length === 0) {
-      return;
+      if (this.isEmbedsMode()) {
+        this.enqueue(...buffer.messages);
+      } else {
+        // Combine all buffered messages into one, in the lane of its most important part
+        const combined: DiscordMessage = {
+          name: buffer.messages[0].name,
+          event: buffer.messages[0].event,
+          description: buffer.messages.map(m => m.description || '').join('\n'),
+          timestamp: buffer.messages[0].timestamp
+        };
+        const priority = highestPriority(buffer.messages.map(m => m._priority ?? getPriority(m.event, this.config.priorities)));
+        if (priority !== getPriority(combined.event, this.config.priorities)) {
+          combined._priority = priority;
+        }
+        this.enqueue(combined);
+      }
     }
 
-    // Combine all buffered messages into one
-    const combinedMessage: DiscordMessage = {
-      name: this.currentBuffer[0].name,
-      event: this.currentBuffer[0].event,
-      description: this.currentBuffer.map(m => m.description || '').join('\n'),
-      timestamp: this.currentBuffer[0].timestamp
-    };
-
-    // Add combined message to the queue
-    this.messageQueue.push(combinedMessage);
-
-    // Clear the buffer
-    this.currentBuffer = [];
-
     // Start the interval if not already running
-    if (!this.flushInterval) {
+    if (keys.length > 0 && this.messageQueue.length > 0 && !this.flushInterval) {
       this.startInterval();
     }
   }
 
   /**
-   * Checks if the buffer should be flushed immediately.
+   * Checks if a buffer should be flushed immediately.
    * Flushes when character count reaches Discord's 2000 char limit or queue_max messages.
+   * In embeds mode the limits are 6000 characters and 10 embeds per request.
    * 
+   * @param buffer - Buffer to check, any buffer if not given
    * @returns true if buffer should flush now, false otherwise
    */
-  shouldFlushBuffer(): boolean {
-    return this.characterCount >= DISCORD_MESSAGE_CHAR_LIMIT || this.currentBuffer.length >= (this.config.queue_max ?? 100)
+  shouldFlushBuffer(buffer?: MessageBuffer): boolean {
+    if (!buffer) {
+      return Array.from(this.buffers.values()).some(b => this.shouldFlushBuffer(b));
+    }
+    const queueMax = this.config.queue_max ?? 100;
+    const maxMessages = this.isEmbedsMode() ? Math.min(queueMax, DISCORD_EMBEDS_PER_MESSAGE) : queueMax;
+    return buffer.characterCount >= this.getBufferCharLimit() || buffer.messages.length >= maxMessages
+  }
+
+  /**
+   * Adds messages directly to the processing queue, skipping the buffer.
+   * The buffer is flushed first so earlier messages are still sent before these,
+   * and the messages are not combined with other messages.
+   *
+   * @param messages - Ordered messages to queue
+   */
+  addUnbuffered(messages: DiscordMessage[]): void {
+    this.flushBuffer();
+
+    this.enqueue(...messages);
+
+    if (!this.flushInterval) {
+      this.startInterval();
+    }
+  }
+
+  /**
+   * Adds the parts of a split message directly to the processing queue.
+   *
+   * @param message - Original message the parts were split from
+   * @param parts - Ordered message parts
+   */
+  addMessageParts(message: DiscordMessage, parts: string[]): void {
+    this.addUnbuffered(parts.map(part => ({ ...message, description: part })));
   }
 
   /**
    * Adds a message to the queue for sending to Discord.
    * If buffering is enabled, messages are combined within buffer_seconds window.
    * If buffering is disabled, messages are added directly to the processing queue.
-   * Automatically handles character limits and truncates oversized messages.
+   * Automatically handles character limits and truncates oversized messages,
+   * splits them into several ordered messages when `long_messages` is "split",
+   * or sends them as a file attachment when `long_messages` is "attach".
    * 
    * During shutdown, new messages are rejected with a warning.
    * 
@@ -390,61 +1076,90 @@ export class MessageQueue {
       return;
     }
 
+    // Fields are only shown as such in embeds, plain messages get them as text so they survive buffering
+    if (message.fields && !this.isEmbedsMode()) {
+      message.description = appendFieldsText(message.description, message.fields);
+      delete message.fields;
+    }
+
     const bufferEnabled = this.config.buffer ?? true;
     const bufferSeconds = this.config.buffer_seconds ?? 1;
 
     debug('Buffer is set to:', bufferEnabled, 'Buffer seconds:', bufferSeconds);
-    let newMessageLength = message.description?.length ?? 0;
+    const messageCharLimit = this.getMessageCharLimit();
+
+    // Split single messages that exceed the limit into several messages
+    if (this.config.long_messages === 'split' && message.description && message.description.length > messageCharLimit) {
+      const parts = splitMessage(message.description, messageCharLimit);
+      log('log', `Single message exceeds ${messageCharLimit} character limit, splitting into ${parts.length} messages...`);
+      this.addMessageParts(message, parts);
+      return;
+    }
+
+    // Send messages over the attachment threshold as a file with a short summary
+    const attachmentThreshold = Math.min(this.config.attachment_threshold ?? messageCharLimit, messageCharLimit);
+    if (this.config.long_messages === 'attach' && message.description && message.description.length > attachmentThreshold) {
+      log('log', `Single message exceeds ${attachmentThreshold} characters, sending it as a file attachment...`);
+      this.addUnbuffered([toAttachmentMessage(message)]);
+      return;
+    }
 
     // Truncate single messages that exceed the limit
-    if (newMessageLength > DISCORD_MESSAGE_CHAR_LIMIT) {
-      log('warn', 'Single message exceeds 2000 character limit, truncating...');
-      message.description = message.description?.substring(0, DISCORD_MESSAGE_CHAR_LIMIT - 3) + '...';
-      // Recalculate length after truncation
-      newMessageLength = message.description?.length ?? 0;
+    if ((message.description?.length ?? 0) > messageCharLimit) {
+      log('warn', `Single message exceeds ${messageCharLimit} character limit, truncating...`);
+      message.description = message.description?.substring(0, messageCharLimit - 3) + '...';
     }
 
+    // In embeds mode the title and author count towards the total embed limit as well
+    const newMessageLength = this.isEmbedsMode() ? getEmbedLength(message) : message.description?.length ?? 0;
+
     if (bufferEnabled) {
-      // if adding this new message would exceed Discord's 2000 character limit, flush current buffer first
+      // Messages from different sources are buffered separately, so each combined message has one source
+      const key = getBufferKey(message, this.config.buffer_group_by);
+      const bufferCharLimit = this.getBufferCharLimit();
+      // if adding this new message would exceed Discord's character limit, flush the buffer first
       // When joining messages with '\n', we add (buffer.length) newline characters total
-      // For current buffer of size N, adding 1 message means (N) newlines between all messages
-      const newlinesThatWillExist = this.currentBuffer.length; // Each message except first has a newline before it
+      // For a buffer of size N, adding 1 message means (N) newlines between all messages
+      // Embeds are not joined, so no newlines are added in embeds mode
+      const existing = this.buffers.get(key);
+      const newlinesThatWillExist = !existing || this.isEmbedsMode() ? 0 : existing.messages.length;
+
+      if (existing && existing.characterCount + newlinesThatWillExist + newMessageLength > bufferCharLimit) {
+        log('log', `Adding this message would exceed ${bufferCharLimit} character limit, flushing its buffer first.`);
+        this.flushBuffer(key);
+      }
 
-      if (this.characterCount + newlinesThatWillExist + newMessageLength > DISCORD_MESSAGE_CHAR_LIMIT) {
-        log('log', 'Adding this message would exceed 2000 character limit, flushing current buffer first.');
-        this.flushBuffer();
+      let buffer = this.buffers.get(key);
+      if (!buffer) {
+        buffer = { messages: [], characterCount: 0, timer: null };
+        this.buffers.set(key, buffer);
       }
 
-      // Add to current buffer
-      this.currentBuffer.push(message);
+      // Add to the buffer
+      buffer.messages.push(message);
       // Track message length (newlines are accounted for during character count check)
-      this.characterCount += newMessageLength;
+      buffer.characterCount += newMessageLength;
       // Check if buffer has reached queue_max - if so, flush immediately
-      if (this.shouldFlushBuffer()) {
+      if (this.shouldFlushBuffer(buffer)) {
         log('log', 'Buffer reached queue_max, flushing immediately.');
-        // Cancel the timer since we're flushing now
-        if (this.bufferTimer) {
-          clearTimeout(this.bufferTimer);
-          this.bufferTimer = null;
-        }
-        this.flushBuffer();
+        this.flushBuffer(key);
         return;
       }
 
       // Reset the buffer timer
-      if (this.bufferTimer) {
-        clearTimeout(this.bufferTimer);
+      if (buffer.timer) {
+        clearTimeout(buffer.timer);
       }
 
       // Set timer to flush buffer after buffer_seconds (unless shutting down)
       if (!this.isShuttingDown) {
-        this.bufferTimer = setTimeout(() => {
-          this.flushBuffer();
+        buffer.timer = setTimeout(() => {
+          this.flushBuffer(key);
         }, bufferSeconds * 1000);
       }
     } else {
       // No buffering - add directly to queue
-      this.messageQueue.push(message);
+      this.enqueue(message);
 
       // Start the interval if not already running
       if (!this.flushInterval) {
@@ -0,0 +1,108 @@
+// Code block fence as added by `format()`
+const FENCE = '```';
+// Reopened fences get their own line so the first line of text isn't read as a language tag
+const FENCE_REOPEN = FENCE + '\n';
+
+/**
+ * Returns the "(2/3)"-style marker that is put in front of each part
+ */
+function partMarker(part: number, total: number): string {
+	return `(${part}/${total})\n`;
+}
+
+function countFences(line: string): number {
+	return line.split(FENCE).length - 1;
+}
+
+/**
+ * Splits lines that don't fit into `maxLength` into several lines.
+ */
+function hardWrap(lines: string[], maxLength: number): string[] {
+	const wrapped: string[] = [];
+	for (const line of lines) {
+		if (line.length <= maxLength) {
+			wrapped.push(line);
+			continue;
+		}
+		for (let i = 0; i < line.length; i += maxLength) {
+			wrapped.push(line.substring(i, i + maxLength));
+		}
+	}
+	return wrapped;
+}
+
+/**
+ * Packs lines into parts of at most `capacity` characters (without markers).
+ * Code fences that are open at the end of a part are closed and reopened in the next part.
+ */
+function packLines(lines: string[], capacity: number): string[] {
+	const parts: string[] = [];
+	let current: string[] = [];
+	let currentLength = 0;
+	let openAtStart = false;
+	let open = false;
+
+	const pushPart = () => {
+		const prefix = openAtStart ? FENCE_REOPEN : '';
+		const suffix = open ? FENCE : '';
+		parts.push(prefix + current.join('\n') + suffix);
+		openAtStart = open;
+		current = [];
+		currentLength = 0;
+	};
+
+	for (const line of lines) {
+		const addedLength = (current.length > 0 ? 1 : 0) + line.length;
+		if (current.length > 0 && currentLength + addedLength > capacity) {
+			pushPart();
+		}
+		currentLength += (current.length > 0 ? 1 : 0) + line.length;
+		current.push(line);
+		if (countFences(line) % 2 === 1) {
+			open = !open;
+		}
+	}
+
+	if (current.length > 0) {
+		pushPart();
+	}
+
+	return parts;
+}
+
+/**
+ * Splits a long message on line boundaries into several parts that each fit within `limit` characters.
+ * Code blocks are closed at the end of a part and reopened at the start of the next one,
+ * and every part starts with a "(2/3)"-style marker so the order is visible in Discord.
+ * Single lines that are longer than a part are split at the character limit.
+ *
+ * @param text - Message text to split
+ * @param limit - Maximum number of characters per part, including markers and fences
+ * @returns Ordered message parts, or the original text if it already fits
+ * @example
+ * splitMessage('line 1\nline 2\nline 3', 19)
+ * // => ['(1/2)\nline 1\nline 2', '(2/2)\nline 3']
+ */
+export function splitMessage(text: string, limit: number): string[] {
+	if (text.length <= limit) {
+		return [text];
+	}
+
+	// Space needed to close and reopen a code block in every part
+	const fenceReserve = text.includes(FENCE) ? FENCE_REOPEN.length + FENCE.length : 0;
+
+	// The marker length depends on the number of parts, so start with a guess
+	// and repeat until the number of digits no longer changes
+	let estimatedTotal = 9;
+	let parts: string[] = [];
+	for (; ;) {
+		const capacity = Math.max(1, limit - partMarker(estimatedTotal, estimatedTotal).length - fenceReserve);
+		parts = packLines(hardWrap(text.split('\n'), capacity), capacity);
+		if (String(parts.length).length <= String(estimatedTotal).length) {
+			break;
+		}
+		estimatedTotal = Math.pow(10, String(parts.length).length) - 1;
+	}
+
+	return parts.map((part, i) => partMarker(i + 1, parts.length) + part);
+}
@@ -0,0 +1,31 @@
+import { homedir } from 'os';
+import { join } from 'path';
+
+/**
+ * Returns PM2's home directory, the same way PM2 resolves it.
+ *
+ * @returns `PM2_HOME` if set, otherwise `~/.pm2`
+ */
+export function getPm2Home(): string {
+	return process.env['PM2_HOME'] || join(homedir(), '.pm2');
+}
+
+/**
+ * Returns the directory where pm2-discord keeps its files (spool, dead letters).
+ *
+ * @param customDir - `data_dir` from the config, if set
+ * @returns `data_dir` if set, otherwise `<PM2_HOME>/pm2-discord`
+ */
+export function getDataDir(customDir: string | null = null): string {
+	return customDir || join(getPm2Home(), 'pm2-discord');
+}
+
+/**
+ * Turns a name (e.g. a webhook name) into something that is safe to use in a file name.
+ *
+ * @param name - Name to use in a file name
+ * @returns Name with everything but letters, digits, `-` and `_` replaced
+ */
+export function toSafeFileName(name: string): string {
+	return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
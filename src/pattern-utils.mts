@@ -0,0 +1,71 @@
+// `/source/flags` notation, e.g. "/fatal|panic/i"
+const REGEX_LITERAL = /^\/(.+)\/([a-z]*)$/s;
+
+/**
+ * Checks if a pattern is written as a regex literal, `/source/flags`
+ *
+ * @param pattern - Pattern from the config
+ * @returns true for "/api-\d+/" or "/api/i", false for "api-*"
+ */
+export function isRegexLiteral(pattern: string): boolean {
+	return REGEX_LITERAL.test(pattern);
+}
+
+/**
+ * Turns a pattern from the config into a regular expression.
+ * Patterns can be written as `/source/flags` to pass flags, anything else is used as the regex source.
+ * The `g` and `y` flags are ignored since they make matching stateful.
+ *
+ * @param pattern - Pattern from the config
+ * @returns Regular expression
+ * @throws SyntaxError if the pattern is not a valid regular expression
+ * @example
+ * parsePattern('/fatal|panic/i') // => /fatal|panic/i
+ * parsePattern('GET /health')    // => /GET \/health/
+ */
+export function parsePattern(pattern: string): RegExp {
+	const literal = REGEX_LITERAL.exec(pattern);
+	if (literal) {
+		return new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+	}
+	return new RegExp(pattern);
+}
+
+/**
+ * Converts a glob pattern into an anchored regular expression.
+ * Supports `*` (any number of characters) and `?` (exactly one character),
+ * every other character is matched literally.
+ *
+ * @param glob - Glob pattern, e.g. "api-*"
+ * @returns Regular expression matching the whole string
+ * @example
+ * globToRegExp('api-*').test('api-users') // => true
+ * globToRegExp('api-*').test('worker-1')  // => false
+ */
+export function globToRegExp(glob: string): RegExp {
+	const source = glob
+		.split('')
+		.map(char => {
+			if (char === '*') return '.*';
+			if (char === '?') return '.';
+			return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('');
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks if a value matches one of the given glob patterns.
+ * A null or undefined pattern list matches everything.
+ *
+ * @param value - Value to test, e.g. a process name
+ * @param patterns - A single glob pattern or a list of them
+ * @returns true if the value matches at least one pattern
+ */
+export function matchesGlob(value: string | null | undefined, patterns: string | string[] | null | undefined): boolean {
+	if (patterns === null || patterns === undefined) {
+		return true;
+	}
+	const list = Array.isArray(patterns) ? patterns : [patterns];
+	return list.some(pattern => globToRegExp(String(pattern)).test(value ?? ''));
+}
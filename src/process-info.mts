@@ -0,0 +1,190 @@
+import pm2 from 'pm2';
+import type { ProcessDescription } from 'pm2';
+import { debug } from './logging.mjs';
+import type { DiscordField, Process } from './types/index.js';
+
+/**
+ * Looks up a process in PM2, resolves to null if it is unknown
+ */
+export type DescribeProcess = (pmId: string | number) => Promise<ProcessDescription | null>
+
+/**
+ * State of a process at the time of an event
+ */
+export interface ProcessDetails {
+	pm_id?: string | number,
+	restarts?: number,
+	/** Milliseconds since the process was started */
+	uptime?: number,
+	/** Bytes */
+	memory?: number,
+	/** Percent */
+	cpu?: number,
+	exit_code?: number,
+	signal?: string,
+	node_version?: string,
+	script?: string
+}
+
+let connection: Promise<void> | null = null;
+
+/**
+ * Connects to the PM2 daemon once, the bus alone does not allow describing processes
+ */
+function connect(): Promise<void> {
+	if (!connection) {
+		connection = new Promise<void>((resolve, reject) => {
+			pm2.connect(err => err ? reject(err) : resolve());
+		}).catch(e => {
+			connection = null;
+			throw e;
+		});
+	}
+	return connection;
+}
+
+/**
+ * Looks up a process with `pm2.describe`.
+ *
+ * @param pmId - PM2 id or name of the process
+ * @returns Description of the process, or null if it is unknown or PM2 could not be reached
+ */
+export async function describeProcess(pmId: string | number): Promise<ProcessDescription | null> {
+	try {
+		await connect();
+		return await new Promise<ProcessDescription | null>((resolve, reject) => {
+			pm2.describe(pmId, (err, descriptions) => err ? reject(err) : resolve(descriptions?.[0] ?? null));
+		});
+	} catch (e) {
+		debug(`Could not describe process ${pmId}:`, (e as Error).message);
+		return null;
+	}
+}
+
+/**
+ * Lists all processes with `pm2.list`, including their memory and CPU usage.
+ *
+ * @returns Descriptions of all processes
+ */
+export async function listProcesses(): Promise<ProcessDescription[]> {
+	await connect();
+	return new Promise<ProcessDescription[]>((resolve, reject) => {
+		pm2.list((err, descriptions) => err ? reject(err) : resolve(descriptions ?? []));
+	});
+}
+
+function pickNumber(...values: unknown[]): number | undefined {
+	return values.find((value): value is number => typeof value === 'number' && isFinite(value));
+}
+
+function pickString(...values: unknown[]): string | undefined {
+	return values.find((value): value is string => typeof value === 'string' && value !== '');
+}
+
+/**
+ * Combines the process data of a bus event with the description from PM2.
+ * The bus data wins, as it describes the process at the time of the event,
+ * memory and CPU usage only come from PM2.
+ *
+ * @param busProcess - `process` of the bus event, holds PM2's process environment
+ * @param description - Result of `describeProcess`
+ * @param now - Current time in milliseconds, for the uptime
+ * @returns Details that were found
+ */
+export function collectProcessDetails(
+	busProcess: Partial<Process>,
+	description: ProcessDescription | null,
+	now: number = Date.now()
+): ProcessDetails {
+	const env = (description?.pm2_env ?? {}) as Record<string, unknown>;
+	const startedAt = pickNumber(busProcess.pm_uptime, env.pm_uptime);
+
+	return {
+		pm_id: busProcess.pm_id ?? description?.pm_id,
+		restarts: pickNumber(busProcess.restart_time, env.restart_time),
+		uptime: startedAt !== undefined && startedAt <= now ? now - startedAt : undefined,
+		memory: pickNumber(description?.monit?.memory),
+		cpu: pickNumber(description?.monit?.cpu),
+		exit_code: pickNumber(busProcess.exit_code, env.exit_code),
+		signal: pickString(busProcess.exit_signal, env.exit_signal),
+		node_version: pickString(busProcess.node_version, env.node_version),
+		script: pickString(busProcess.pm_exec_path, env.pm_exec_path),
+	};
+}
+
+/**
+ * Formats a duration, e.g. "3d 4h" or "12m 5s"
+ */
+export function formatDuration(ms: number): string {
+	const seconds = Math.floor(ms / 1000);
+	const units: [number, string][] = [[86400, 'd'], [3600, 'h'], [60, 'm'], [1, 's']];
+	const parts: string[] = [];
+	let rest = seconds;
+	for (const [size, unit] of units) {
+		if (rest >= size || (unit === 's' && parts.length === 0)) {
+			parts.push(`${Math.floor(rest / size)}${unit}`);
+			rest %= size;
+		}
+		if (parts.length === 2) {
+			break;
+		}
+	}
+	return parts.join(' ');
+}
+
+/**
+ * Formats a size in bytes, e.g. "48.2 MB"
+ */
+export function formatBytes(bytes: number): string {
+	const units = ['B', 'KB', 'MB', 'GB'];
+	let value = bytes;
+	let unit = 0;
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+	return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Turns process details into message fields, leaving out what is unknown.
+ *
+ * @param details - Result of `collectProcessDetails`
+ * @returns Fields in a fixed order
+ * @example
+ * toProcessFields({ pm_id: 3, restarts: 12, memory: 50540544, cpu: 2.5 })
+ * // => [{ name: 'pm_id', value: '3' }, { name: 'Restarts', value: '12' },
+ * //     { name: 'Memory', value: '48.2 MB' }, { name: 'CPU', value: '2.5%' }]
+ */
+export function toProcessFields(details: ProcessDetails): DiscordField[] {
+	const fields: [string, string | undefined][] = [
+		['pm_id', details.pm_id?.toString()],
+		['Restarts', details.restarts?.toString()],
+		['Uptime', details.uptime !== undefined ? formatDuration(details.uptime) : undefined],
+		['Memory', details.memory !== undefined ? formatBytes(details.memory) : undefined],
+		['CPU', details.cpu !== undefined ? `${details.cpu}%` : undefined],
+		['Exit code', details.exit_code?.toString()],
+		['Signal', details.signal],
+		['Node', details.node_version],
+		['Script', details.script],
+	];
+	return fields
+		.filter((field): field is [string, string] => field[1] !== undefined)
+		.map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Gathers the fields describing a process at the time of an event.
+ *
+ * @param busProcess - `process` of the bus event
+ * @param describe - Looks up the process in PM2
+ * @returns Fields to add to the message
+ */
+export async function getProcessFields(
+	busProcess: Partial<Process>,
+	describe: DescribeProcess = describeProcess
+): Promise<DiscordField[]> {
+	const id = busProcess.pm_id ?? busProcess.name;
+	const description = id !== undefined ? await describe(id) : null;
+	return toProcessFields(collectProcessDetails(busProcess, description));
+}
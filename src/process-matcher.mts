@@ -0,0 +1,106 @@
+import { log } from './logging.mjs';
+import { globToRegExp, isRegexLiteral, parsePattern } from './pattern-utils.mjs';
+import type { Process } from './types/index.js';
+
+// Messages from the module itself are never forwarded, to prevent loops
+const SELF_PROCESS_NAME = 'pm2-discord';
+
+export type NamePatterns = string | string[] | null
+
+/**
+ * Compiles process name or namespace patterns.
+ * Patterns written as `/source/flags` are regular expressions, anything else is a glob
+ * where `*` and `?` are wildcards. A pattern without wildcards matches the exact name.
+ * Invalid regular expressions are logged and left out. If none of the patterns is valid, the option
+ * is ignored as a whole, so a typo does not filter out every process.
+ *
+ * @param patterns - A single pattern or a list of them
+ * @param optionName - Name of the option, for error messages
+ * @returns Compiled patterns, or null if no valid patterns are set
+ * @example
+ * compileNamePatterns(['api-*', '/^worker-\d+$/'], 'process_name') // => [/^api-.*$/, /^worker-\d+$/]
+ */
+export function compileNamePatterns(patterns: NamePatterns | undefined, optionName: string): RegExp[] | null {
+	if (patterns === null || patterns === undefined) {
+		return null;
+	}
+
+	const list = Array.isArray(patterns) ? patterns : [patterns];
+	const compiled: RegExp[] = [];
+	for (const pattern of list) {
+		if (typeof pattern !== 'string') {
+			log('error', `Ignoring ${optionName} pattern ${JSON.stringify(pattern)}: not a string.`);
+			continue;
+		}
+		if (!isRegexLiteral(pattern)) {
+			compiled.push(globToRegExp(pattern));
+			continue;
+		}
+		try {
+			compiled.push(parsePattern(pattern));
+		} catch (e) {
+			log('error', `Ignoring invalid ${optionName} pattern ${pattern}:`, (e as Error).message);
+		}
+	}
+	if (list.length > 0 && compiled.length === 0) {
+		log('error', `Ignoring ${optionName}: none of its patterns is valid.`);
+		return null;
+	}
+	return compiled;
+}
+
+/**
+ * Decides which PM2 processes have their messages forwarded, by process name and namespace.
+ * A process has to match `process_name` (if set) and `namespace` (if set),
+ * and must not match `exclude_process_name`.
+ */
+export class ProcessMatcher {
+	include: RegExp[] | null
+	exclude: RegExp[] | null
+	namespaces: RegExp[] | null
+
+	/**
+	 * Compiles the patterns once, invalid patterns are reported here.
+	 *
+	 * @param processName - `process_name` option
+	 * @param excludeProcessName - `exclude_process_name` option
+	 * @param namespace - `namespace` option
+	 */
+	constructor(processName: NamePatterns = null, excludeProcessName: NamePatterns = null, namespace: NamePatterns = null) {
+		this.include = compileNamePatterns(processName, 'process_name');
+		this.exclude = compileNamePatterns(excludeProcessName, 'exclude_process_name');
+		this.namespaces = compileNamePatterns(namespace, 'namespace');
+	}
+
+	/**
+	 * Checks if messages from a process should be forwarded.
+	 *
+	 * @param process - PM2 process metadata
+	 * @returns true if messages from this process should be forwarded
+	 * @example
+	 * const matcher = new ProcessMatcher(['api-*', 'worker-*'], 'worker-debug');
+	 * matcher.matches({ name: 'api-users' })    // => true
+	 * matcher.matches({ name: 'worker-debug' }) // => false
+	 * matcher.matches({ name: 'cron' })         // => false
+	 */
+	matches(process: Partial<Process>): boolean {
+		const name = process.name ?? '';
+		if (name === SELF_PROCESS_NAME) {
+			return false;
+		}
+
+		if (this.include && !this.include.some(regex => regex.test(name))) {
+			return false;
+		}
+
+		if (this.exclude && this.exclude.some(regex => regex.test(name))) {
+			return false;
+		}
+
+		if (this.namespaces && !this.namespaces.some(regex => regex.test(process.namespace ?? ''))) {
+			return false;
+		}
+
+		return true;
+	}
+}
@@ -0,0 +1,179 @@
+import { log } from './logging.mjs';
+import { parsePattern } from './pattern-utils.mjs';
+import type { DiscordMessage, RedactRule } from './types/index.js';
+
+// Replacement of custom rules without their own
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+/**
+ * Compiled redaction rule. `replace` is passed to `String.replace`, so it can use `$1`
+ * or be a function that returns the match unchanged to skip it.
+ */
+interface Redaction {
+	name: string,
+	pattern: RegExp,
+	replace: string | ((match: string, ...groups: string[]) => string)
+}
+
+/**
+ * Checks a card number against its Luhn check digit, so most other long numbers are left alone
+ */
+export function isLuhnValid(digits: string): boolean {
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let digit = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			digit *= 2;
+			if (digit > 9) {
+				digit -= 9;
+			}
+		}
+		sum += digit;
+	}
+	return sum % 10 === 0;
+}
+
+const IPV4_OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+const HEX_GROUP = '[0-9a-f]{1,4}';
+
+/**
+ * Built-in detectors, in the order they are applied.
+ * Connection strings go before emails, since `user:password@host.com` also looks like an email.
+ */
+export const DETECTORS: Redaction[] = [
+	{
+		name: 'jwt',
+		pattern: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g,
+		replace: '[REDACTED:jwt]',
+	},
+	{
+		name: 'bearer',
+		pattern: /\b(Bearer\s+)[\w\-.~+/]+=*/gi,
+		replace: '$1[REDACTED:bearer]',
+	},
+	{
+		name: 'aws_key',
+		pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b|(aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/gi,
+		replace: (match, prefix) => `${prefix ?? ''}[REDACTED:aws_key]`,
+	},
+	{
+		name: 'discord_webhook',
+		pattern: /https:\/\/(?:(?:canary|ptb)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+/gi,
+		replace: '[REDACTED:discord_webhook]',
+	},
+	{
+		name: 'connection_string',
+		pattern: /\b([a-z][a-z\d+.-]*:\/\/[^\s:/@]*:)[^\s/@]+@/gi,
+		replace: '$1[REDACTED:connection_string]@',
+	},
+	{
+		name: 'email',
+		pattern: /\b[\w.+-]+@[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,}\b/gi,
+		replace: '[REDACTED:email]',
+	},
+	{
+		name: 'ipv6',
+		// full addresses, or shortened with "::" and at least one group
+		pattern: new RegExp(
+			`(?<![\\w:])(?:(?:${HEX_GROUP}:){7}${HEX_GROUP}|(?:${HEX_GROUP}:){1,7}:(?:${HEX_GROUP}(?::${HEX_GROUP}){0,6})?|::${HEX_GROUP}(?::${HEX_GROUP}){0,6})(?![\\w:])`,
+			'gi'
+		),
+		replace: '[REDACTED:ipv6]',
+	},
+	{
+		name: 'ipv4',
+		pattern: new RegExp(`(?<![\\d.])${IPV4_OCTET}(?:\\.${IPV4_OCTET}){3}(?![\\d.])`, 'g'),
+		replace: '[REDACTED:ipv4]',
+	},
+	{
+		name: 'credit_card',
+		pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+		replace: match => isLuhnValid(match.replace(/\D/g, '')) ? '[REDACTED:credit_card]' : match,
+	},
+];
+
+/**
+ * Names of the built-in detectors
+ */
+export const DETECTOR_NAMES = DETECTORS.map(detector => detector.name);
+
+/**
+ * Compiles the `redact_rules` option. Invalid rules are logged and left out.
+ *
+ * @param rules - Option value
+ * @returns Compiled rules, in order
+ * @example
+ * compileRules([{ pattern: '/session=\\w+/i', replacement: 'session=***' }])
+ * // => [{ name: 'rule 1', pattern: /session=\w+/gi, replace: 'session=***' }]
+ */
+export function compileRules(rules: RedactRule[] | null): Redaction[] {
+	const compiled: Redaction[] = [];
+	(rules ?? []).forEach((rule, index) => {
+		if (!rule || typeof rule.pattern !== 'string') {
+			log('error', `Ignoring redact_rules rule ${JSON.stringify(rule)}: "pattern" must be a string.`);
+			return;
+		}
+		try {
+			const regex = parsePattern(rule.pattern);
+			compiled.push({
+				name: `rule ${index + 1}`,
+				pattern: new RegExp(regex.source, regex.flags + 'g'),
+				replace: typeof rule.replacement === 'string' ? rule.replacement : DEFAULT_REPLACEMENT,
+			});
+		} catch (e) {
+			log('error', `Ignoring invalid redact_rules pattern: ${rule.pattern}`, (e as Error).message);
+		}
+	});
+	return compiled;
+}
+
+/**
+ * Replaces secrets and personal data in outgoing messages,
+ * with the chosen built-in detectors followed by the custom rules.
+ */
+export class Redactor {
+	redactions: Redaction[]
+
+	/**
+	 * @param detectors - Names of the built-in detectors to use, null for all of them
+	 * @param rules - Custom rules from `redact_rules`
+	 */
+	constructor(detectors: string[] | null, rules: RedactRule[] | null = null) {
+		for (const name of detectors ?? []) {
+			if (!DETECTOR_NAMES.includes(name)) {
+				log('error', `Ignoring unknown redact_detectors entry "${name}", must be one of: ${DETECTOR_NAMES.join(', ')}.`);
+			}
+		}
+		const enabled = detectors === null ? DETECTORS : DETECTORS.filter(detector => detectors.includes(detector.name));
+		this.redactions = [...enabled, ...compileRules(rules)];
+	}
+
+	/**
+	 * Whether any detector or rule is set
+	 */
+	isEnabled(): boolean {
+		return this.redactions.length > 0;
+	}
+
+	redact(text: string): string {
+		// String.replace takes a string or a function, TypeScript only has separate overloads for them
+		return this.redactions.reduce((result, { pattern, replace }) => result.replace(pattern, replace as string), text);
+	}
+
+	/**
+	 * Returns a copy of a message with its description and field values redacted
+	 */
+	redactMessage(message: DiscordMessage): DiscordMessage {
+		if (!this.isEnabled()) {
+			return message;
+		}
+		const redacted = { ...message };
+		if (redacted.description) {
+			redacted.description = this.redact(redacted.description);
+		}
+		if (redacted.fields) {
+			redacted.fields = redacted.fields.map(field => ({ ...field, value: this.redact(field.value) }));
+		}
+		return redacted;
+	}
+}
@@ -0,0 +1,252 @@
+import type { ProcessDescription } from 'pm2';
+import { debug, log } from './logging.mjs';
+import { format, parseProcessName } from './log-utils.mjs';
+import { matchesGlob } from './pattern-utils.mjs';
+import { formatBytes, formatDuration } from './process-info.mjs';
+import type { Emit, Process, ThresholdConfig } from './types/index.js';
+
+// Event of resource alerts and recoveries
+export const RESOURCE_EVENT = 'resource';
+
+// A process has recovered once its usage stays below this share of the threshold,
+// so usage hovering around the threshold does not alert over and over
+const RECOVERY_RATIO = 0.8;
+
+// Threshold listed under this key applies to every process
+const ALL_PROCESSES = '*';
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Lists the processes managed by PM2, usually `listProcesses`
+ */
+export type ListProcesses = () => Promise<ProcessDescription[]>
+
+export interface ResourceMonitorOptions {
+	/** Memory threshold in megabytes */
+	memoryThresholdMb: ThresholdConfig,
+	/** CPU threshold in percent */
+	cpuThreshold: ThresholdConfig,
+	/** How long usage has to stay over (or under) the threshold before alerting, in seconds */
+	sustainSeconds: number,
+	/** How often usage is checked, in seconds */
+	pollSeconds: number,
+	/** Wrap messages in a code block, like other messages */
+	format?: boolean
+}
+
+/**
+ * Usage of one resource of one process
+ */
+interface MetricState {
+	/** Whether an alert was sent and the process did not recover yet */
+	alerting: boolean,
+	/** Since when usage is over the threshold (or under the recovery level while alerting), epoch milliseconds */
+	since: number | null
+}
+
+interface Metric {
+	key: 'memory' | 'cpu',
+	label: string,
+	threshold: ThresholdConfig,
+	/** Converts a threshold to the unit of the measured value */
+	scale: number,
+	describe: (value: number) => string,
+	measure: (description: ProcessDescription) => number | undefined
+}
+
+/**
+ * Returns the threshold for a process. A number applies to every process, an object maps
+ * process name globs (or `*` for all of them) to thresholds, the first matching glob wins.
+ *
+ * @param threshold - `memory_threshold_mb` or `cpu_threshold` option
+ * @param name - Process name
+ * @returns Threshold, or null if the process is not monitored
+ * @example
+ * getThreshold({ 'api-*': 1024, '*': 512 }, 'api-users') // => 1024
+ * getThreshold({ 'api-*': 1024, '*': 512 }, 'worker')    // => 512
+ * getThreshold(90, 'worker')                             // => 90
+ */
+export function getThreshold(threshold: ThresholdConfig, name: string): number | null {
+	if (typeof threshold === 'number') {
+		return threshold;
+	}
+	if (threshold === null || typeof threshold !== 'object') {
+		return null;
+	}
+	const match = Object.keys(threshold).find(pattern => pattern !== ALL_PROCESSES && matchesGlob(name, pattern));
+	const value = threshold[match ?? ALL_PROCESSES];
+	return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Converts a process description from `pm2.list` into the shape used by bus events
+ */
+export function toProcess(description: ProcessDescription): Process {
+	const env = (description.pm2_env ?? {}) as Record<string, unknown>;
+	return {
+		name: description.name ?? '',
+		pm_id: description.pm_id ?? '',
+		exec_mode: typeof env.exec_mode === 'string' ? env.exec_mode : 'fork_mode',
+		instances: typeof env.instances === 'number' ? env.instances : 1,
+		namespace: typeof env.namespace === 'string' ? env.namespace : undefined,
+	};
+}
+
+/**
+ * Polls the memory and CPU usage of all processes and alerts when a process stays over
+ * its threshold for `sustainSeconds`, and again once it stayed below 80% of it as long.
+ */
+export class ResourceMonitor {
+	options: ResourceMonitorOptions
+	list: ListProcesses
+	emit: Emit
+	states: Map<string, MetricState> = new Map()
+	interval: NodeJS.Timeout | null = null
+
+	/**
+	 * @param options - Thresholds, timing and formatting
+	 * @param list - Lists the processes with their usage
+	 * @param emit - Called with the alerts
+	 */
+	constructor(options: ResourceMonitorOptions, list: ListProcesses, emit: Emit) {
+		this.options = options;
+		this.list = list;
+		this.emit = emit;
+	}
+
+	/**
+	 * Whether any threshold is set
+	 */
+	isEnabled(): boolean {
+		return this.options.memoryThresholdMb !== null || this.options.cpuThreshold !== null;
+	}
+
+	getMetrics(): Metric[] {
+		return [
+			{
+				key: 'memory',
+				label: 'Memory',
+				threshold: this.options.memoryThresholdMb,
+				scale: BYTES_PER_MB,
+				describe: formatBytes,
+				measure: description => description.monit?.memory,
+			},
+			{
+				key: 'cpu',
+				label: 'CPU',
+				threshold: this.options.cpuThreshold,
+				scale: 1,
+				describe: value => `${Math.round(value * 10) / 10}%`,
+				measure: description => description.monit?.cpu,
+			},
+		];
+	}
+
+	/**
+	 * Starts polling, if any threshold is set
+	 */
+	start(): void {
+		if (this.interval || !this.isEnabled()) {
+			return;
+		}
+		this.interval = setInterval(() => this.poll(), this.options.pollSeconds * 1000);
+		// polling should not keep the process alive
+		this.interval.unref();
+	}
+
+	stop(): void {
+		if (this.interval) {
+			clearInterval(this.interval);
+			this.interval = null;
+		}
+	}
+
+	/**
+	 * Applies new options. Polling is restarted with the new interval,
+	 * the state of processes that are over a threshold is kept.
+	 */
+	update(options: ResourceMonitorOptions): void {
+		this.options = options;
+		this.stop();
+		if (!this.isEnabled()) {
+			this.states.clear();
+		}
+		this.start();
+	}
+
+	async poll(): Promise<void> {
+		try {
+			this.check(await this.list());
+		} catch (e) {
+			log('error', 'Could not list processes to check their memory and CPU usage:', (e as Error).message);
+		}
+	}
+
+	/**
+	 * Checks the usage of all processes against their thresholds.
+	 *
+	 * @param descriptions - Processes as listed by `pm2.list`
+	 * @param now - Current time in milliseconds
+	 */
+	check(descriptions: ProcessDescription[], now: number = Date.now()): void {
+		const seen = new Set<string>();
+
+		for (const description of descriptions) {
+			const process = toProcess(description);
+			for (const metric of this.getMetrics()) {
+				const key = `${process.pm_id}\u0000${metric.key}`;
+				const threshold = getThreshold(metric.threshold, process.name);
+				const value = metric.measure(description);
+				if (threshold === null || value === undefined) {
+					continue;
+				}
+				seen.add(key);
+				this.checkMetric(key, metric, process, value, threshold, now);
+			}
+		}
+
+		// forget processes that were deleted or are no longer monitored
+		for (const key of this.states.keys()) {
+			if (!seen.has(key)) {
+				this.states.delete(key);
+			}
+		}
+	}
+
+	checkMetric(key: string, metric: Metric, process: Process, value: number, threshold: number, now: number): void {
+		const state = this.states.get(key) ?? { alerting: false, since: null };
+		this.states.set(key, state);
+
+		const limit = threshold * metric.scale;
+		const recoveryLevel = limit * RECOVERY_RATIO;
+		// while alerting, usage has to drop below the recovery level instead of the threshold
+		const crossed = state.alerting ? value < recoveryLevel : value > limit;
+		if (!crossed) {
+			state.since = null;
+			return;
+		}
+
+		state.since = state.since ?? now;
+		const sustainedMs = now - state.since;
+		if (sustainedMs < this.options.sustainSeconds * 1000) {
+			debug(`${metric.label} of ${process.name} is ${metric.describe(value)}, threshold ${metric.describe(limit)}, waiting to see if it lasts`);
+			return;
+		}
+
+		state.alerting = !state.alerting;
+		state.since = null;
+
+		const duration = formatDuration(sustainedMs);
+		const text = state.alerting
+			? `${metric.label}: ${process.name} is at ${metric.describe(value)}, over the ${metric.describe(limit)} threshold for ${duration}.`
+			: `${metric.label}: ${process.name} is back to ${metric.describe(value)}, under ${metric.describe(recoveryLevel)} (${RECOVERY_RATIO * 100}% of the ${metric.describe(limit)} threshold) for ${duration}.`;
+		log(state.alerting ? 'warn' : 'log', text);
+		this.emit({
+			name: parseProcessName(process),
+			event: RESOURCE_EVENT,
+			description: this.options.format ? format(text) : text,
+			timestamp: Math.floor(now / 1000),
+		}, process);
+	}
+}
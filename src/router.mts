@@ -0,0 +1,323 @@
+import { join } from 'path';
+import { DeadLetterStore } from './dead-letter.mjs';
+import { debug, log } from './logging.mjs';
+import { MessageQueue } from './message-queue.mjs';
+import { getDataDir, toSafeFileName } from './paths.mjs';
+import { matchesGlob } from './pattern-utils.mjs';
+import { Redactor } from './redact.mjs';
+import { Spool } from './spool.mjs';
+import type { Config, DiscordMessage, MessageQueueConfig, Process, ProbeWebhook, RouteRule, SendToDiscord } from './types/index.js';
+import { isValidDiscordWebhookUrl } from './webhook-utils.mjs';
+
+/**
+ * Name of the webhook configured through `discord_url`.
+ * Messages that don't match any route are sent here.
+ */
+export const DEFAULT_WEBHOOK = 'default';
+
+/**
+ * Information about a message used to match it against routing rules
+ */
+export interface RouteTarget {
+  /** PM2 process name (without cluster suffix) */
+  name: string,
+  event: string,
+  namespace?: string | null
+}
+
+/**
+ * Collects all valid webhook URLs by name.
+ * `discord_url` is registered as the "default" webhook, the `webhooks` option adds named ones.
+ * Invalid URLs are logged and left out.
+ *
+ * @param config - Module configuration
+ * @returns Map of webhook name to webhook URL
+ * @example
+ * getWebhookUrls({ discord_url: 'https://discord.com/api/webhooks/1/a', webhooks: { alerts: 'https://discord.com/api/webhooks/2/b' } })
+ * // => { default: 'https://discord.com/api/webhooks/1/a', alerts: 'https://discord.com/api/webhooks/2/b' }
+ */
+export function getWebhookUrls(config: Pick<Config, 'discord_url' | 'webhooks'>): Record<string, string> {
+  const urls: Record<string, string> = {};
+
+  // discord_url is only optional when named webhooks are configured
+  const hasNamedWebhooks = !!config.webhooks && Object.keys(config.webhooks).length > 0;
+  if (config.discord_url || !hasNamedWebhooks) {
+    if (isValidDiscordWebhookUrl(config.discord_url)) {
+      urls[DEFAULT_WEBHOOK] = config.discord_url as string;
+    }
+  }
+
+  for (const [name, url] of Object.entries(config.webhooks ?? {})) {
+    if (isValidDiscordWebhookUrl(url)) {
+      urls[name] = url;
+    } else {
+      log('error', `Webhook "${name}" does not have a valid Discord URL and will be ignored.`);
+    }
+  }
+
+  return urls;
+}
+
+/**
+ * Checks if a routing rule applies to a message.
+ * Every criteria that is set on the rule has to match, criteria that are not set match anything.
+ * Process names and namespaces support `*` and `?` wildcards.
+ *
+ * @param rule - Routing rule
+ * @param target - Process name, event and namespace of the message
+ * @returns true if the rule applies
+ * @example
+ * matchesRoute({ webhook: 'alerts', event: 'exception' }, { name: 'api', event: 'exception' }) // => true
+ * matchesRoute({ webhook: 'logs', process: 'worker-*' }, { name: 'api', event: 'log' })       // => false
+ */
+export function matchesRoute(rule: RouteRule, target: RouteTarget): boolean {
+  if (rule.event !== undefined && rule.event !== null) {
+    const events = Array.isArray(rule.event) ? rule.event : [rule.event];
+    if (!events.includes(target.event)) {
+      return false;
+    }
+  }
+
+  if (!matchesGlob(target.name, rule.process)) {
+    return false;
+  }
+
+  if (!matchesGlob(target.namespace, rule.namespace)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Finds the names of all webhooks a message should be sent to.
+ * A message goes to every webhook with a matching rule. When no rule matches
+ * it goes to the default webhook.
+ *
+ * @param routes - Routing rules
+ * @param target - Process name, event and namespace of the message
+ * @returns Unique webhook names in rule order
+ */
+export function resolveWebhooks(routes: RouteRule[], target: RouteTarget): string[] {
+  const names = new Set(routes.filter(rule => matchesRoute(rule, target)).map(rule => rule.webhook));
+  if (names.size === 0) {
+    return [DEFAULT_WEBHOOK];
+  }
+  return Array.from(names);
+}
+
+/**
+ * Creates the redactor for the `redact`, `redact_detectors` and `redact_rules` options
+ */
+export function createRedactor(config: Pick<Config, 'redact' | 'redact_detectors' | 'redact_rules'>): Redactor {
+  return new Redactor(config.redact ? config.redact_detectors : [], config.redact_rules);
+}
+
+/**
+ * Picks the settings of a single webhook's queue from the module configuration
+ *
+ * @param config - Module configuration
+ * @param url - Webhook URL of the queue
+ * @returns Queue configuration
+ */
+export function getQueueConfig(config: Config, url: string): MessageQueueConfig {
+  return {
+    discord_url: url,
+    rate_limit_messages: config.rate_limit_messages,
+    rate_limit_window_seconds: config.rate_limit_window_seconds,
+    buffer: config.buffer,
+    buffer_seconds: config.buffer_seconds,
+    buffer_group_by: config.buffer_group_by,
+    queue_max: config.queue_max,
+    embeds: config.embeds,
+    long_messages: config.long_messages,
+    attachment_threshold: config.attachment_threshold,
+    priorities: config.priorities,
+    priority_max_wait_seconds: config.priority_max_wait_seconds,
+    max_queued_messages: config.max_queued_messages,
+    overflow_policy: config.overflow_policy,
+  };
+}
+
+/**
+ * Dispatches messages to one MessageQueue per webhook.
+ * Each queue keeps its own buffer and rate limit bookkeeping.
+ */
+export class Router {
+  queues: Map<string, MessageQueue> = new Map()
+  routes: RouteRule[] = []
+  // Queues of removed webhooks that still send the messages they had queued
+  drainingQueues: Set<MessageQueue> = new Set()
+  sender: SendToDiscord
+  probe: ProbeWebhook | null
+  // Every outgoing message passes through route, so secrets are removed in one place
+  redactor: Redactor
+  // Missing webhooks that messages were dropped for, so the error is logged once per name
+  missingWebhooks: Set<string> = new Set()
+
+  constructor(config: Config, sender: SendToDiscord, probe: ProbeWebhook | null = null) {
+    this.sender = sender;
+    this.probe = probe;
+    this.redactor = createRedactor(config);
+
+    for (const [name, url] of Object.entries(getWebhookUrls(config))) {
+      this.queues.set(name, this.createQueue(name, url, config));
+    }
+
+    this.setRoutes(config.routes);
+  }
+
+  /**
+   * Creates the queue for a webhook, with its own spool and dead-letter file if enabled
+   */
+  createQueue(name: string, url: string, config: Config): MessageQueue {
+    const dataDir = getDataDir(config.data_dir);
+    const spool = config.spool
+      ? new Spool(join(dataDir, `spool-${toSafeFileName(name)}.jsonl`), config.spool_max_mb * 1024 * 1024)
+      : null;
+    const deadLetters = config.dead_letter
+      ? new DeadLetterStore(join(dataDir, `dead-letter-${toSafeFileName(name)}.jsonl`))
+      : null;
+
+    return new MessageQueue(getQueueConfig(config, url), this.sender, { spool, deadLetters }, this.probe);
+  }
+
+  /**
+   * Replaces the routing rules. Rules pointing to a webhook that doesn't exist are logged and ignored.
+   *
+   * @param routes - Routing rules from the config
+   */
+  setRoutes(routes: RouteRule[] | null): void {
+    this.routes = [];
+    for (const rule of routes ?? []) {
+      if (!rule || typeof rule.webhook !== 'string' || !this.queues.has(rule.webhook)) {
+        log('error', `Ignoring route ${JSON.stringify(rule)}: "webhook" must be the name of a configured webhook.`);
+        continue;
+      }
+      this.routes.push(rule);
+    }
+  }
+
+  /**
+   * Applies a changed configuration without losing queued messages, e.g. after `pm2 set`.
+   * - webhooks that still exist keep their queue, which gets the new settings and URL
+   * - new webhooks get a new queue
+   * - removed webhooks stop receiving messages, but still send what they had queued
+   *
+   * Spool and dead-letter settings only apply to queues created after the change.
+   *
+   * @param config - New module configuration
+   */
+  update(config: Config): void {
+    const urls = getWebhookUrls(config);
+    if (Object.keys(urls).length === 0) {
+      log('error', 'New config has no valid Discord webhook URL, keeping the current webhooks.');
+      return;
+    }
+
+    for (const [name, queue] of this.queues) {
+      if (!urls[name]) {
+        log('log', `Webhook "${name}" was removed, sending its remaining messages before dropping it.`);
+        this.queues.delete(name);
+        this.retireQueue(queue);
+      }
+    }
+
+    for (const [name, url] of Object.entries(urls)) {
+      const queue = this.queues.get(name);
+      if (queue) {
+        queue.updateConfig(getQueueConfig(config, url));
+      } else {
+        log('log', `Webhook "${name}" was added.`);
+        const newQueue = this.createQueue(name, url, config);
+        newQueue.restoreFromSpool();
+        this.queues.set(name, newQueue);
+      }
+    }
+
+    this.setRoutes(config.routes);
+    this.redactor = createRedactor(config);
+    this.missingWebhooks.clear();
+  }
+
+  /**
+   * Lets the queue of a removed webhook send what it has left.
+   * It is forgotten once it is empty.
+   */
+  retireQueue(queue: MessageQueue): void {
+    queue.flushBuffer();
+    if (queue.messageQueue.length > 0 && !queue.isWebhookInvalid()) {
+      this.drainingQueues.add(queue);
+    } else {
+      queue.stopInterval();
+      queue.stopProbe();
+    }
+  }
+
+  /**
+   * Returns the queues of all configured webhooks,
+   * and of removed webhooks that still have messages to send
+   *
+   * @returns Array of message queues
+   */
+  getQueues(): MessageQueue[] {
+    for (const queue of this.drainingQueues) {
+      if (queue.messageQueue.length === 0) {
+        this.drainingQueues.delete(queue);
+      }
+    }
+    return [...this.queues.values(), ...this.drainingQueues];
+  }
+
+  /**
+   * Replays the messages that were still queued when the module stopped,
+   * for every webhook with a spool.
+   */
+  restoreSpooledMessages(): void {
+    this.queues.forEach(queue => queue.restoreFromSpool());
+  }
+
+  /**
+   * Queues the dead-lettered messages of every webhook again.
+   *
+   * @returns Number of replayed messages per webhook name
+   */
+  replayDeadLetters(): Record<string, number> {
+    const replayed: Record<string, number> = {};
+    for (const [name, queue] of this.queues) {
+      replayed[name] = queue.replayDeadLetters();
+    }
+    return replayed;
+  }
+
+  /**
+   * Redacts a message, and adds it to the queue of every webhook it is routed to.
+   *
+   * @param message - Discord message to send
+   * @param process - PM2 process the message originates from, if any
+   */
+  route(message: DiscordMessage, process: Partial<Process> | null = null): void {
+    const redacted = this.redactor.redactMessage(message);
+    const target: RouteTarget = {
+      name: process?.name ?? message.name,
+      event: message.event,
+      namespace: process?.namespace ?? null,
+    };
+
+    const names = resolveWebhooks(this.routes, target);
+    for (const name of names) {
+      const queue = this.queues.get(name);
+      if (!queue) {
+        if (!this.missingWebhooks.has(name)) {
+          this.missingWebhooks.add(name);
+          const hint = name === DEFAULT_WEBHOOK ? ' Set discord_url to receive messages that match no route.' : '';
+          log('error', `No webhook named "${name}", dropping messages sent to it.${hint}`);
+        }
+        debug(`No webhook named "${name}" for ${target.event} event from ${target.name}, dropping message`);
+        continue;
+      }
+      // every queue gets its own copy since queues mutate messages (truncation, retry count)
+      queue.addMessage({ ...redacted });
+    }
+  }
+}
@@ -1,10 +1,11 @@
 import { readFileSync } from 'fs';
-import type { Headers } from 'node-fetch';
-import fetch from 'node-fetch';
+import type { BodyInit, Headers } from 'node-fetch';
+import fetch, { Blob, FormData } from 'node-fetch';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
+import { toEmbed } from './embed-utils.mjs';
 import { debug, log } from './logging.mjs';
-import type { DiscordMessage, DiscordRateLimitInfo, SendToDiscordResult } from './types/index.js';
+import type { DiscordAttachment, DiscordMessage, DiscordRateLimitInfo, SendToDiscordOptions, SendToDiscordResult } from './types/index.js';
 
 // Get version from package.json
 const __dirname = join(fileURLToPath(import.meta.url), '..');
@@ -35,6 +36,22 @@ function parseRateLimitHeaders(headers: Headers): DiscordRateLimitInfo {
   };
 }
 
+/**
+ * Checks if a request that failed with an HTTP error status is worth retrying.
+ * Server errors (5xx) and request timeouts (408) are usually temporary. Other client
+ * errors like 400 Bad Request, 401 Unauthorized or 403 Forbidden will fail the same way again.
+ * 429 and 404 are handled separately.
+ *
+ * @param status - HTTP status code of the failed request
+ * @returns true if the request should be retried
+ * @example
+ * isRetryableStatus(502) // => true
+ * isRetryableStatus(403) // => false
+ */
+export function isRetryableStatus(status: number): boolean {
+  return status >= 500 || status === 408;
+}
+
 /**
  * Generates username for Discord webhook from process names.
  * When multiple messages are batched together, combines unique process names
@@ -60,12 +77,39 @@ export function getUserName(messages: DiscordMessage[]): string {
   return Array.from(names).join(', ') || 'PM2 Discord Bot';
 }
 
+/**
+ * Builds the JSON payload for the webhook.
+ * By default all messages are joined into a single `content` string.
+ * In embeds mode every message becomes its own embed.
+ *
+ * @param messages - Messages to include in this request
+ * @param options - Rendering options
+ * @returns Webhook payload object
+ */
+export function buildPayload(messages: DiscordMessage[], options: SendToDiscordOptions = {}): Record<string, unknown> {
+  // because multiple messages from multiple processes can be batched, set username to combined names
+  const username = getUserName(messages);
+
+  if (options.embeds) {
+    return {
+      embeds: messages.map(toEmbed),
+      username,
+    };
+  }
+
+  return {
+    content: messages.map(msg => msg.description || '').join('\n'),
+    username,
+  };
+}
+
 /**
  * Send messages to Discord's Incoming Webhook with rate limit handling
  */
 export async function sendToDiscord(
   messages: DiscordMessage[],
-  discord_url: string | null
+  discord_url: string | null,
+  options: SendToDiscordOptions = {}
 ): Promise<SendToDiscordResult> {
   if (!messages || messages.length === 0) {
     return {
@@ -85,18 +129,81 @@ export async function sendToDiscord(
   }
 
   // The JSON payload to send to the Webhook
-  const payload = {
-    content: messages.map(msg => msg.description || '').join('\n'),
-    // because multiple messages from multiple processes can be batched, set username to combined names
-    username: getUserName(messages),
-  };
+  const payload = buildPayload(messages, options);
+
+  const attachments = messages
+    .map(msg => msg.attachment)
+    .filter((attachment): attachment is DiscordAttachment => !!attachment);
+
+  if (attachments.length > 0) {
+    // Messages with attachments are sent as multipart/form-data with the JSON payload in `payload_json`
+    // https://discord.com/developers/docs/reference#uploading-files
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify({
+      ...payload,
+      attachments: attachments.map((attachment, id) => ({ id, filename: attachment.filename })),
+    }));
+    attachments.forEach((attachment, id) => {
+      form.append(`files[${id}]`, new Blob([attachment.content], { type: 'text/plain' }), attachment.filename);
+    });
 
+    // Content-Type, including the multipart boundary, is set by fetch
+    return postToWebhook(discord_url, form, {});
+  }
+
+  return postToWebhook(discord_url, JSON.stringify(payload), { 'Content-Type': 'application/json' });
+}
+
+/**
+ * Checks if a webhook exists by fetching it with a GET request, which Discord
+ * answers with the webhook object, or 404 if it was deleted.
+ * Nothing is posted to the channel.
+ *
+ * @param discord_url - Webhook URL
+ * @returns true if the webhook exists, false if it doesn't or can't be reached
+ */
+export async function probeWebhook(discord_url: string): Promise<boolean> {
+  const PROBE_TIMEOUT_MS = 5000;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(discord_url, {
+      method: 'GET',
+      headers: { 'User-Agent': `pm2-discord@${VERSION}` },
+      signal: controller.signal
+    });
+    debug(`Discord webhook probe responded with status ${res.status}`);
+    return res.ok;
+  } catch (error: any) {
+    debug(`Could not probe Discord webhook: ${error.message}`);
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * POSTs a request body to the webhook and interprets Discord's response.
+ * Handles 429 rate limits, 404 invalid webhooks, other error statuses and timeouts
+ * the same way for JSON and multipart requests.
+ *
+ * @param discord_url - Webhook URL
+ * @param body - JSON string or multipart form data
+ * @param headers - Extra request headers
+ * @returns Result of the request
+ */
+async function postToWebhook(
+  discord_url: string,
+  body: BodyInit,
+  headers: Record<string, string>
+): Promise<SendToDiscordResult> {
   // Options for the post request
-  const options = {
+  const requestOptions = {
     method: 'POST',
-    body: JSON.stringify(payload),
+    body,
     headers: {
-      'Content-Type': 'application/json',
+      ...headers,
       'User-Agent': `pm2-discord@${VERSION}`
     }
   };
@@ -108,7 +215,7 @@ export async function sendToDiscord(
 
   try {
     debug('Sending to Discord');
-    const res = await fetch(discord_url, { ...options, signal: controller.signal });
+    const res = await fetch(discord_url, { ...requestOptions, signal: controller.signal });
     clearTimeout(timeoutId);
     debug(`Discord webhook responded with status ${res.status}`);
 
@@ -146,8 +253,9 @@ export async function sendToDiscord(
       };
     }
 
-    // A successful POST to Discord's webhook responds with a 204 NO CONTENT
-    if (res.status === 204) {
+    // A successful POST to Discord's webhook responds with a 204 NO CONTENT,
+    // or a 200 with the created message when ?wait=true is set
+    if (res.ok) {
       return {
         success: true,
         rateLimitInfo
@@ -166,9 +274,23 @@ export async function sendToDiscord(
     }
 
     // Handle other error statuses
-    log('error', `Discord webhook returned status ${res.status}: ${res.statusText}`);
+    const retryable = isRetryableStatus(res.status);
+    if (retryable) {
+      log('error', `Discord webhook returned status ${res.status}: ${res.statusText}`);
+    } else {
+      // Client errors won't go away by retrying, usually a wrong webhook token or a message Discord doesn't accept
+      let details = '';
+      try {
+        details = await res.text();
+      } catch (e) {
+        // Response body is only used for the log
+      }
+      log('error', `Discord webhook rejected the request with status ${res.status}: ${res.statusText}. The message will not be retried, check the webhook URL and message content. ${details}`.trim());
+    }
     return {
       success: false,
+      status: res.status,
+      retryable,
       error: `HTTP ${res.status}: ${res.statusText}`,
       rateLimitInfo
     };
@@ -183,6 +305,7 @@ export async function sendToDiscord(
         success: false,
         error: 'Webhook request timeout',
         rateLimited: false,
+        retryable: true,
         rateLimitInfo: {}
       };
     }
@@ -192,6 +315,7 @@ export async function sendToDiscord(
       success: false,
       error: error.message,
       rateLimited: false,
+      retryable: true,
       rateLimitInfo: {}
     };
   }
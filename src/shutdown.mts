@@ -6,33 +6,38 @@ const SHUTDOWN_TIMEOUT_MS = 5000; // Max 5 seconds to flush remaining messages
 const MAX_SHUTDOWN_ATTEMPTS = 50; // Max iterations to drain queue
 const SHUTDOWN_RETRY_DELAY_MS = 50; // Delay between queue processing attempts
 
-export async function gracefulShutdown(messageQueue: MessageQueue) {
-	// Flush queue before exit
-	if (!messageQueue) {
+export async function gracefulShutdown(messageQueues: MessageQueue[]) {
+	// Flush queues before exit
+	if (!messageQueues || messageQueues.length === 0) {
 		process.exit(0);
 	}
 
-	log('log', 'Caught shutdown signal, flushing message queue before exit.');
+	log('log', 'Caught shutdown signal, flushing message queues before exit.');
 
-	const queue = messageQueue;
-	queue.beginShutdown();
-	queue.flushBuffer();
+	messageQueues.forEach(queue => {
+		queue.beginShutdown();
+		queue.flushBuffer();
+	});
 
-	// Process all messages in the queue with timeout protection
+	// Queues that still have messages to send to a valid webhook
+	const pendingQueues = () => messageQueues.filter(queue => queue.messageQueue.length > 0 && !queue.webhookInvalid);
+
+	// Process all messages in the queues with timeout protection
 	const startTime = Date.now();
 	let attempts = 0;
-	while (queue.messageQueue.length > 0 && !queue.webhookInvalid && attempts < MAX_SHUTDOWN_ATTEMPTS) {
+	while (pendingQueues().length > 0 && attempts < MAX_SHUTDOWN_ATTEMPTS) {
 		if (Date.now() - startTime > SHUTDOWN_TIMEOUT_MS) {
 			log('warn', 'Shutdown timeout reached, exiting with remaining messages');
 			break;
 		}
-		await queue.processTick();
+		// Each queue sends to its own webhook, so they can be drained in parallel
+		await Promise.all(pendingQueues().map(queue => queue.processTick(true)));
 		attempts++;
 		// Small delay to allow async operations to complete
 		await new Promise(r => setTimeout(r, SHUTDOWN_RETRY_DELAY_MS));
 	}
 
-	log('log', 'Message queue flushed, exiting.');
+	log('log', 'Message queues flushed, exiting.');
 	process.exit(0);
 }
 
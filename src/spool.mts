@@ -0,0 +1,195 @@
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { debug, log } from './logging.mjs';
+import type { DiscordMessage } from './types/index.js';
+
+/**
+ * One line of the spool file.
+ * `add` records a queued message, `ack` marks it as delivered (or given up on).
+ */
+interface SpoolRecord {
+  op: 'add' | 'ack',
+  id: number,
+  message?: DiscordMessage
+}
+
+/**
+ * Durable, append-only JSONL spool for queued messages.
+ * Every message that enters a MessageQueue is appended to the spool file and
+ * acknowledged once it has been sent, so messages that are still queued when
+ * the module restarts or crashes can be replayed on the next start.
+ *
+ * The file is compacted (rewritten with only the unacknowledged messages) when
+ * everything has been acknowledged, on load, and when it grows over `maxBytes`.
+ * If the unacknowledged messages alone exceed `maxBytes`, the oldest ones are dropped from the spool.
+ */
+export class Spool {
+  filePath: string
+  maxBytes: number
+  // Unacknowledged messages by id, in the order they were added
+  pending: Map<number, DiscordMessage> = new Map()
+  nextId: number = 1
+  fileSize: number = 0
+  // Messages from the file that `load` did not hand out yet, null until the file is read
+  unloaded: DiscordMessage[] | null = null
+
+  constructor(filePath: string, maxBytes: number) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+
+    try {
+      mkdirSync(dirname(filePath), { recursive: true });
+    } catch (e) {
+      log('error', `Could not create spool directory for ${filePath}:`, e);
+    }
+  }
+
+  /**
+   * Returns all messages of the spool file that were never acknowledged,
+   * in the order they were added. Messages appended since the module started are not included.
+   *
+   * @returns Messages to replay
+   */
+  load(): DiscordMessage[] {
+    if (this.unloaded === null) {
+      this.readFile();
+    }
+    const messages = this.unloaded ?? [];
+    this.unloaded = [];
+
+    if (messages.length > 0) {
+      log('log', `Replaying ${messages.length} message(s) from spool ${this.filePath}`);
+    }
+    return messages;
+  }
+
+  /**
+   * Reads the messages that were never acknowledged from the spool file, gives them fresh ids
+   * and compacts the file. Runs once, before the first message is appended,
+   * so new messages never reuse the id of a message that is still in the file.
+   */
+  readFile(): void {
+    const spooled: Map<number, DiscordMessage> = new Map();
+
+    if (existsSync(this.filePath)) {
+      try {
+        const lines = readFileSync(this.filePath, 'utf-8').split('\n');
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          let record: SpoolRecord;
+          try {
+            record = JSON.parse(line);
+          } catch (e) {
+            // A crash in the middle of a write can leave a partial last line
+            debug(`Skipping unreadable spool line in ${this.filePath}`);
+            continue;
+          }
+          if (record.op === 'add' && record.message) {
+            spooled.set(record.id, record.message);
+          } else if (record.op === 'ack') {
+            spooled.delete(record.id);
+          }
+        }
+      } catch (e) {
+        log('error', `Could not read spool file ${this.filePath}:`, e);
+      }
+    }
+
+    // Give the replayed messages fresh ids
+    this.pending.clear();
+    this.nextId = 1;
+    const messages = Array.from(spooled.values());
+    messages.forEach(message => {
+      message._spoolId = this.nextId++;
+      this.pending.set(message._spoolId, message);
+    });
+
+    this.unloaded = messages;
+    this.compact();
+  }
+
+  /**
+   * Records a queued message in the spool.
+   *
+   * @param message - Message that was added to the queue (gets a `_spoolId`)
+   */
+  append(message: DiscordMessage): void {
+    if (this.unloaded === null) {
+      this.readFile();
+    }
+    message._spoolId = this.nextId++;
+    this.pending.set(message._spoolId, message);
+    this.write({ op: 'add', id: message._spoolId, message });
+
+    if (this.fileSize > this.maxBytes) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Marks a message as done, so it won't be replayed.
+   * Messages that were never spooled are ignored.
+   *
+   * @param message - Message that was sent or discarded
+   */
+  ack(message: DiscordMessage): void {
+    const id = message._spoolId;
+    if (id === undefined || !this.pending.has(id)) {
+      return;
+    }
+
+    this.pending.delete(id);
+
+    if (this.pending.size === 0) {
+      // Everything was delivered, start over with an empty file
+      this.compact();
+      return;
+    }
+
+    this.write({ op: 'ack', id });
+    if (this.fileSize > this.maxBytes) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrites the spool file with only the unacknowledged messages.
+   * Drops the oldest messages from the spool if they don't fit in `maxBytes`.
+   */
+  compact(): void {
+    const lines = Array.from(this.pending.entries()).map(([id, message]) => {
+      return JSON.stringify({ op: 'add', id, message }) + '\n';
+    });
+
+    let totalBytes = lines.reduce((sum, line) => sum + Buffer.byteLength(line), 0);
+    let dropped = 0;
+    const ids = Array.from(this.pending.keys());
+    while (totalBytes > this.maxBytes && lines.length > 0) {
+      totalBytes -= Buffer.byteLength(lines.shift() as string);
+      this.pending.delete(ids[dropped]);
+      dropped++;
+    }
+    if (dropped > 0) {
+      log('warn', `Spool ${this.filePath} exceeds ${this.maxBytes} bytes, dropped the ${dropped} oldest message(s) from it`);
+    }
+
+    try {
+      const tmpPath = `${this.filePath}.tmp`;
+      writeFileSync(tmpPath, lines.join(''));
+      renameSync(tmpPath, this.filePath);
+      this.fileSize = totalBytes;
+    } catch (e) {
+      log('error', `Could not compact spool file ${this.filePath}:`, e);
+    }
+  }
+
+  write(record: SpoolRecord): void {
+    const line = JSON.stringify(record) + '\n';
+    try {
+      appendFileSync(this.filePath, line);
+      this.fileSize += Buffer.byteLength(line);
+    } catch (e) {
+      log('error', `Could not write to spool file ${this.filePath}:`, e);
+    }
+  }
+}
@@ -0,0 +1,119 @@
+import { debug } from './logging.mjs';
+import type { LogMessage, Process } from './types/index.js';
+
+// How long to wait for more lines of a stack trace after the last chunk
+const QUIET_MS = 500;
+// A message is sent after this long, even if lines keep coming
+const MAX_WAIT_MS = 5000;
+// Lines continuing the message before them: stack frames, causes and omitted frames.
+// Indentation is checked separately, as it is lost when PM2 prefixes lines with a timestamp.
+const CONTINUATION_REGEX = /^(at\s|Caused by:|\.\.\. \d+ (more|common frames omitted))/;
+
+/**
+ * Sends an assembled message on
+ */
+export type EmitLog = (logMessage: LogMessage, process: Process) => void
+
+/**
+ * Output of one process that may still be continued
+ */
+interface PendingLog {
+	logMessage: LogMessage,
+	process: Process,
+	startedAt: number,
+	timer: NodeJS.Timeout
+}
+
+/**
+ * Checks if a chunk of output continues the chunk before it, e.g. the frames of a stack trace.
+ *
+ * @param text - Chunk of process output
+ * @returns true if the first line is indented or looks like part of a stack trace
+ * @example
+ * isContinuation('    at handler (/app/index.js:1:1)') // => true
+ * isContinuation('Caused by: Error: timeout')          // => true
+ * isContinuation('Error: boom')                        // => false
+ */
+export function isContinuation(text: string): boolean {
+	return /^[ \t]+\S/.test(text) || CONTINUATION_REGEX.test(text.trimStart());
+}
+
+/**
+ * Joins the chunks of multi-line process output, like stack traces, into one message.
+ * PM2 can emit a stack trace as several chunks, which would otherwise be sent as separate
+ * messages or interleaved with the output of other processes.
+ * Output is kept per process until no continuation arrived for a short while.
+ */
+export class StackAssembler {
+	emit: EmitLog
+	pending: Map<string, PendingLog> = new Map()
+
+	/**
+	 * @param emit - Called with every complete message
+	 */
+	constructor(emit: EmitLog) {
+		this.emit = emit;
+	}
+
+	/**
+	 * Adds a chunk of output from a process.
+	 *
+	 * @param logMessage - Chunk as returned by `parseIncomingLog`, unformatted
+	 * @param process - PM2 process the chunk originates from
+	 */
+	add(logMessage: LogMessage, process: Process): void {
+		const key = String(process.pm_id ?? process.name);
+		const pending = this.pending.get(key);
+		const text = logMessage.description ?? '';
+
+		if (pending && isContinuation(text)) {
+			const head = pending.logMessage.description ?? '';
+			pending.logMessage.description = head + (head.endsWith('\n') ? '' : '\n') + text;
+			debug(`Joined a continuation line of ${process.name} with the message before it`);
+
+			if (Date.now() - pending.startedAt >= MAX_WAIT_MS) {
+				this.release(key);
+			} else {
+				clearTimeout(pending.timer);
+				pending.timer = this.startTimer(key);
+			}
+			return;
+		}
+
+		// a new message starts, so the one before it is complete
+		this.release(key);
+
+		this.pending.set(key, { logMessage: { ...logMessage }, process, startedAt: Date.now(), timer: this.startTimer(key) });
+	}
+
+	/**
+	 * Sends the pending output of a process once no more lines arrived for a while
+	 */
+	startTimer(key: string): NodeJS.Timeout {
+		const timer = setTimeout(() => this.release(key), QUIET_MS);
+		// pending output should not keep the process alive
+		timer.unref();
+		return timer;
+	}
+
+	/**
+	 * Sends the pending output of a process
+	 */
+	release(key: string): void {
+		const pending = this.pending.get(key);
+		if (!pending) {
+			return;
+		}
+		clearTimeout(pending.timer);
+		this.pending.delete(key);
+		this.emit(pending.logMessage, pending.process);
+	}
+
+	/**
+	 * Sends all pending output right away.
+	 * Used before shutting down or replacing the assembler.
+	 */
+	flush(): void {
+		Array.from(this.pending.keys()).forEach(key => this.release(key));
+	}
+}
@@ -0,0 +1,97 @@
+import { hostname } from 'os';
+import { parseProcessName } from './log-utils.mjs';
+import type { Process } from './types/index.js';
+
+// Template listed under this key applies to every event type without its own
+const ALL_EVENTS = '*';
+
+// Template of events without one, the text as it would be sent without templates
+export const DEFAULT_TEMPLATE = '{message}';
+
+// Placeholders, as written in templates
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+/**
+ * Values that can be used in templates
+ */
+export interface TemplateValues {
+	/** Process name, with the instance id for cluster mode processes */
+	name: string,
+	pm_id: string,
+	event: string,
+	/** Log line, exception or event text */
+	message: string,
+	hostname: string,
+	/** Restart count, empty if PM2 did not send it along with the event */
+	restart_time: string,
+	namespace: string,
+	/** Message time, as an ISO 8601 string */
+	time: string
+}
+
+/**
+ * Names of the placeholders that can be used in templates
+ */
+export const TEMPLATE_PLACEHOLDERS: Array<keyof TemplateValues> = [
+	'name', 'pm_id', 'event', 'message', 'hostname', 'restart_time', 'namespace', 'time',
+];
+
+/**
+ * Returns the placeholders in a template that are not in `TEMPLATE_PLACEHOLDERS`.
+ *
+ * @example
+ * findUnknownPlaceholders('{name} restarted on {host}') // => ['host']
+ */
+export function findUnknownPlaceholders(template: string): string[] {
+	const unknown = new Set<string>();
+	for (const [, placeholder] of template.matchAll(PLACEHOLDER_REGEX)) {
+		if (!(TEMPLATE_PLACEHOLDERS as string[]).includes(placeholder)) {
+			unknown.add(placeholder);
+		}
+	}
+	return Array.from(unknown);
+}
+
+/**
+ * Returns the template for an event type: its own, the one for `*`, or `DEFAULT_TEMPLATE`
+ *
+ * @param templates - `templates` option
+ * @param event - Event type
+ */
+export function getTemplate(templates: Record<string, string> | null, event: string): string {
+	return templates?.[event] ?? templates?.[ALL_EVENTS] ?? DEFAULT_TEMPLATE;
+}
+
+/**
+ * Collects the values of the placeholders for a message.
+ *
+ * @param event - Event type
+ * @param message - Text of the message
+ * @param process - PM2 process the message originates from, null for PM2 itself
+ * @param timestamp - Message time in seconds, null for now
+ */
+export function getTemplateValues(event: string, message: string, process: Process | null, timestamp: number | null): TemplateValues {
+	return {
+		name: process ? parseProcessName(process) : 'PM2',
+		pm_id: process ? String(process.pm_id) : '',
+		event,
+		message,
+		hostname: hostname(),
+		restart_time: process?.restart_time !== undefined ? String(process.restart_time) : '',
+		namespace: process?.namespace ?? '',
+		time: new Date(timestamp !== null ? timestamp * 1000 : Date.now()).toISOString(),
+	};
+}
+
+/**
+ * Fills in the placeholders of a template. Unknown placeholders are left as they are,
+ * they are reported when the config is loaded.
+ *
+ * @example
+ * renderTemplate('{name} (#{pm_id}): {message}', values) // => 'api (#3): Listening on port 3000'
+ */
+export function renderTemplate(template: string, values: TemplateValues): string {
+	return template.replace(PLACEHOLDER_REGEX, (match, placeholder: string) =>
+		(TEMPLATE_PLACEHOLDERS as string[]).includes(placeholder) ? values[placeholder as keyof TemplateValues] : match
+	);
+}
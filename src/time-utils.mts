@@ -0,0 +1,53 @@
+// Day names as accepted in the config, in the order of `Date.getDay()`
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Time of day, as "HH:MM"
+export const TIME_OF_DAY_REGEX = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * What a clock in some time zone shows
+ */
+export interface LocalTime {
+	/** Day of the week, 0 for Sunday */
+	weekday: number,
+	/** Seconds since midnight */
+	seconds: number
+}
+
+/**
+ * Returns the day of the week and time of day in a time zone.
+ *
+ * @param timeZone - IANA time zone, e.g. "Europe/Amsterdam", null for the system time zone
+ * @param now - Current time in milliseconds
+ * @example
+ * // Friday 23:30 UTC
+ * getLocalTime('Europe/Amsterdam') // => { weekday: 6, seconds: 1800 }
+ */
+export function getLocalTime(timeZone: string | null, now: number = Date.now()): LocalTime {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone: timeZone ?? undefined,
+		hourCycle: 'h23',
+		weekday: 'short',
+		hour: '2-digit',
+		minute: '2-digit',
+		second: '2-digit',
+	}).formatToParts(new Date(now));
+	const part = (type: string) => parts.find(p => p.type === type)?.value ?? '';
+
+	return {
+		weekday: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+		seconds: Number(part('hour')) * 3600 + Number(part('minute')) * 60 + Number(part('second')),
+	};
+}
+
+/**
+ * Converts a time of day to seconds since midnight.
+ *
+ * @param time - Time of day, as "HH:MM"
+ * @example
+ * parseTimeOfDay('09:30') // => 34200
+ */
+export function parseTimeOfDay(time: string): number {
+	const [hours, minutes] = time.split(':').map(Number);
+	return hours * 3600 + minutes * 60;
+}
@@ -4,18 +4,82 @@ export interface DiscordMessage {
   event: string,
   description: string | null,
   timestamp: number | null,
+  /**
+   * Full text sent as a file along with the message
+   */
+  attachment?: DiscordAttachment,
+  /**
+   * Structured details, e.g. about the process. Shown as embed fields in embeds mode,
+   * otherwise as text after the description
+   */
+  fields?: DiscordField[],
   /**
    * Internal: Number of times this message has been attempted to send.
    * Used to prevent infinite retries in case of persistent failures.
    */
-  _retryAttempts?: number
+  _retryAttempts?: number,
+  /**
+   * Internal: Id of this message in the on-disk spool, if spooling is enabled.
+   */
+  _spoolId?: number,
+  /**
+   * Internal: Time the message was first queued, epoch milliseconds.
+   * Used to send messages that waited too long before messages of a higher priority.
+   */
+  _queuedAt?: number,
+  /**
+   * Internal: Priority of a combined message that holds a message of a higher priority
+   * than its own event, e.g. an exception buffered after a log line.
+   */
+  _priority?: MessagePriority
+}
+
+/**
+ * A text file uploaded together with a message
+ */
+export interface DiscordAttachment {
+  filename: string,
+  content: string
+}
+
+/**
+ * A name and value shown along with a message
+ */
+export interface DiscordField {
+  name: string,
+  value: string,
+  inline?: boolean
+}
+
+/**
+ * Subset of Discord's embed object used by pm2-discord
+ * https://discord.com/developers/docs/resources/message#embed-object
+ */
+export interface DiscordEmbed {
+  title?: string,
+  description?: string,
+  /** Decimal RGB color value */
+  color?: number,
+  author?: { name: string },
+  /** ISO8601 timestamp */
+  timestamp?: string,
+  fields?: DiscordField[]
 }
 
 export interface Process {
   name: string,
   exec_mode: string,
   instances: number,
-  pm_id: string | number
+  pm_id: string | number,
+  namespace?: string,
+  // Part of PM2's process environment sent along with bus events
+  /** Time the process was (re)started, epoch milliseconds */
+  pm_uptime?: number,
+  restart_time?: number,
+  exit_code?: number,
+  exit_signal?: string,
+  node_version?: string,
+  pm_exec_path?: string
 }
 
 // data.process.name
@@ -59,14 +123,40 @@ export interface SendToDiscordResult {
   isGlobal?: boolean,
   /** Whether the webhook is invalid (404 response) - should stop sending */
   webhookInvalid?: boolean,
+  /** HTTP status of a failed request, if a response was received */
+  status?: number,
+  /** Whether a failed request may succeed when retried (5xx, timeouts, network errors). Defaults to true */
+  retryable?: boolean,
   /** Rate limit information from response headers */
   rateLimitInfo: DiscordRateLimitInfo,
   /** Error message if request failed */
   error?: string
 }
 
+/**
+ * Options controlling how messages are rendered in the webhook payload
+ */
+export interface SendToDiscordOptions {
+  /** Send each message as a Discord embed instead of plain `content` */
+  embeds?: boolean
+}
+
 export interface SendToDiscord {
-  (messages: DiscordMessage[], discord_url: string | null): Promise<SendToDiscordResult>
+  (messages: DiscordMessage[], discord_url: string | null, options?: SendToDiscordOptions): Promise<SendToDiscordResult>
+}
+
+/**
+ * Sends a message on from a module that creates its own messages, usually `Router.route`
+ */
+export interface Emit {
+  (message: DiscordMessage, process?: Partial<Process> | null): void
+}
+
+/**
+ * Checks if a webhook exists again, without posting anything
+ */
+export interface ProbeWebhook {
+  (discord_url: string): Promise<boolean>
 }
 
 /**
@@ -77,6 +167,36 @@ export interface RequestHistoryEntry {
   messageCount: number
 }
 
+/**
+ * How messages over Discord's character limit are handled
+ * - `truncate`: cut the message at the limit
+ * - `split`: break the message into several ordered messages
+ * - `attach`: send a short summary and upload the full text as a file
+ */
+export type LongMessageMode = 'truncate' | 'split' | 'attach'
+
+/**
+ * Which buffered messages are combined into one Discord message
+ * - `process_event`: messages from the same process and event
+ * - `process`: messages from the same process
+ * - `event`: messages of the same event type
+ * - `none`: all messages, whatever their source
+ */
+export type BufferGroupBy = 'process_event' | 'process' | 'event' | 'none'
+
+/**
+ * Queue lane of a message, lanes are served from `critical` to `bulk`
+ */
+export type MessagePriority = 'critical' | 'normal' | 'bulk'
+
+/**
+ * Which messages are dropped when the queue is full:
+ * - `drop_oldest`: the messages that were queued first
+ * - `drop_newest`: the messages that arrive while the queue is full
+ * - `drop_lowest_priority`: the oldest messages of the lowest priority lane with messages
+ */
+export type OverflowPolicy = 'drop_oldest' | 'drop_newest' | 'drop_lowest_priority'
+
 /**
  * These config items customize the message queue behavior
  */
@@ -86,7 +206,91 @@ export interface MessageQueueConfig {
   rate_limit_window_seconds: number,
   buffer: boolean,
   buffer_seconds: number,
+  /**
+   * Which messages share a buffer, every buffer has its own timer and character count
+   */
+  buffer_group_by?: BufferGroupBy,
   queue_max: number,
+  /**
+   * Send messages as Discord embeds instead of plain `content`
+   */
+  embeds: boolean,
+  /**
+   * How messages over the character limit are handled
+   */
+  long_messages: LongMessageMode,
+  /**
+   * Messages longer than this many characters are sent as a file attachment when `long_messages` is "attach"
+   */
+  attachment_threshold: number,
+  /**
+   * Priority by event type (or `*` for all others), on top of the default priorities
+   */
+  priorities?: Record<string, MessagePriority> | null,
+  /**
+   * Messages that waited this many seconds are sent before messages of a higher priority
+   */
+  priority_max_wait_seconds?: number,
+  /**
+   * Most messages the queue holds, further messages are dropped according to `overflow_policy`
+   */
+  max_queued_messages?: number,
+  /**
+   * Which messages are dropped when the queue is full
+   */
+  overflow_policy?: OverflowPolicy,
+}
+
+/**
+ * Routes matching messages to a named webhook.
+ * All criteria that are set must match. Process names and namespaces support `*` and `?` wildcards.
+ */
+export interface RouteRule {
+  /** Name of the webhook (a key of `webhooks`, or "default" for `discord_url`) */
+  webhook: string,
+  /** Process name pattern(s) */
+  process?: string | string[] | null,
+  /** Event type(s), e.g. "exception", "log", "restart overlimit" */
+  event?: string | string[] | null,
+  /** PM2 namespace pattern(s) */
+  namespace?: string | string[] | null
+}
+
+/**
+ * Regex pattern(s) for the content filters: a single pattern or a list applies to all events,
+ * an object maps event types (or `*` for all) to patterns. Patterns can be written as `/source/flags`.
+ */
+export type PatternConfig = string | string[] | Record<string, string | string[]> | null
+
+/**
+ * Minimum log level: a level name for all events, or an object mapping event types (or `*` for all) to level names
+ */
+export type MinLevelConfig = string | Record<string, string> | null
+
+/**
+ * Resource threshold: a number for all processes, or an object mapping process name globs (or `*` for all) to numbers
+ */
+export type ThresholdConfig = number | Record<string, number> | null
+
+/**
+ * Recurring maintenance window. A window that ends before it starts runs past midnight.
+ */
+export interface MaintenanceWindow {
+  /** Days the window starts on, e.g. ["sat", "sun"]. All days if omitted. */
+  days?: string[]
+  /** Start time, e.g. "22:00" */
+  start: string
+  /** End time, e.g. "06:00" */
+  end: string
+}
+
+/**
+ * Custom redaction rule. The pattern can be written as `/source/flags`, the replacement can use `$1` for groups.
+ */
+export interface RedactRule {
+  pattern: string
+  /** Defaults to "[REDACTED]" */
+  replacement?: string
 }
 
 /**
@@ -104,9 +308,19 @@ interface Pm2ProcessEvents {
 
 export interface Config extends MessageQueueConfig, Pm2ProcessEvents {
   /**
-   * Filter by process name (only forward events from this process). Null to disable.
+   * Filter by process name (only forward events from these processes). Supports globs and `/regex/`. Null to disable.
    */
-  process_name: string | null
+  process_name: string | string[] | null
+
+  /**
+   * Never forward events from these processes. Supports globs and `/regex/`. Null to disable.
+   */
+  exclude_process_name: string | string[] | null
+
+  /**
+   * Only forward events from processes in these PM2 namespaces. Supports globs and `/regex/`. Null to disable.
+   */
+  namespace: string | string[] | null
 
   /**
    * Enable message triple backtick message formatting (code blocks)
@@ -132,4 +346,210 @@ export interface Config extends MessageQueueConfig, Pm2ProcessEvents {
    * Enable `process:exception` event forwarding
    */
   exception: boolean
+
+  /**
+   * Alert when a process keeps crashing and restarting, and again once it stabilized
+   */
+  "crash loop": boolean
+
+  /**
+   * Number of restarts within `crash_loop_window_minutes` that count as a crash loop
+   */
+  crash_loop_restarts: number
+
+  /**
+   * Length of the sliding window in which restarts are counted, in minutes
+   */
+  crash_loop_window_minutes: number
+
+  /**
+   * How long a process has to stay online after a crash loop to count as stabilized, in minutes
+   */
+  crash_loop_stable_minutes: number
+
+  /**
+   * Messages matching these patterns are always forwarded, even if they match `exclude_patterns`
+   */
+  include_patterns: PatternConfig
+
+  /**
+   * Messages matching these patterns are dropped
+   */
+  exclude_patterns: PatternConfig
+
+  /**
+   * Parse log lines written by JSON loggers (pino, winston, bunyan) and render them readably
+   */
+  json_logs: boolean
+
+  /**
+   * Drop JSON log lines below this level, e.g. "warn". Only used when `json_logs` is enabled
+   */
+  min_level: MinLevelConfig
+
+  /**
+   * Join stack traces and other multi-line error output split over several chunks into one message
+   */
+  group_stack_traces: boolean
+
+  /**
+   * Add process details (pm_id, restarts, uptime, memory, CPU, exit code, ...) and the stack trace
+   * to exception and process event messages
+   */
+  process_info: boolean
+
+  /**
+   * Alert when a process uses more memory than this, in megabytes. Null to disable.
+   */
+  memory_threshold_mb: ThresholdConfig
+
+  /**
+   * Alert when a process uses more CPU than this, in percent. Null to disable.
+   */
+  cpu_threshold: ThresholdConfig
+
+  /**
+   * How long usage has to stay over a threshold before alerting, and under it before recovering, in seconds
+   */
+  resource_sustain_seconds: number
+
+  /**
+   * How often memory and CPU usage are checked, in seconds
+   */
+  resource_poll_seconds: number
+
+  /**
+   * Send a status digest of all processes every this many minutes. Null to disable.
+   */
+  digest_interval_minutes: number | null
+
+  /**
+   * Send a status digest every day at this time, e.g. "09:00". Takes precedence over `digest_interval_minutes`. Null to disable.
+   */
+  digest_time: string | null
+
+  /**
+   * IANA time zone of `digest_time`, e.g. "Europe/Amsterdam". Null for the system time zone.
+   */
+  digest_timezone: string | null
+
+  /**
+   * Recurring windows during which `maintenance_events` are suppressed, e.g. [{"days": ["sat"], "start": "22:00", "end": "06:00"}]. Null for none.
+   */
+  maintenance_windows: MaintenanceWindow[] | null
+
+  /**
+   * IANA time zone of `maintenance_windows`, e.g. "Europe/Amsterdam". Null for the system time zone.
+   */
+  maintenance_timezone: string | null
+
+  /**
+   * Events suppressed during maintenance windows and while muted, `*` for all
+   */
+  maintenance_events: string[]
+
+  /**
+   * Send exceptions during maintenance windows, even if `maintenance_events` includes them
+   */
+  maintenance_allow_exceptions: boolean
+
+  /**
+   * Replace secrets and personal data like tokens, emails and IP addresses in messages before they are sent
+   */
+  redact: boolean
+
+  /**
+   * Built-in detectors used when `redact` is enabled, e.g. ["jwt", "email"]. Null for all of them.
+   */
+  redact_detectors: string[] | null
+
+  /**
+   * Custom redaction rules, applied whether or not `redact` is enabled
+   */
+  redact_rules: RedactRule[] | null
+
+  /**
+   * Message templates by event type (or `*` for all), e.g. {"restart": "{name} restarted ({restart_time} restarts)"}. Null to send the text as is.
+   */
+  templates: Record<string, string> | null
+
+  /**
+   * Which buffered messages are combined into one Discord message
+   */
+  buffer_group_by: BufferGroupBy
+
+  /**
+   * Priority by event type (or `*` for all others), e.g. {"error": "critical"}. Null for the default priorities.
+   */
+  priorities: Record<string, MessagePriority> | null
+
+  /**
+   * Messages that waited this many seconds are sent before messages of a higher priority
+   */
+  priority_max_wait_seconds: number
+
+  /**
+   * Most messages a queue holds while Discord is unreachable or rate limiting
+   */
+  max_queued_messages: number
+
+  /**
+   * Which messages are dropped when a queue is full
+   */
+  overflow_policy: OverflowPolicy
+
+  /**
+   * Collapse identical or near-identical messages into one, followed by a "repeated N times" summary
+   */
+  dedupe: boolean
+
+  /**
+   * How long duplicates of a message are suppressed, in seconds
+   */
+  dedupe_window_seconds: number
+
+  /**
+   * Send periodic summaries instead of every line while a process logs more than `flood_threshold` lines per minute
+   */
+  flood_protection: boolean
+
+  /**
+   * Lines per minute from one process and event above which it is considered flooding
+   */
+  flood_threshold: number
+
+  /**
+   * How often a summary is sent while a process is flooding, in seconds
+   */
+  flood_summary_seconds: number
+
+  /**
+   * Named webhook URLs that routes can send messages to, e.g. `{ "alerts": "https://..." }`
+   */
+  webhooks: Record<string, string> | null
+
+  /**
+   * Rules mapping processes, events and namespaces to named webhooks
+   */
+  routes: RouteRule[] | null
+
+  /**
+   * Keep queued messages in an on-disk spool so they survive restarts and crashes
+   */
+  spool: boolean
+
+  /**
+   * Max size of each spool file in megabytes
+   */
+  spool_max_mb: number
+
+  /**
+   * Write messages that could not be delivered to a dead-letter file in `data_dir`
+   */
+  dead_letter: boolean
+
+  /**
+   * Directory for the spool, dead-letter and other files. Null to use `<PM2_HOME>/pm2-discord`
+   */
+  data_dir: string | null
 }
\ No newline at end of file
@@ -13,4 +13,9 @@ declare module 'pmx' {
   type Pm2Config = Record<string, string | number | boolean | undefined | null>
   // src https://github.com/keymetrics/pmx/blob/v1.6.8/lib/pmx.js
   function initModule(opts: PmxOptions | null, cb: (err: Error | null, data: Pm2Config) => void): Pm2Config
+  // Registers a function that can be called with `pm2 trigger <module> <action_name>`
+  // src https://github.com/keymetrics/pmx/blob/v1.6.8/lib/actions.js
+  function action(action_name: string, fn: (reply: (data: unknown) => void) => void): void
+  // With two parameters, the action receives the argument of `pm2 trigger <module> <action_name> <param>`, or `{}` without one
+  function action(action_name: string, fn: (param: unknown, reply: (data: unknown) => void) => void): void
 }
@@ -0,0 +1,17 @@
+/**
+ * @typedef {object} EmittedMessage
+ * @property {object} msg - the message passed to `emit`
+ * @property {object | null | undefined} proc - the process passed along with it, if any
+ */
+
+/**
+ * Records the messages a module sends through its `Emit` callback
+ * @returns {{ sent: EmittedMessage[], emit: (msg: object, proc?: object | null) => void }}
+ */
+function createRecorder() {
+	/** @type {EmittedMessage[]} */
+	const sent = [];
+	return { sent, emit: (msg, proc) => sent.push({ msg, proc }) };
+}
+
+module.exports = { createRecorder };
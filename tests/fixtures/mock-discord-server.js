@@ -1,20 +1,99 @@
 const http = require('http');
 
-/** @type {{ SUCCESS: 'success', RATE_LIMIT: 'rate-limit', GLOBAL_RATE_LIMIT: 'global-rate-limit', NOT_FOUND: 'not-found' }} */
+/** @type {{ SUCCESS: 'success', SUCCESS_WITH_BODY: 'success-with-body', RATE_LIMIT: 'rate-limit', GLOBAL_RATE_LIMIT: 'global-rate-limit', NOT_FOUND: 'not-found', UNAUTHORIZED: 'unauthorized', SERVER_ERROR: 'server-error' }} */
 const MODES = {
 	'SUCCESS': 'success',
+	'SUCCESS_WITH_BODY': 'success-with-body',
 	'RATE_LIMIT': 'rate-limit',
 	'GLOBAL_RATE_LIMIT': 'global-rate-limit',
-	'NOT_FOUND': 'not-found'
+	'NOT_FOUND': 'not-found',
+	'UNAUTHORIZED': 'unauthorized',
+	'SERVER_ERROR': 'server-error'
 };
 
+/**
+ * @typedef {object} StoredFile
+ * @property {string} name - form field name, e.g. "files[0]"
+ * @property {string} filename
+ * @property {string} contentType
+ * @property {string} content
+ */
+
 /**
  * @typedef {object} StoredRequest
  * @property {http.IncomingHttpHeaders} headers
- * @property {object|null} body
+ * @property {object|null} body - JSON body, or the parsed `payload_json` field of multipart requests
+ * @property {StoredFile[]} files - files uploaded in multipart requests
  * @property {number} ts - timestamp when request was received
  */
 
+/**
+ * Minimal multipart/form-data parser, enough for the text files pm2-discord uploads
+ * @param {string} body
+ * @param {string} contentType
+ * @returns {{ fields: Record<string, string>, files: StoredFile[] }}
+ */
+function parseMultipart(body, contentType) {
+	const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+	if (!match) {
+		throw new Error(`No boundary in content-type: ${contentType}`);
+	}
+	const boundary = match[1] || match[2];
+
+	/** @type {Record<string, string>} */
+	const fields = {};
+	/** @type {StoredFile[]} */
+	const files = [];
+
+	// The first chunk is the preamble and the last one the closing "--"
+	const parts = body.split(`--${boundary}`).slice(1, -1);
+	for (const part of parts) {
+		const headerEnd = part.indexOf('\r\n\r\n');
+		const rawHeaders = part.substring(0, headerEnd).trim();
+		// strip the \r\n that separates the content from the next boundary
+		const content = part.substring(headerEnd + 4, part.length - 2);
+
+		const disposition = /content-disposition:([^\r\n]+)/i.exec(rawHeaders);
+		const name = disposition && /\bname="([^"]*)"/.exec(disposition[1]);
+		const filename = disposition && /\bfilename="([^"]*)"/.exec(disposition[1]);
+		const type = /content-type:\s*([^\r\n]+)/i.exec(rawHeaders);
+
+		if (!name) continue;
+		if (filename) {
+			files.push({
+				name: name[1],
+				filename: filename[1],
+				contentType: type ? type[1].trim() : 'application/octet-stream',
+				content
+			});
+		} else {
+			fields[name[1]] = content;
+		}
+	}
+
+	return { fields, files };
+}
+
+/**
+ * Parses a request body as JSON or multipart/form-data depending on its content-type
+ * @param {string} body
+ * @param {string | undefined} contentType
+ * @returns {{ body: object | null, files: StoredFile[] }}
+ */
+function parseBody(body, contentType = '') {
+	if (!body) {
+		return { body: null, files: [] };
+	}
+	if (contentType.startsWith('multipart/form-data')) {
+		const { fields, files } = parseMultipart(body, contentType);
+		return {
+			body: fields['payload_json'] ? JSON.parse(fields['payload_json']) : null,
+			files
+		};
+	}
+	return { body: JSON.parse(body), files: [] };
+}
+
 /**
  * @typedef {object} RateLimitConfig
  * @property {number} retry_after - seconds to wait before retrying
@@ -65,7 +144,7 @@ function startMockDiscordServer(port = 0) {
 			req.on('end', () => {
 				requests.push({
 					headers: req.headers,
-					body: body ? JSON.parse(body) : null,
+					...parseBody(body, req.headers['content-type']),
 					ts: Date.now()
 				});
 
@@ -75,6 +154,12 @@ function startMockDiscordServer(port = 0) {
 						res.statusCode = 204;
 						res.end();
 						break;
+					case MODES.SUCCESS_WITH_BODY:
+						// 200 OK with the created message, as sent for ?wait=true
+						res.statusCode = 200;
+						res.setHeader('content-type', 'application/json');
+						res.end(JSON.stringify({ id: '1', type: 0, content: '' }));
+						break;
 					case MODES.RATE_LIMIT:
 						// 429 Too Many Requests with user/shared scope
 						res.statusCode = 429;
@@ -111,12 +196,29 @@ function startMockDiscordServer(port = 0) {
 						res.setHeader('content-type', 'application/json');
 						res.end(JSON.stringify({ message: 'Webhook not found' }));
 						break;
+					case MODES.UNAUTHORIZED:
+						// 401 Unauthorized, e.g. a wrong webhook token
+						res.statusCode = 401;
+						res.setHeader('content-type', 'application/json');
+						res.end(JSON.stringify({ message: 'Invalid Webhook Token', code: 50027 }));
+						break;
+					case MODES.SERVER_ERROR:
+						// 502 Bad Gateway during a Discord outage
+						res.statusCode = 502;
+						res.end('Bad Gateway');
+						break;
 					default:
 						res.statusCode = 500;
 						res.end('Unknown mode');
 				}
 			});
 			return;
+		} else if (req.method === 'GET' && req.url.startsWith('/webhook') && mode === MODES.NOT_FOUND) {
+			// Fetching a deleted webhook
+			res.statusCode = 404;
+			res.setHeader('content-type', 'application/json');
+			res.end(JSON.stringify({ message: 'Unknown Webhook', code: 10015 }));
+			return;
 		} else if (req.method === 'GET') {
 			// just return text to confirm server is running
 			res.statusCode = 200;
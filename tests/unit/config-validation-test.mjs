@@ -1,6 +1,6 @@
 import assert from "node:assert/strict";
 import { test } from "node:test";
-import { convertConfigValue, loadConfig } from "../../dist/config.mjs";
+import { convertConfigValue, loadConfig, resolveConfig } from "../../dist/config.mjs";
 import { getUserName } from "../../dist/send-to-discord.mjs";
 import { isValidDiscordWebhookUrl } from "../../dist/webhook-utils.mjs";
 
@@ -210,3 +210,295 @@ test('getUserName: preserves order of unique names', () => {
 	const result = getUserName(messages);
 	assert.strictEqual(result, 'worker, api, cache', 'should preserve order of first appearance');
 });
+
+// ===== JSON config value TESTS =====
+test('convertConfigValue: parses JSON strings for routes', () => {
+	const result = convertConfigValue('routes', '[{"webhook":"alerts","event":"exception"}]');
+	assert.deepStrictEqual(result, [{ webhook: 'alerts', event: 'exception' }], 'should parse JSON array');
+});
+
+test('convertConfigValue: passes through already parsed webhooks', () => {
+	const webhooks = { alerts: 'https://discord.com/api/webhooks/1/a' };
+	const result = convertConfigValue('webhooks', webhooks);
+	assert.strictEqual(result, webhooks, 'should pass through objects unchanged');
+});
+
+test('convertConfigValue: returns undefined for invalid JSON', () => {
+	const result = convertConfigValue('webhooks', '{not json');
+	assert.strictEqual(result, undefined, 'should return undefined for invalid JSON');
+});
+
+// ===== loadConfig long_messages TESTS =====
+test('loadConfig: accepts split for long_messages', () => {
+	const originalEnv = process.env['pm2-discord'];
+	process.env['pm2-discord'] = JSON.stringify({ long_messages: 'split' });
+
+	const cfg = loadConfig(true);
+	assert.strictEqual(cfg.long_messages, 'split', 'should accept split');
+
+	process.env['pm2-discord'] = originalEnv;
+});
+
+test('loadConfig: falls back to truncate for unknown long_messages values', () => {
+	const originalEnv = process.env['pm2-discord'];
+	process.env['pm2-discord'] = JSON.stringify({ long_messages: 'shorten' });
+
+	const cfg = loadConfig(true);
+	assert.strictEqual(cfg.long_messages, 'truncate', 'should fall back to truncate');
+
+	process.env['pm2-discord'] = originalEnv;
+});
+
+// ===== resolveConfig TESTS =====
+test('resolveConfig: converts, merges with defaults and clamps raw settings', () => {
+	const cfg = resolveConfig({ discord_url: 'https://discord.com/api/webhooks/1/a', buffer: 'false', queue_max: '500' });
+	assert.strictEqual(cfg.discord_url, 'https://discord.com/api/webhooks/1/a');
+	assert.strictEqual(cfg.buffer, false, 'should convert booleans');
+	assert.strictEqual(cfg.queue_max, 100, 'should clamp numbers');
+	assert.strictEqual(cfg.log, true, 'should fill in defaults');
+});
+
+// ===== content filter pattern TESTS =====
+test('convertConfigValue: parses JSON pattern objects', () => {
+	const result = convertConfigValue('exclude_patterns', '{"log":["GET /health"]}');
+	assert.deepStrictEqual(result, { log: ['GET /health'] }, 'should parse JSON object');
+});
+
+test('convertConfigValue: keeps a single pattern that is not JSON', () => {
+	const result = convertConfigValue('include_patterns', '/FATAL|panic/');
+	assert.strictEqual(result, '/FATAL|panic/', 'should keep the pattern as is');
+});
+
+// ===== process name list TESTS =====
+test('convertConfigValue: parses stringified process name lists', () => {
+	const result = convertConfigValue('process_name', '["api-*", "worker"]');
+	assert.deepStrictEqual(result, ['api-*', 'worker'], 'should parse JSON array');
+});
+
+test('convertConfigValue: keeps single process names', () => {
+	assert.strictEqual(convertConfigValue('exclude_process_name', 'worker-*'), 'worker-*');
+	assert.strictEqual(convertConfigValue('namespace', '/^prod/'), '/^prod/');
+});
+
+test('convertConfigValue: converts "null" process names to null', () => {
+	assert.strictEqual(convertConfigValue('process_name', 'null'), null);
+	assert.strictEqual(convertConfigValue('process_name', ''), null);
+});
+
+// ===== min_level TESTS =====
+test('convertConfigValue: accepts a level name or JSON object for min_level', () => {
+	assert.strictEqual(convertConfigValue('min_level', 'warn'), 'warn');
+	assert.deepStrictEqual(convertConfigValue('min_level', '{"log":"warn"}'), { log: 'warn' });
+});
+
+// ===== dedupe TESTS =====
+test('resolveConfig: dedupe is off by default and clamps its window', () => {
+	assert.strictEqual(resolveConfig({}).dedupe, false);
+	assert.strictEqual(resolveConfig({}).dedupe_window_seconds, 60);
+	assert.strictEqual(resolveConfig({ dedupe: 'true' }).dedupe, true);
+	assert.strictEqual(resolveConfig({ dedupe_window_seconds: '1' }).dedupe_window_seconds, 5);
+	assert.strictEqual(resolveConfig({ dedupe_window_seconds: '86400' }).dedupe_window_seconds, 3600);
+});
+
+// ===== flood protection TESTS =====
+test('resolveConfig: flood protection is off by default and clamps its settings', () => {
+	const cfg = resolveConfig({});
+	assert.strictEqual(cfg.flood_protection, false);
+	assert.strictEqual(cfg.flood_threshold, 120);
+	assert.strictEqual(cfg.flood_summary_seconds, 60);
+
+	const clamped = resolveConfig({ flood_protection: 'true', flood_threshold: '1', flood_summary_seconds: '99999' });
+	assert.strictEqual(clamped.flood_protection, true);
+	assert.strictEqual(clamped.flood_threshold, 30);
+	assert.strictEqual(clamped.flood_summary_seconds, 3600);
+});
+
+// ===== group_stack_traces TESTS =====
+test('resolveConfig: group_stack_traces is off by default', () => {
+	assert.strictEqual(resolveConfig({}).group_stack_traces, false);
+	assert.strictEqual(resolveConfig({ group_stack_traces: 'true' }).group_stack_traces, true);
+});
+
+// ===== process_info TESTS =====
+test('resolveConfig: process_info is off by default', () => {
+	assert.strictEqual(resolveConfig({}).process_info, false);
+	assert.strictEqual(resolveConfig({ process_info: 'true' }).process_info, true);
+});
+
+// ===== crash loop TESTS =====
+test('resolveConfig: crash loop alerts are on by default and clamp their settings', () => {
+	const cfg = resolveConfig({});
+	assert.strictEqual(cfg['crash loop'], true);
+	assert.strictEqual(cfg.crash_loop_restarts, 5);
+	assert.strictEqual(cfg.crash_loop_window_minutes, 10);
+	assert.strictEqual(cfg.crash_loop_stable_minutes, 10);
+
+	const clamped = resolveConfig({ 'crash loop': 'false', crash_loop_restarts: '1', crash_loop_window_minutes: '0', crash_loop_stable_minutes: '5000' });
+	assert.strictEqual(clamped['crash loop'], false);
+	assert.strictEqual(clamped.crash_loop_restarts, 2);
+	assert.strictEqual(clamped.crash_loop_window_minutes, 1);
+	assert.strictEqual(clamped.crash_loop_stable_minutes, 1440);
+});
+
+// ===== resource threshold TESTS =====
+test('convertConfigValue: accepts a number or JSON object for resource thresholds', () => {
+	assert.strictEqual(convertConfigValue('memory_threshold_mb', '512'), 512);
+	assert.deepStrictEqual(convertConfigValue('cpu_threshold', '{"api-*":90,"*":80}'), { 'api-*': 90, '*': 80 });
+	assert.strictEqual(convertConfigValue('cpu_threshold', ''), null);
+});
+
+test('resolveConfig: resource monitoring is off by default and clamps its timing', () => {
+	const cfg = resolveConfig({});
+	assert.strictEqual(cfg.memory_threshold_mb, null);
+	assert.strictEqual(cfg.cpu_threshold, null);
+	assert.strictEqual(cfg.resource_sustain_seconds, 60);
+	assert.strictEqual(cfg.resource_poll_seconds, 15);
+	assert.strictEqual(resolveConfig({ resource_poll_seconds: '1' }).resource_poll_seconds, 5);
+});
+
+// ===== digest TESTS =====
+test('resolveConfig: digests are off by default', () => {
+	const cfg = resolveConfig({});
+	assert.strictEqual(cfg.digest_interval_minutes, null);
+	assert.strictEqual(cfg.digest_time, null);
+	assert.strictEqual(cfg.digest_timezone, null);
+});
+
+test('resolveConfig: accepts and clamps a digest schedule', () => {
+	assert.strictEqual(resolveConfig({ digest_interval_minutes: '60' }).digest_interval_minutes, 60);
+	assert.strictEqual(resolveConfig({ digest_interval_minutes: '1' }).digest_interval_minutes, 5);
+	assert.strictEqual(resolveConfig({ digest_interval_minutes: 'null' }).digest_interval_minutes, null);
+	assert.strictEqual(resolveConfig({ digest_time: '09:30' }).digest_time, '09:30');
+	assert.strictEqual(resolveConfig({ digest_timezone: 'Europe/Amsterdam' }).digest_timezone, 'Europe/Amsterdam');
+});
+
+test('resolveConfig: ignores an invalid digest schedule', () => {
+	const cfg = resolveConfig({ digest_interval_minutes: 'hourly', digest_time: '25:00', digest_timezone: 'Mars/Base' });
+	assert.strictEqual(cfg.digest_interval_minutes, null);
+	assert.strictEqual(cfg.digest_time, null);
+	assert.strictEqual(cfg.digest_timezone, null);
+});
+
+// ===== maintenance TESTS =====
+test('resolveConfig: no maintenance windows by default', () => {
+	const cfg = resolveConfig({});
+	assert.strictEqual(cfg.maintenance_windows, null);
+	assert.strictEqual(cfg.maintenance_timezone, null);
+	assert.deepStrictEqual(cfg.maintenance_events, ['restart', 'stop', 'start', 'online', 'exit', 'delete']);
+	assert.strictEqual(cfg.maintenance_allow_exceptions, true);
+});
+
+test('resolveConfig: parses maintenance windows and events', () => {
+	const cfg = resolveConfig({
+		maintenance_windows: '[{"days":["sat","sunday"],"start":"22:00","end":"06:00"},{"start":"03:00","end":"03:30"}]',
+		maintenance_timezone: 'Europe/Amsterdam',
+		maintenance_events: '["*"]',
+		maintenance_allow_exceptions: 'false',
+	});
+	assert.deepStrictEqual(cfg.maintenance_windows, [
+		{ days: ['sat', 'sunday'], start: '22:00', end: '06:00' },
+		{ start: '03:00', end: '03:30' },
+	]);
+	assert.strictEqual(cfg.maintenance_timezone, 'Europe/Amsterdam');
+	assert.deepStrictEqual(cfg.maintenance_events, ['*']);
+	assert.strictEqual(cfg.maintenance_allow_exceptions, false);
+});
+
+test('resolveConfig: accepts a single maintenance window and event', () => {
+	const cfg = resolveConfig({ maintenance_windows: '{"start":"22:00","end":"06:00"}', maintenance_events: 'restart' });
+	assert.deepStrictEqual(cfg.maintenance_windows, [{ start: '22:00', end: '06:00' }]);
+	assert.deepStrictEqual(cfg.maintenance_events, ['restart']);
+});
+
+test('resolveConfig: ignores invalid maintenance windows', () => {
+	const cfg = resolveConfig({
+		maintenance_windows: '[{"start":"22:00"},{"start":"9:00","end":"25:00"},{"days":["someday"],"start":"01:00","end":"02:00"},{"start":"01:00","end":"02:00"}]',
+		maintenance_timezone: 'Mars/Base',
+	});
+	assert.deepStrictEqual(cfg.maintenance_windows, [{ start: '01:00', end: '02:00' }]);
+	assert.strictEqual(cfg.maintenance_timezone, null);
+	assert.strictEqual(resolveConfig({ maintenance_windows: '[{"start":"22:00"}]' }).maintenance_windows, null);
+});
+
+// ===== redact TESTS =====
+test('resolveConfig: redaction is off by default', () => {
+	const cfg = resolveConfig({});
+	assert.strictEqual(cfg.redact, false);
+	assert.strictEqual(cfg.redact_detectors, null);
+	assert.strictEqual(cfg.redact_rules, null);
+});
+
+test('resolveConfig: parses redaction detectors and rules', () => {
+	const cfg = resolveConfig({
+		redact: 'true',
+		redact_detectors: '["email", "ipv4"]',
+		redact_rules: '[{"pattern": "/token=\\\\w+/i", "replacement": "token=***"}]',
+	});
+	assert.strictEqual(cfg.redact, true);
+	assert.deepStrictEqual(cfg.redact_detectors, ['email', 'ipv4']);
+	assert.deepStrictEqual(cfg.redact_rules, [{ pattern: '/token=\\w+/i', replacement: 'token=***' }]);
+});
+
+test('resolveConfig: accepts a single redaction detector and rule', () => {
+	const cfg = resolveConfig({ redact_detectors: 'jwt', redact_rules: '{"pattern": "secret"}' });
+	assert.deepStrictEqual(cfg.redact_detectors, ['jwt']);
+	assert.deepStrictEqual(cfg.redact_rules, [{ pattern: 'secret' }]);
+});
+
+// ===== templates TESTS =====
+test('resolveConfig: no templates by default', () => {
+	assert.strictEqual(resolveConfig({}).templates, null);
+});
+
+test('resolveConfig: parses templates', () => {
+	const cfg = resolveConfig({ templates: '{"restart": "{name} restarted ({restart_time} restarts)", "*": "[{hostname}] {message}"}' });
+	assert.deepStrictEqual(cfg.templates, { restart: '{name} restarted ({restart_time} restarts)', '*': '[{hostname}] {message}' });
+});
+
+test('resolveConfig: ignores templates with unknown placeholders', () => {
+	const cfg = resolveConfig({ templates: '{"restart": "{name} restarted on {host}", "stop": 42, "log": "{message}"}' });
+	assert.deepStrictEqual(cfg.templates, { log: '{message}' });
+	assert.strictEqual(resolveConfig({ templates: '["{name}"]' }).templates, null);
+	assert.strictEqual(resolveConfig({ templates: '{"restart": "{pid}"}' }).templates, null);
+});
+
+// ===== buffer_group_by TESTS =====
+test('resolveConfig: buffers are grouped by process and event by default', () => {
+	assert.strictEqual(resolveConfig({}).buffer_group_by, 'process_event');
+	assert.strictEqual(resolveConfig({ buffer_group_by: 'none' }).buffer_group_by, 'none');
+});
+
+test('resolveConfig: falls back to the default for an invalid buffer_group_by', () => {
+	assert.strictEqual(resolveConfig({ buffer_group_by: 'host' }).buffer_group_by, 'process_event');
+});
+
+// ===== priorities TESTS =====
+test('resolveConfig: parses priorities set as a JSON string', () => {
+	assert.strictEqual(resolveConfig({}).priorities, null);
+	assert.deepStrictEqual(resolveConfig({ priorities: '{"error": "critical", "*": "bulk"}' }).priorities, { error: 'critical', '*': 'bulk' });
+});
+
+test('resolveConfig: ignores invalid priorities', () => {
+	assert.deepStrictEqual(resolveConfig({ priorities: '{"error": "urgent", "log": "normal"}' }).priorities, { log: 'normal' });
+	assert.strictEqual(resolveConfig({ priorities: '["critical"]' }).priorities, null);
+});
+
+test('resolveConfig: clamps priority_max_wait_seconds', () => {
+	assert.strictEqual(resolveConfig({}).priority_max_wait_seconds, 120);
+	assert.strictEqual(resolveConfig({ priority_max_wait_seconds: '1' }).priority_max_wait_seconds, 10);
+	assert.strictEqual(resolveConfig({ priority_max_wait_seconds: 99999 }).priority_max_wait_seconds, 3600);
+});
+
+// ===== max_queued_messages / overflow_policy TESTS =====
+test('resolveConfig: clamps max_queued_messages', () => {
+	assert.strictEqual(resolveConfig({}).max_queued_messages, 1000);
+	assert.strictEqual(resolveConfig({ max_queued_messages: '5000' }).max_queued_messages, 5000);
+	assert.strictEqual(resolveConfig({ max_queued_messages: 1 }).max_queued_messages, 100);
+	assert.strictEqual(resolveConfig({ max_queued_messages: 1e9 }).max_queued_messages, 100000);
+});
+
+test('resolveConfig: falls back to the default for an invalid overflow_policy', () => {
+	assert.strictEqual(resolveConfig({}).overflow_policy, 'drop_lowest_priority');
+	assert.strictEqual(resolveConfig({ overflow_policy: 'drop_oldest' }).overflow_policy, 'drop_oldest');
+	assert.strictEqual(resolveConfig({ overflow_policy: 'drop_all' }).overflow_policy, 'drop_lowest_priority');
+});
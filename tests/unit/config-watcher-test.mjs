@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { readModuleConf } from "../../dist/config.mjs";
+import { watchConfig } from "../../dist/config-watcher.mjs";
+
+const tmpDir = mkdtempSync(join(tmpdir(), 'pm2-discord-config-'));
+const URL_A = 'https://discord.com/api/webhooks/1/a';
+const URL_B = 'https://discord.com/api/webhooks/2/b';
+
+after(() => {
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeModuleConf(filePath, moduleConf) {
+  writeFileSync(filePath, JSON.stringify({ 'pm2-logrotate': { max_size: '10M' }, ...moduleConf }));
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('readModuleConf: returns the settings of this module', () => {
+  const filePath = join(tmpDir, 'read.json');
+  writeModuleConf(filePath, { 'pm2-discord': { discord_url: URL_A } });
+
+  assert.deepStrictEqual(readModuleConf(filePath), { discord_url: URL_A });
+});
+
+test('readModuleConf: returns empty settings when the module has none', () => {
+  const filePath = join(tmpDir, 'empty.json');
+  writeModuleConf(filePath, {});
+
+  assert.deepStrictEqual(readModuleConf(filePath), {});
+});
+
+test('readModuleConf: returns null for a missing file', () => {
+  assert.strictEqual(readModuleConf(join(tmpDir, 'missing.json')), null);
+});
+
+test('watchConfig: calls back with the new config when the settings change', async () => {
+  const filePath = join(tmpDir, 'watch.json');
+  writeModuleConf(filePath, { 'pm2-discord': { discord_url: URL_A } });
+
+  const changes = [];
+  const stop = watchConfig(config => changes.push(config), filePath, 20);
+
+  // mtime resolution can be coarse, so make sure the change gets a new mtime
+  await wait(50);
+  writeModuleConf(filePath, { 'pm2-discord': { discord_url: URL_B, buffer: 'false' } });
+  await wait(200);
+  stop();
+
+  assert.strictEqual(changes.length, 1, 'should report one change');
+  assert.strictEqual(changes[0].discord_url, URL_B);
+  assert.strictEqual(changes[0].buffer, false, 'should resolve the config');
+});
+
+test('watchConfig: ignores changes to other modules', async () => {
+  const filePath = join(tmpDir, 'other.json');
+  writeModuleConf(filePath, { 'pm2-discord': { discord_url: URL_A } });
+
+  const changes = [];
+  const stop = watchConfig(config => changes.push(config), filePath, 20);
+
+  await wait(50);
+  writeFileSync(filePath, JSON.stringify({ 'pm2-logrotate': { max_size: '20M' }, 'pm2-discord': { discord_url: URL_A } }));
+  await wait(200);
+  stop();
+
+  assert.strictEqual(changes.length, 0, 'should not report a change');
+});
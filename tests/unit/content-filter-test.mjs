@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compilePatterns, ContentFilter } from "../../dist/content-filter.mjs";
+import { parsePattern } from "../../dist/pattern-utils.mjs";
+
+// ===== parsePattern TESTS =====
+test('parsePattern: uses plain patterns as regex source', () => {
+  const regex = parsePattern('GET /health');
+  assert.ok(regex.test('GET /health 200 1ms'));
+  assert.ok(!regex.test('get /health'));
+});
+
+test('parsePattern: supports /source/flags notation', () => {
+  const regex = parsePattern('/fatal|panic/i');
+  assert.strictEqual(regex.source, 'fatal|panic');
+  assert.strictEqual(regex.flags, 'i');
+});
+
+test('parsePattern: drops stateful flags', () => {
+  const regex = parsePattern('/error/gi');
+  assert.strictEqual(regex.flags, 'i');
+  assert.ok(regex.test('error') && regex.test('error'), 'matching twice should give the same result');
+});
+
+test('parsePattern: throws on invalid patterns', () => {
+  assert.throws(() => parsePattern('/(unclosed/'), SyntaxError);
+});
+
+// ===== compilePatterns TESTS =====
+test('compilePatterns: single pattern and lists apply to all events', () => {
+  assert.deepStrictEqual(Array.from(compilePatterns('foo', 'test').keys()), ['*']);
+  assert.strictEqual(compilePatterns(['foo', 'bar'], 'test').get('*').length, 2);
+});
+
+test('compilePatterns: compiles patterns per event type', () => {
+  const compiled = compilePatterns({ log: ['health'], error: 'timeout' }, 'test');
+  assert.strictEqual(compiled.get('log')[0].source, 'health');
+  assert.strictEqual(compiled.get('error')[0].source, 'timeout');
+});
+
+test('compilePatterns: leaves out invalid patterns instead of throwing', () => {
+  const compiled = compilePatterns({ log: ['(unclosed', 'valid'], error: ['[z-a]'] }, 'test');
+  assert.deepStrictEqual(compiled.get('log').map(r => r.source), ['valid']);
+  assert.strictEqual(compiled.has('error'), false);
+});
+
+test('compilePatterns: returns nothing for null', () => {
+  assert.strictEqual(compilePatterns(null, 'test').size, 0);
+});
+
+// ===== ContentFilter TESTS =====
+test('ContentFilter: forwards everything without patterns', () => {
+  const filter = new ContentFilter(null, null);
+  assert.strictEqual(filter.shouldForward('log', 'anything'), true);
+});
+
+test('ContentFilter: drops messages matching an exclude pattern', () => {
+  const filter = new ContentFilter(null, { log: 'GET /health' });
+  assert.strictEqual(filter.shouldForward('log', 'GET /health 200'), false);
+  assert.strictEqual(filter.shouldForward('log', 'GET /users 200'), true);
+  assert.strictEqual(filter.shouldForward('error', 'GET /health 500'), true, 'other events should not be filtered');
+});
+
+test('ContentFilter: include patterns win over exclude patterns', () => {
+  const filter = new ContentFilter({ '*': '/FATAL|panic/' }, { log: 'GET /health' });
+  assert.strictEqual(filter.shouldForward('log', 'FATAL: GET /health crashed'), true);
+  assert.strictEqual(filter.shouldForward('log', 'GET /health 200'), false);
+});
+
+test('ContentFilter: excluding everything turns include patterns into an allowlist', () => {
+  const filter = new ContentFilter({ error: 'ECONNREFUSED' }, { error: '.*' });
+  assert.strictEqual(filter.shouldForward('error', 'connect ECONNREFUSED 127.0.0.1:5432'), true);
+  assert.strictEqual(filter.shouldForward('error', 'deprecation warning'), false);
+});
+
+test('ContentFilter: patterns for all events combine with event patterns', () => {
+  const filter = new ContentFilter(null, { '*': 'debug', log: 'trace' });
+  assert.strictEqual(filter.shouldForward('log', 'debug: x'), false);
+  assert.strictEqual(filter.shouldForward('log', 'trace: x'), false);
+  assert.strictEqual(filter.shouldForward('error', 'trace: x'), true);
+});
@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { CRASH_LOOP_EVENT, CrashLoopDetector } from "../../dist/crash-loop.mjs";
+import emitRecorder from "../fixtures/emit-recorder.js";
+
+const { createRecorder } = emitRecorder;
+
+const api = { name: 'api', pm_id: 0, exec_mode: 'fork_mode', instances: 1 };
+const worker = { name: 'worker', pm_id: 1, exec_mode: 'fork_mode', instances: 1 };
+const MINUTE = 60000;
+
+function createDetector(options = {}) {
+  const { sent, emit } = createRecorder();
+  const detector = new CrashLoopDetector({ restarts: 3, windowMinutes: 10, stableMinutes: 5, ...options }, emit);
+  return { detector, sent };
+}
+
+test('CrashLoopDetector: alerts when a process restarts N times within the window', () => {
+  const { detector, sent } = createDetector();
+
+  detector.record('exit', api, false, 0);
+  detector.record('exit', api, false, MINUTE);
+  assert.strictEqual(sent.length, 0);
+
+  detector.record('exit', api, false, 2 * MINUTE);
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].msg.name, 'api');
+  assert.strictEqual(sent[0].msg.event, CRASH_LOOP_EVENT);
+  assert.strictEqual(sent[0].msg.description, 'Crash loop: api restarted 3 times in the last 10 minutes.');
+  assert.strictEqual(sent[0].proc, api);
+});
+
+test('CrashLoopDetector: only counts restarts within the sliding window', () => {
+  const { detector, sent } = createDetector();
+
+  detector.record('exit', api, false, 0);
+  detector.record('restart', api, false, 6 * MINUTE);
+  detector.record('exit', api, false, 11 * MINUTE);
+
+  assert.strictEqual(sent.length, 0, 'the first restart is outside the window');
+
+  detector.record('exit', api, false, 12 * MINUTE);
+  assert.strictEqual(sent.length, 1);
+});
+
+test('CrashLoopDetector: ignores manual restarts and reloads', () => {
+  const { detector, sent } = createDetector();
+
+  // `pm2 restart` and `pm2 reload` stop the process with a regular exit and report the action afterwards
+  for (let i = 0; i < 5; i++) {
+    detector.record('exit', api, false, i * MINUTE);
+    detector.record('online', api, false, i * MINUTE + 1000);
+    detector.record(i % 2 ? 'reload' : 'restart', api, true, i * MINUTE + 2000);
+  }
+  detector.record('start', api, false, 5 * MINUTE);
+
+  assert.strictEqual(sent.length, 0);
+  assert.strictEqual(detector.histories.size, 0);
+});
+
+test('CrashLoopDetector: keeps counting crashes around a manual restart', () => {
+  const { detector, sent } = createDetector();
+
+  detector.record('exit', api, false, 0);
+  detector.record('online', api, false, 1000);
+  detector.record('exit', api, false, MINUTE);
+  detector.record('online', api, false, MINUTE + 1000);
+  detector.record('restart', api, true, MINUTE + 2000);
+  assert.strictEqual(detector.histories.get('0').crashes.length, 1);
+
+  detector.record('exit', api, false, 2 * MINUTE);
+  detector.record('exit', api, false, 3 * MINUTE);
+  assert.strictEqual(sent.length, 1);
+});
+
+test('CrashLoopDetector: ignores the old worker stopped by a cluster reload', () => {
+  const { detector, sent } = createDetector();
+  const oldWorker = { ...api, pm_id: '_old_0', exec_mode: 'cluster_mode' };
+
+  for (let i = 0; i < 5; i++) {
+    detector.record('exit', oldWorker, false, i * MINUTE);
+    detector.record('reload', api, true, i * MINUTE + 1000);
+  }
+
+  assert.strictEqual(sent.length, 0);
+  assert.strictEqual(detector.histories.size, 0);
+});
+
+test('CrashLoopDetector: alerts only once per loop and tracks processes separately', () => {
+  const { detector, sent } = createDetector();
+
+  for (let i = 0; i < 6; i++) {
+    detector.record('exit', api, false, i * 1000);
+  }
+  detector.record('exit', worker, false, 0);
+  detector.record('exit', worker, false, 1000);
+
+  assert.strictEqual(sent.length, 1);
+});
+
+test('CrashLoopDetector: sends a follow-up once the process stayed online', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { detector, sent } = createDetector();
+
+  for (let i = 0; i < 3; i++) {
+    detector.record('exit', api, false, i * 1000);
+  }
+  detector.record('online', api, false, 3000);
+  t.mock.timers.tick(5 * MINUTE - 1);
+  assert.strictEqual(sent.length, 1);
+
+  t.mock.timers.tick(1);
+
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1].msg.event, CRASH_LOOP_EVENT);
+  assert.strictEqual(sent[1].msg.description, 'Stabilized: api has been online for 5 minutes without restarting.');
+  assert.strictEqual(detector.histories.size, 0, 'a new loop is alerted again');
+});
+
+test('CrashLoopDetector: a crash while waiting for the follow-up restarts the wait', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { detector, sent } = createDetector();
+
+  for (let i = 0; i < 3; i++) {
+    detector.record('exit', api, false, i * 1000);
+  }
+  detector.record('online', api, false, 3000);
+  t.mock.timers.tick(4 * MINUTE);
+  detector.record('exit', api, false, 4 * MINUTE);
+  t.mock.timers.tick(4 * MINUTE);
+  assert.strictEqual(sent.length, 1, 'no follow-up while the process keeps crashing');
+
+  detector.record('online', api, false, 8 * MINUTE);
+  t.mock.timers.tick(5 * MINUTE);
+  assert.strictEqual(sent.length, 2);
+});
+
+test('CrashLoopDetector: stops tracking a stopped process', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { detector, sent } = createDetector();
+
+  for (let i = 0; i < 3; i++) {
+    detector.record('exit', api, false, i * 1000);
+  }
+  detector.record('online', api, false, 3000);
+  detector.record('stop', api, true, 4000);
+  t.mock.timers.tick(10 * MINUTE);
+
+  assert.strictEqual(sent.length, 1, 'no follow-up for a stopped process');
+  assert.strictEqual(detector.histories.size, 0);
+});
+
+test('CrashLoopDetector: formats alerts when format is enabled', () => {
+  const { detector, sent } = createDetector({ format: true });
+
+  for (let i = 0; i < 3; i++) {
+    detector.record('exit', api, false, i * 1000);
+  }
+
+  assert.strictEqual(sent[0].msg.description, '```Crash loop: api restarted 3 times in the last 10 minutes.```');
+});
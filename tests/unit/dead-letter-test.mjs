@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { DeadLetterStore } from "../../dist/dead-letter.mjs";
+import { MessageQueue } from "../../dist/message-queue.mjs";
+
+const tmpDir = mkdtempSync(join(tmpdir(), 'pm2-discord-dead-letter-'));
+let fileCounter = 0;
+
+function deadLetterPath() {
+  fileCounter++;
+  return join(tmpDir, `dead-letter-${fileCounter}.jsonl`);
+}
+
+function message(description) {
+  return { name: 'app', event: 'log', description, timestamp: 1737627045 };
+}
+
+after(() => {
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ===== DeadLetterStore TESTS =====
+test('DeadLetterStore: records reason, attempts and original timestamp', () => {
+  const store = new DeadLetterStore(deadLetterPath());
+  store.add([{ ...message('first'), _retryAttempts: 6, _spoolId: 3 }], 'HTTP 500: Internal Server Error');
+
+  const entries = store.read();
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].reason, 'HTTP 500: Internal Server Error');
+  assert.strictEqual(entries[0].attempts, 6);
+  assert.strictEqual(entries[0].timestamp, 1737627045);
+  assert.ok(!isNaN(Date.parse(entries[0].failedAt)), 'failedAt should be an ISO date');
+  assert.deepStrictEqual(entries[0].message, message('first'), 'internal fields should not be stored');
+});
+
+test('DeadLetterStore: take returns the messages and empties the file', () => {
+  const path = deadLetterPath();
+  const store = new DeadLetterStore(path);
+  store.add([message('first'), message('second')], 'webhook invalid', 1);
+
+  const messages = store.take();
+  assert.deepStrictEqual(messages.map(m => m.description), ['first', 'second']);
+  assert.strictEqual(existsSync(path), false, 'dead-letter file should be removed');
+  assert.deepStrictEqual(store.take(), [], 'nothing should be left to replay');
+});
+
+// ===== MessageQueue with dead letters TESTS =====
+test('MessageQueue - dead-letters messages that exceed max retry attempts', async () => {
+  const deadLetters = new DeadLetterStore(deadLetterPath());
+  const mockSender = async () => ({ success: false, error: 'HTTP 500: Internal Server Error', rateLimitInfo: {} });
+  const config = { discord_url: 'https://test.webhook', buffer: false };
+
+  const queue = new MessageQueue(config, mockSender, { deadLetters });
+  queue.addMessage(message('first'));
+
+  // 1 attempt + 5 retries, skipping the backoff between them
+  for (let i = 0; i < 6; i++) {
+    queue.rateLimitedUntil = 0;
+    await queue.flush();
+  }
+
+  assert.strictEqual(queue.messageQueue.length, 0, 'message should be dropped from the queue');
+  const entries = deadLetters.read();
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].reason, 'HTTP 500: Internal Server Error');
+  assert.strictEqual(entries[0].attempts, 6);
+  queue.stopInterval();
+});
+
+test('MessageQueue - dead-letters messages for an invalid webhook', async () => {
+  const deadLetters = new DeadLetterStore(deadLetterPath());
+  const mockSender = async () => ({ success: false, webhookInvalid: true, error: 'HTTP 404: Not Found', rateLimitInfo: {} });
+  const config = { discord_url: 'https://test.webhook', buffer: false, rate_limit_messages: 10, rate_limit_window_seconds: 1 };
+
+  const queue = new MessageQueue(config, mockSender, { deadLetters });
+  queue.addMessage(message('first'));
+  await queue.flush();
+
+  const entries = deadLetters.read();
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].reason, 'webhook invalid');
+  assert.strictEqual(entries[0].attempts, 1);
+  queue.stopInterval();
+});
+
+test('MessageQueue - replays dead letters once the webhook works again', async () => {
+  const deadLetters = new DeadLetterStore(deadLetterPath());
+  let webhookWorks = false;
+  const sent = [];
+  const mockSender = async (messages) => {
+    if (!webhookWorks) {
+      return { success: false, webhookInvalid: true, error: 'HTTP 404: Not Found', rateLimitInfo: {} };
+    }
+    sent.push(...messages.map(m => m.description));
+    return { success: true, rateLimitInfo: {} };
+  };
+  const config = { discord_url: 'https://test.webhook', buffer: false };
+
+  const queue = new MessageQueue(config, mockSender, { deadLetters });
+  queue.addMessage(message('first'));
+  await queue.flush();
+  assert.strictEqual(queue.isWebhookInvalid(), true);
+
+  webhookWorks = true;
+  assert.strictEqual(queue.replayDeadLetters(), 1, 'should replay one message');
+  assert.strictEqual(queue.isWebhookInvalid(), false, 'webhook should be tried again');
+  await queue.flush();
+
+  assert.deepStrictEqual(sent, ['first']);
+  assert.deepStrictEqual(deadLetters.read(), [], 'dead-letter file should be empty');
+  queue.stopInterval();
+});
+
+test('MessageQueue - replaying without dead letters does nothing', () => {
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false }, async () => ({ success: true, rateLimitInfo: {} }));
+  assert.strictEqual(queue.replayDeadLetters(), 0);
+  assert.strictEqual(queue.messageQueue.length, 0);
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Deduplicator, getDedupeKey, normalizeText } from "../../dist/dedupe.mjs";
+import emitRecorder from "../fixtures/emit-recorder.js";
+
+const { createRecorder } = emitRecorder;
+
+function message(description, overrides = {}) {
+  return { name: 'api', event: 'error', description, timestamp: 1000, ...overrides };
+}
+
+function createDeduplicator(options = {}) {
+  const { sent, emit } = createRecorder();
+  const deduplicator = new Deduplicator({ windowSeconds: 60, ...options }, emit);
+  return { deduplicator, sent };
+}
+
+// ===== normalizeText TESTS =====
+test('normalizeText: masks numbers, ids and whitespace', () => {
+  assert.strictEqual(normalizeText('Request 1234 failed after 30ms'), 'request # failed after #ms');
+  assert.strictEqual(normalizeText('Job 5f2b9c1e-0a4d-4c7e-9f11-2b3c4d5e6f70 failed'), 'job <id> failed');
+  assert.strictEqual(normalizeText('trace 0x7ffdf3a9b2c4e1 lost'), 'trace <id> lost');
+  assert.strictEqual(normalizeText('2026-01-23T10:15:30.123Z  timeout'), normalizeText('2026-01-24T11:00:01.999Z timeout'));
+});
+
+test('normalizeText: ignores code fences added by format', () => {
+  assert.strictEqual(normalizeText('```Disk full```'), normalizeText('Disk full'));
+});
+
+test('getDedupeKey: differs by process and event', () => {
+  const key = getDedupeKey(message('Disk full'));
+  assert.strictEqual(getDedupeKey(message('Disk full')), key);
+  assert.notStrictEqual(getDedupeKey(message('Disk full', { name: 'worker' })), key);
+  assert.notStrictEqual(getDedupeKey(message('Disk full', { event: 'log' })), key);
+});
+
+// ===== Deduplicator TESTS =====
+test('Deduplicator: sends the first message and suppresses duplicates', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { deduplicator, sent } = createDeduplicator();
+  const proc = { name: 'api' };
+
+  deduplicator.add(message('Connection 1 refused'), proc);
+  deduplicator.add(message('Connection 2 refused', { timestamp: 1001 }), proc);
+  deduplicator.add(message('Connection 3 refused', { timestamp: 1002 }), proc);
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].msg.description, 'Connection 1 refused');
+  assert.strictEqual(sent[0].proc, proc);
+});
+
+test('Deduplicator: sends a summary when the window closes', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { deduplicator, sent } = createDeduplicator();
+  const proc = { name: 'api' };
+
+  for (let i = 0; i < 58; i++) {
+    deduplicator.add(message(`Connection ${i} refused`, { timestamp: 1000 + i }), proc);
+  }
+  t.mock.timers.tick(60000);
+
+  assert.strictEqual(sent.length, 2);
+  assert.deepStrictEqual(sent[1].msg, { name: 'api', event: 'error', description: 'Last message repeated 57 times', timestamp: 1057 });
+  assert.strictEqual(sent[1].proc, proc);
+  assert.strictEqual(deduplicator.entries.size, 0);
+});
+
+test('Deduplicator: sends no summary without duplicates', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { deduplicator, sent } = createDeduplicator();
+
+  deduplicator.add(message('Disk full'));
+  t.mock.timers.tick(60000);
+
+  assert.strictEqual(sent.length, 1);
+});
+
+test('Deduplicator: sends the message again after the window closed', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { deduplicator, sent } = createDeduplicator();
+
+  deduplicator.add(message('Disk full'));
+  deduplicator.add(message('Disk full'));
+  t.mock.timers.tick(60000);
+  deduplicator.add(message('Disk full'));
+
+  assert.deepStrictEqual(sent.map(s => s.msg.description), ['Disk full', 'Last message repeated 1 time', 'Disk full']);
+});
+
+test('Deduplicator: keeps different messages apart', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { deduplicator, sent } = createDeduplicator();
+
+  deduplicator.add(message('Disk full'));
+  deduplicator.add(message('Disk full', { name: 'worker' }));
+  deduplicator.add(message('Out of memory'));
+
+  assert.strictEqual(sent.length, 3);
+});
+
+test('Deduplicator: formats the summary when format is enabled', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { deduplicator, sent } = createDeduplicator({ format: true });
+
+  deduplicator.add(message('```Disk full```'));
+  deduplicator.add(message('```Disk full```'));
+  t.mock.timers.tick(60000);
+
+  assert.strictEqual(sent[1].msg.description, '```Last message repeated 1 time```');
+});
+
+test('Deduplicator: flush sends pending summaries right away', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { deduplicator, sent } = createDeduplicator();
+
+  deduplicator.add(message('Disk full'));
+  deduplicator.add(message('Disk full'));
+  deduplicator.add(message('Out of memory'));
+  deduplicator.flush();
+
+  assert.deepStrictEqual(sent.map(s => s.msg.description), ['Disk full', 'Out of memory', 'Last message repeated 1 time']);
+  assert.strictEqual(deduplicator.entries.size, 0);
+});
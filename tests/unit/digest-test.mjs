@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Deduplicator } from "../../dist/dedupe.mjs";
+import { buildDigest, DIGEST_EVENT, DigestScheduler, DigestStats, getDelayUntil } from "../../dist/digest.mjs";
+import emitRecorder from "../fixtures/emit-recorder.js";
+
+const { createRecorder } = emitRecorder;
+
+const HOUR = 60 * 60 * 1000;
+
+function describe(name, pmId, status, restarts, uptimeSince = 0) {
+  return { name, pm_id: pmId, monit: {}, pm2_env: { status, restart_time: restarts, pm_uptime: uptimeSince, exec_mode: 'fork_mode', instances: 1 } };
+}
+
+function createScheduler(options = {}, list = async () => [], matches) {
+  const { sent, emit } = createRecorder();
+  const stats = new DigestStats();
+  const scheduler = new DigestScheduler({ intervalMinutes: 60, time: null, timeZone: null, ...options }, stats, list, emit, matches);
+  return { scheduler, stats, sent };
+}
+
+// ===== DigestStats TESTS =====
+test('DigestStats: counts forwarded errors and exceptions, and suppressed messages', () => {
+  const stats = new DigestStats();
+  stats.recordForwarded({ name: 'api', event: 'error' });
+  stats.recordForwarded({ name: 'api', event: 'error' });
+  stats.recordForwarded({ name: 'api', event: 'exception' });
+  stats.recordForwarded({ name: 'api', event: 'log' });
+  stats.recordSuppressed('api');
+
+  assert.deepStrictEqual(stats.get('api'), { errors: 2, exceptions: 1, suppressed: 1 });
+});
+
+test('DigestStats: dedupe summaries do not raise the error count', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const stats = new DigestStats();
+  const { sent, emit } = createRecorder();
+  // wired like the module: originals are counted before dedupe, whatever it sends is routed as is
+  const deduplicator = new Deduplicator({ windowSeconds: 60 }, emit, msg => stats.recordSuppressed(msg.name));
+  for (let i = 0; i < 3; i++) {
+    const msg = { name: 'api', event: 'error', description: 'Disk full', timestamp: 1000 };
+    stats.recordForwarded(msg);
+    deduplicator.add(msg);
+  }
+  t.mock.timers.tick(60000);
+
+  assert.strictEqual(sent.length, 2, 'should send the first error and a summary');
+  assert.strictEqual(sent[1].msg.event, 'error');
+  assert.deepStrictEqual(stats.get('api'), { errors: 3, exceptions: 0, suppressed: 2 });
+});
+
+test('DigestStats: take starts counting from zero', () => {
+  const stats = new DigestStats();
+  stats.recordSuppressed('api');
+
+  assert.strictEqual(stats.take().get('api').suppressed, 1);
+  assert.strictEqual(stats.counters.size, 0);
+});
+
+// ===== getDelayUntil TESTS =====
+test('getDelayUntil: waits until the time of day in the time zone', () => {
+  const now = Date.UTC(2026, 0, 23, 8, 30, 0);
+  assert.strictEqual(getDelayUntil('09:00', 'UTC', now), 30 * 60 * 1000);
+  assert.strictEqual(getDelayUntil('09:00', 'Asia/Tokyo', now), 15.5 * HOUR, 'it is 17:30 in Tokyo');
+});
+
+test('getDelayUntil: waits until tomorrow when the time has passed', () => {
+  const now = Date.UTC(2026, 0, 23, 9, 0, 0);
+  assert.strictEqual(getDelayUntil('09:00', 'UTC', now), 24 * HOUR);
+  assert.strictEqual(getDelayUntil('08:59', 'UTC', now + 500), 24 * HOUR - 60000 - 500);
+});
+
+// ===== buildDigest TESTS =====
+test('buildDigest: summarizes each process', () => {
+  const counters = new Map([['api', { errors: 4, exceptions: 1, suppressed: 120 }]]);
+  const restarts = new Map([['0', 2]]);
+  const text = buildDigest(
+    [describe('api', 0, 'online', 5, 0), describe('worker', 1, 'stopped', 0)],
+    counters, restarts, HOUR, 3 * HOUR + 5 * 60000
+  );
+
+  assert.strictEqual(text, [
+    'Status digest for the last 1h:',
+    'api: online, up 3h 5m, 2 restarts, 4 errors, 1 exception, 120 suppressed',
+    'worker: stopped, 0 restarts, 0 errors, 0 exceptions, 0 suppressed',
+  ].join('\n'));
+});
+
+test('buildDigest: lists processes that are gone', () => {
+  const counters = new Map([['old', { errors: 1, exceptions: 0, suppressed: 0 }]]);
+  const text = buildDigest([], counters, new Map(), HOUR);
+  assert.match(text, /old: not in PM2 anymore, 1 error, 0 exceptions, 0 suppressed/);
+});
+
+test('buildDigest: says so when there are no processes', () => {
+  assert.strictEqual(buildDigest([], new Map(), new Map(), HOUR), 'Status digest for the last 1h:\nNo processes.');
+});
+
+// ===== DigestScheduler TESTS =====
+test('DigestScheduler: counts restarts since the last digest', async () => {
+  let restarts = 3;
+  const { scheduler, sent } = createScheduler({}, async () => [describe('api', 0, 'online', restarts)]);
+
+  await scheduler.start();
+  scheduler.stop();
+  restarts = 5;
+  await scheduler.send();
+  await scheduler.send();
+
+  assert.match(sent[0].msg.description, /api: online, up .*, 2 restarts/);
+  assert.match(sent[1].msg.description, /api: online, up .*, 0 restarts/);
+});
+
+test('DigestScheduler: sends the digest as a PM2 message and resets the counters', async () => {
+  const { scheduler, stats, sent } = createScheduler({ format: true }, async () => [describe('api', 0, 'online', 0)]);
+  stats.recordSuppressed('api');
+
+  await scheduler.send(Date.UTC(2026, 0, 23, 9, 0, 0));
+
+  assert.strictEqual(sent[0].msg.name, 'PM2');
+  assert.strictEqual(sent[0].msg.event, DIGEST_EVENT);
+  assert.strictEqual(sent[0].msg.timestamp, Date.UTC(2026, 0, 23, 9, 0, 0) / 1000);
+  assert.match(sent[0].msg.description, /^```Status digest[\s\S]*1 suppressed```$/);
+  assert.strictEqual(stats.counters.size, 0);
+});
+
+test('DigestScheduler: leaves out filtered processes', async () => {
+  const { scheduler, sent } = createScheduler({}, async () => [describe('api', 0, 'online', 0), describe('pm2-discord', 1, 'online', 0)], proc => proc.name !== 'pm2-discord');
+
+  await scheduler.send();
+
+  assert.doesNotMatch(sent[0].msg.description, /pm2-discord/);
+});
+
+test('DigestScheduler: sends digests on the interval', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { scheduler, sent } = createScheduler({ intervalMinutes: 60 });
+
+  scheduler.schedule();
+  t.mock.timers.tick(HOUR);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(sent.length, 1);
+
+  t.mock.timers.tick(HOUR);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(sent.length, 2);
+
+  scheduler.stop();
+});
+
+test('DigestScheduler: does nothing without a schedule', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  let calls = 0;
+  const { scheduler } = createScheduler({ intervalMinutes: null }, async () => { calls++; return []; });
+
+  await scheduler.start();
+  t.mock.timers.tick(24 * HOUR);
+
+  assert.strictEqual(calls, 0);
+  assert.strictEqual(scheduler.timer, null);
+});
+
+test('DigestScheduler: only reschedules when the schedule changes', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { scheduler } = createScheduler({ intervalMinutes: 60 });
+
+  scheduler.schedule();
+  const timer = scheduler.timer;
+  scheduler.update({ ...scheduler.options, format: true });
+  assert.strictEqual(scheduler.timer, timer);
+
+  scheduler.update({ ...scheduler.options, intervalMinutes: 30 });
+  assert.notStrictEqual(scheduler.timer, timer);
+
+  scheduler.update({ ...scheduler.options, intervalMinutes: null });
+  assert.strictEqual(scheduler.timer, null);
+});
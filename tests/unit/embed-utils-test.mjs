@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { appendFieldsText, getEmbedColor, getEmbedLength, toEmbed } from "../../dist/embed-utils.mjs";
+import { buildPayload } from "../../dist/send-to-discord.mjs";
+
+// ===== getEmbedColor TESTS =====
+test('getEmbedColor: uses red for exceptions', () => {
+  assert.strictEqual(getEmbedColor('exception'), 0xED4245, 'exception should be red');
+});
+
+test('getEmbedColor: uses red for crash loops', () => {
+  assert.strictEqual(getEmbedColor('crash loop'), 0xED4245);
+});
+
+test('getEmbedColor: uses orange for restart overlimit', () => {
+  assert.strictEqual(getEmbedColor('restart overlimit'), 0xE67E22, 'restart overlimit should be orange');
+});
+
+test('getEmbedColor: uses green for online', () => {
+  assert.strictEqual(getEmbedColor('online'), 0x57F287, 'online should be green');
+});
+
+test('getEmbedColor: falls back to default color for other events', () => {
+  assert.strictEqual(getEmbedColor('log'), 0x5865F2, 'other events should use the default color');
+});
+
+// ===== toEmbed TESTS =====
+test('toEmbed: maps process name, event, description and timestamp', () => {
+  const embed = toEmbed({ name: 'api', event: 'exception', description: 'boom', timestamp: 1737627045 });
+  assert.deepStrictEqual(embed, {
+    title: 'exception',
+    description: 'boom',
+    color: 0xED4245,
+    author: { name: 'api' },
+    timestamp: '2025-01-23T10:10:45.000Z'
+  });
+});
+
+test('toEmbed: omits timestamp when message has none', () => {
+  const embed = toEmbed({ name: 'api', event: 'log', description: 'hello', timestamp: null });
+  assert.strictEqual(embed.timestamp, undefined, 'timestamp should be omitted');
+});
+
+test('toEmbed: omits author for empty process name', () => {
+  const embed = toEmbed({ name: '  ', event: 'kill', description: 'bye', timestamp: null });
+  assert.strictEqual(embed.author, undefined, 'author should be omitted');
+});
+
+test('toEmbed: handles null description', () => {
+  const embed = toEmbed({ name: 'api', event: 'log', description: null, timestamp: null });
+  assert.strictEqual(embed.description, '', 'description should be an empty string');
+});
+
+test('toEmbed: truncates descriptions over 4096 characters', () => {
+  const embed = toEmbed({ name: 'api', event: 'log', description: 'x'.repeat(5000), timestamp: null });
+  assert.strictEqual(embed.description.length, 4096, 'description should be truncated to 4096 characters');
+  assert.ok(embed.description.endsWith('...'), 'truncated description should end with ellipsis');
+});
+
+test('toEmbed: adds fields as inline embed fields', () => {
+  const embed = toEmbed({ name: 'api', event: 'exit', description: 'exited', timestamp: null, fields: [{ name: 'pm_id', value: '3' }, { name: 'Script', value: 's'.repeat(2000), inline: false }] });
+  assert.deepStrictEqual(embed.fields[0], { name: 'pm_id', value: '3', inline: true });
+  assert.strictEqual(embed.fields[1].inline, false);
+  assert.strictEqual(embed.fields[1].value.length, 1024, 'field values should be truncated to 1024 characters');
+});
+
+test('toEmbed: keeps at most 25 fields', () => {
+  const fields = Array.from({ length: 30 }, (_, i) => ({ name: `f${i}`, value: 'v' }));
+  const embed = toEmbed({ name: 'api', event: 'exit', description: 'exited', timestamp: null, fields });
+  assert.strictEqual(embed.fields.length, 25);
+});
+
+// ===== getEmbedLength TESTS =====
+test('getEmbedLength: counts title, description and author name', () => {
+  const length = getEmbedLength({ name: 'api', event: 'log', description: 'hello', timestamp: null });
+  assert.strictEqual(length, 3 + 3 + 5, 'should count author, title and description');
+});
+
+test('getEmbedLength: counts field names and values', () => {
+  const length = getEmbedLength({ name: 'api', event: 'log', description: 'hello', timestamp: null, fields: [{ name: 'pm_id', value: '3' }] });
+  assert.strictEqual(length, 3 + 3 + 5 + 5 + 1);
+});
+
+// ===== appendFieldsText TESTS =====
+test('appendFieldsText: adds the fields on a line after the text', () => {
+  assert.strictEqual(appendFieldsText('boom', [{ name: 'pm_id', value: '3' }, { name: 'Restarts', value: '12' }]), 'boom\npm_id: 3 | Restarts: 12');
+  assert.strictEqual(appendFieldsText(null, [{ name: 'pm_id', value: '3' }]), 'pm_id: 3');
+  assert.strictEqual(appendFieldsText('boom', []), 'boom');
+});
+
+// ===== buildPayload TESTS =====
+test('buildPayload: joins messages into content by default', () => {
+  const payload = buildPayload([
+    { name: 'api', event: 'log', description: 'one', timestamp: null },
+    { name: 'api', event: 'log', description: 'two', timestamp: null }
+  ]);
+  assert.deepStrictEqual(payload, { content: 'one\ntwo', username: 'api' });
+});
+
+test('buildPayload: creates one embed per message in embeds mode', () => {
+  const payload = buildPayload([
+    { name: 'api', event: 'log', description: 'one', timestamp: null },
+    { name: 'worker', event: 'exception', description: 'two', timestamp: null }
+  ], { embeds: true });
+  assert.strictEqual(payload.content, undefined, 'content should not be set in embeds mode');
+  assert.strictEqual(payload.embeds.length, 2, 'should create one embed per message');
+  assert.strictEqual(payload.embeds[1].author.name, 'worker', 'embed author should be the process name');
+  assert.strictEqual(payload.username, 'api, worker', 'username should still combine process names');
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FloodGuard, RateCounter } from "../../dist/flood-guard.mjs";
+import emitRecorder from "../fixtures/emit-recorder.js";
+
+const { createRecorder } = emitRecorder;
+
+function message(description, overrides = {}) {
+  return { name: 'api', event: 'log', description, timestamp: 1000, ...overrides };
+}
+
+function createFloodGuard(options = {}) {
+  const { sent, emit } = createRecorder();
+  const guard = new FloodGuard({ threshold: 30, summarySeconds: 60, ...options }, emit);
+  return { guard, sent };
+}
+
+// ===== RateCounter TESTS =====
+test('RateCounter: counts events in the last minute', () => {
+  const counter = new RateCounter(0);
+  counter.add(0);
+  counter.add(500);
+  counter.add(30000);
+  assert.strictEqual(counter.count(30000), 3);
+  assert.strictEqual(counter.count(60500), 1, 'events older than a minute are dropped');
+  assert.strictEqual(counter.count(200000), 0);
+});
+
+// ===== FloodGuard TESTS =====
+test('FloodGuard: forwards lines below the threshold', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const { guard, sent } = createFloodGuard();
+
+  for (let i = 0; i < 30; i++) {
+    guard.add(message(`line ${i}`));
+  }
+
+  assert.strictEqual(sent.length, 30);
+});
+
+test('FloodGuard: switches to summaries above the threshold', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const { guard, sent } = createFloodGuard();
+  const proc = { name: 'api' };
+
+  for (let i = 0; i < 100; i++) {
+    guard.add(message(i % 4 === 0 ? `Retrying in ${i}s` : `Connection ${i} refused`), proc);
+  }
+
+  assert.strictEqual(sent.length, 31, '30 lines and the flood notice');
+  assert.match(sent[30].msg.description, /^Flood protection: 31 lines in the last minute/);
+  assert.strictEqual(sent[30].proc, proc);
+
+  t.mock.timers.tick(60000);
+
+  assert.strictEqual(sent.length, 32);
+  const summary = sent[31].msg;
+  assert.strictEqual(summary.name, 'api');
+  assert.strictEqual(summary.event, 'log');
+  assert.match(summary.description, /^Flood protection: 70 lines in the last 60 seconds\./);
+  assert.match(summary.description, /Top messages:\n53x Connection 30 refused\n17x Retrying in 32s/);
+  assert.match(summary.description, /Sample:\nConnection 30 refused\nConnection 31 refused/);
+});
+
+test('FloodGuard: resumes forwarding when the volume drops', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const { guard, sent } = createFloodGuard();
+
+  for (let i = 0; i < 40; i++) {
+    guard.add(message(`line ${i}`));
+  }
+  t.mock.timers.tick(61000);
+
+  const last = sent[sent.length - 1].msg.description;
+  assert.match(last, /10 lines in the last 60 seconds/);
+  assert.match(last, /back to normal/);
+  assert.strictEqual(guard.states.size, 0);
+
+  guard.add(message('quiet again'));
+  assert.strictEqual(sent[sent.length - 1].msg.description, 'quiet again');
+});
+
+test('FloodGuard: keeps summarizing while the volume stays high', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const { guard, sent } = createFloodGuard();
+
+  for (let i = 0; i < 40; i++) {
+    guard.add(message(`line ${i}`));
+  }
+  t.mock.timers.tick(30000);
+  for (let i = 0; i < 20; i++) {
+    guard.add(message(`line ${i}`));
+  }
+  t.mock.timers.tick(30000);
+
+  const last = sent[sent.length - 1].msg.description;
+  assert.match(last, /30 lines in the last 60 seconds/);
+  assert.doesNotMatch(last, /back to normal/);
+  assert.strictEqual(guard.states.get('api\u0000log').flooding, true);
+});
+
+test('FloodGuard: tracks processes separately', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const { guard, sent } = createFloodGuard();
+
+  for (let i = 0; i < 40; i++) {
+    guard.add(message(`line ${i}`));
+  }
+  guard.add(message('hello', { name: 'worker' }));
+
+  assert.strictEqual(sent[sent.length - 1].msg.description, 'hello');
+});
+
+test('FloodGuard: formats summaries when format is enabled', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const { guard, sent } = createFloodGuard({ format: true });
+
+  for (let i = 0; i < 31; i++) {
+    guard.add(message('```boom```'));
+  }
+
+  assert.match(sent[sent.length - 1].msg.description, /^```Flood protection: [\s\S]*```$/);
+});
+
+test('FloodGuard: flush sends pending summaries', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const { guard, sent } = createFloodGuard();
+
+  for (let i = 0; i < 35; i++) {
+    guard.add(message('```boom```'));
+  }
+  guard.flush();
+
+  assert.match(sent[sent.length - 1].msg.description, /5 lines in the last 60 seconds[\s\S]*5x boom/);
+  assert.strictEqual(guard.states.size, 0);
+});
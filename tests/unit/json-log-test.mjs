@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compileMinLevels, formatJsonLog, getLevelLabel, JsonLogParser, parseJsonLog, toLevelNumber } from "../../dist/json-log.mjs";
+
+// ===== toLevelNumber TESTS =====
+test('toLevelNumber: keeps numeric pino and bunyan levels', () => {
+  assert.strictEqual(toLevelNumber(30), 30);
+  assert.strictEqual(toLevelNumber('50'), 50);
+});
+
+test('toLevelNumber: maps level names of different loggers', () => {
+  assert.strictEqual(toLevelNumber('info'), 30);
+  assert.strictEqual(toLevelNumber('WARN'), 40);
+  assert.strictEqual(toLevelNumber('warning'), 40);
+  assert.strictEqual(toLevelNumber('silly'), 10);
+  assert.strictEqual(toLevelNumber('critical'), 60);
+});
+
+test('toLevelNumber: returns null for unknown levels', () => {
+  assert.strictEqual(toLevelNumber('loud'), null);
+  assert.strictEqual(toLevelNumber(''), null);
+  assert.strictEqual(toLevelNumber(undefined), null);
+});
+
+test('getLevelLabel: labels numeric levels', () => {
+  assert.strictEqual(getLevelLabel(40), 'WARN');
+  assert.strictEqual(getLevelLabel(45), 'WARN');
+  assert.strictEqual(getLevelLabel(60), 'FATAL');
+  assert.strictEqual(getLevelLabel(10), 'TRACE');
+});
+
+// ===== parseJsonLog TESTS =====
+test('parseJsonLog: parses pino lines', () => {
+  const entry = parseJsonLog('{"level":40,"time":1737627045000,"pid":1,"hostname":"box","msg":"Disk almost full","mount":"/data"}');
+  assert.deepStrictEqual(entry, {
+    level: 40,
+    message: 'Disk almost full',
+    timestamp: 1737627045,
+    error: null,
+    fields: { mount: '/data' }
+  });
+});
+
+test('parseJsonLog: parses winston lines', () => {
+  const entry = parseJsonLog('{"level":"error","message":"Request failed","timestamp":"2025-01-23T10:10:45.000Z"}');
+  assert.strictEqual(entry.level, 50);
+  assert.strictEqual(entry.message, 'Request failed');
+  assert.strictEqual(entry.timestamp, 1737627045);
+});
+
+test('parseJsonLog: uses the error stack', () => {
+  const entry = parseJsonLog('{"level":50,"msg":"boom","err":{"type":"Error","message":"boom","stack":"Error: boom\\n    at x (a.js:1:1)"}}');
+  assert.strictEqual(entry.error, 'Error: boom\n    at x (a.js:1:1)');
+});
+
+test('parseJsonLog: returns null for lines that are not JSON objects', () => {
+  assert.strictEqual(parseJsonLog('Server started'), null);
+  assert.strictEqual(parseJsonLog('[1, 2]'), null);
+  assert.strictEqual(parseJsonLog('{not json}'), null);
+});
+
+// ===== formatJsonLog TESTS =====
+test('formatJsonLog: renders level, message, fields and error', () => {
+  const text = formatJsonLog({
+    level: 50,
+    message: 'Request failed',
+    timestamp: null,
+    error: 'Error: boom\n    at x',
+    fields: { method: 'GET', path: '/users', user: { id: 1 }, note: 'two words' }
+  });
+  assert.strictEqual(text, 'ERROR: Request failed\nmethod=GET path=/users user={"id":1} note="two words"\nError: boom\n    at x');
+});
+
+test('formatJsonLog: works without level', () => {
+  assert.strictEqual(formatJsonLog({ level: null, message: 'hello', timestamp: null, error: null, fields: {} }), 'hello');
+});
+
+// ===== compileMinLevels TESTS =====
+test('compileMinLevels: applies a single level to all events', () => {
+  assert.deepStrictEqual(Array.from(compileMinLevels('warn')), [['*', 40]]);
+});
+
+test('compileMinLevels: ignores unknown levels', () => {
+  assert.deepStrictEqual(Array.from(compileMinLevels({ log: 'warn', error: 'loud' })), [['log', 40]]);
+});
+
+// ===== JsonLogParser TESTS =====
+test('JsonLogParser: renders JSON lines and uses their time', () => {
+  const parser = new JsonLogParser();
+  const result = parser.parse({ description: '{"level":30,"time":1737627045000,"msg":"Listening"}', timestamp: 5 }, 'log');
+  assert.deepStrictEqual(result, { description: 'INFO: Listening', timestamp: 1737627045 });
+});
+
+test('JsonLogParser: leaves plain text untouched', () => {
+  const parser = new JsonLogParser('warn');
+  const message = { description: 'Server started\n\nport 3000', timestamp: 5 };
+  assert.strictEqual(parser.parse(message, 'log'), message);
+});
+
+test('JsonLogParser: drops lines below the minimum level', () => {
+  const parser = new JsonLogParser('warn');
+  const info = parser.parse({ description: '{"level":30,"msg":"Listening"}', timestamp: null }, 'log');
+  assert.strictEqual(info.description, null);
+
+  const warn = parser.parse({ description: '{"level":30,"msg":"Listening"}\n{"level":40,"msg":"Slow query"}', timestamp: null }, 'log');
+  assert.strictEqual(warn.description, 'WARN: Slow query');
+});
+
+test('JsonLogParser: keeps lines without a level', () => {
+  const parser = new JsonLogParser('error');
+  const result = parser.parse({ description: '{"msg":"no level"}', timestamp: null }, 'log');
+  assert.strictEqual(result.description, 'no level');
+});
+
+test('JsonLogParser: uses the minimum level of the event type', () => {
+  const parser = new JsonLogParser({ log: 'warn', '*': 'debug' });
+  const line = { description: '{"level":"info","msg":"hello"}', timestamp: null };
+  assert.strictEqual(parser.parse(line, 'log').description, null);
+  assert.strictEqual(parser.parse(line, 'error').description, 'INFO: hello');
+});
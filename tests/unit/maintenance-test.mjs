@@ -0,0 +1,196 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildSummary, handleMuteAction, isInWindow, MAINTENANCE_EVENT, MaintenanceWindows } from "../../dist/maintenance.mjs";
+import { getLocalTime } from "../../dist/time-utils.mjs";
+import emitRecorder from "../fixtures/emit-recorder.js";
+
+const { createRecorder } = emitRecorder;
+
+const MINUTE = 60000;
+// Friday 2026-01-23, in UTC
+const FRIDAY = Date.UTC(2026, 0, 23);
+const HOUR = 60 * MINUTE;
+
+function createWindows(options = {}) {
+  const { sent, emit } = createRecorder();
+  const maintenance = new MaintenanceWindows({
+    windows: [],
+    timeZone: 'UTC',
+    events: ['restart', 'stop', 'online'],
+    allowExceptions: true,
+    ...options,
+  }, emit);
+  return { maintenance, sent };
+}
+
+// ===== getLocalTime TESTS =====
+test('getLocalTime: returns the weekday and time of day in the time zone', () => {
+  const now = FRIDAY + 23 * HOUR + 30 * MINUTE;
+  assert.deepStrictEqual(getLocalTime('UTC', now), { weekday: 5, seconds: 23 * 3600 + 1800 });
+  // an hour ahead in winter, so already Saturday
+  assert.deepStrictEqual(getLocalTime('Europe/Amsterdam', now), { weekday: 6, seconds: 1800 });
+});
+
+// ===== isInWindow TESTS =====
+test('isInWindow: checks a window within a day', () => {
+  const window = { start: '09:00', end: '17:00' };
+  assert.strictEqual(isInWindow(window, 1, 9 * 3600), true);
+  assert.strictEqual(isInWindow(window, 1, 17 * 3600), false);
+  assert.strictEqual(isInWindow(window, 1, 8 * 3600), false);
+});
+
+test('isInWindow: a window past midnight belongs to the day it starts on', () => {
+  const window = { days: ['fri'], start: '22:00', end: '06:00' };
+  assert.strictEqual(isInWindow(window, 5, 23 * 3600), true);
+  assert.strictEqual(isInWindow(window, 6, 2 * 3600), true);
+  assert.strictEqual(isInWindow(window, 5, 2 * 3600), false);
+  assert.strictEqual(isInWindow(window, 6, 23 * 3600), false);
+});
+
+test('isInWindow: accepts full day names in any case', () => {
+  assert.strictEqual(isInWindow({ days: ['Saturday'], start: '00:00', end: '01:00' }, 6, 60), true);
+  assert.strictEqual(isInWindow({ days: ['Saturday'], start: '00:00', end: '01:00' }, 0, 60), false);
+});
+
+test('isInWindow: a window that starts and ends at the same time lasts all day', () => {
+  assert.strictEqual(isInWindow({ days: ['sun'], start: '00:00', end: '00:00' }, 0, 12 * 3600), true);
+  assert.strictEqual(isInWindow({ days: ['sun'], start: '00:00', end: '00:00' }, 1, 12 * 3600), false);
+});
+
+// ===== buildSummary TESTS =====
+test('buildSummary: lists suppressed events per process', () => {
+  const counts = new Map([
+    ['api', new Map([['stop', 2], ['online', 2]])],
+    ['worker', new Map([['restart', 1]])],
+  ]);
+  assert.strictEqual(buildSummary(counts), 'Maintenance window ended, 5 messages were suppressed:\napi: 2 stop, 2 online\nworker: 1 restart');
+  assert.strictEqual(buildSummary(new Map([['api', new Map([['stop', 1]])]])).split('\n')[0], 'Maintenance window ended, 1 message was suppressed:');
+});
+
+// ===== MaintenanceWindows TESTS =====
+test('MaintenanceWindows: suppresses chosen events inside a window only', () => {
+  const { maintenance } = createWindows({ windows: [{ start: '22:00', end: '06:00' }] });
+
+  assert.strictEqual(maintenance.suppresses({ name: 'api', event: 'stop' }, FRIDAY + 12 * HOUR), false);
+  assert.strictEqual(maintenance.suppresses({ name: 'api', event: 'stop' }, FRIDAY + 23 * HOUR), true);
+  assert.strictEqual(maintenance.suppresses({ name: 'api', event: 'log' }, FRIDAY + 23 * HOUR), false);
+});
+
+test('MaintenanceWindows: "*" suppresses every event', () => {
+  const { maintenance } = createWindows({ windows: [{ start: '22:00', end: '06:00' }], events: ['*'] });
+  assert.strictEqual(maintenance.suppresses({ name: 'api', event: 'log' }, FRIDAY + 23 * HOUR), true);
+});
+
+test('MaintenanceWindows: exceptions break through unless disallowed', () => {
+  const allowed = createWindows({ windows: [{ start: '22:00', end: '06:00' }], events: ['*'] }).maintenance;
+  assert.strictEqual(allowed.suppresses({ name: 'api', event: 'exception' }, FRIDAY + 23 * HOUR), false);
+
+  const muted = createWindows({ windows: [{ start: '22:00', end: '06:00' }], events: ['*'], allowExceptions: false }).maintenance;
+  assert.strictEqual(muted.suppresses({ name: 'api', event: 'exception' }, FRIDAY + 23 * HOUR), true);
+});
+
+test('MaintenanceWindows: sends one summary when the window ends', () => {
+  const { maintenance, sent } = createWindows({ windows: [{ start: '22:00', end: '06:00' }] });
+  maintenance.suppresses({ name: 'api', event: 'stop' }, FRIDAY + 23 * HOUR);
+  maintenance.suppresses({ name: 'api', event: 'online' }, FRIDAY + 23 * HOUR);
+  maintenance.suppresses({ name: 'worker', event: 'restart' }, FRIDAY + 24 * HOUR);
+
+  maintenance.check(FRIDAY + 29 * HOUR);
+  assert.strictEqual(sent.length, 0);
+
+  maintenance.check(FRIDAY + 30 * HOUR);
+  maintenance.check(FRIDAY + 31 * HOUR);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].msg.name, 'PM2');
+  assert.strictEqual(sent[0].msg.event, MAINTENANCE_EVENT);
+  assert.strictEqual(sent[0].msg.description, 'Maintenance window ended, 3 messages were suppressed:\napi: 1 stop, 1 online\nworker: 1 restart');
+});
+
+test('MaintenanceWindows: sends no summary if nothing was suppressed', () => {
+  const { maintenance, sent } = createWindows({ windows: [{ start: '22:00', end: '06:00' }] });
+  maintenance.check(FRIDAY + 23 * HOUR);
+  maintenance.check(FRIDAY + 30 * HOUR);
+  assert.strictEqual(sent.length, 0);
+});
+
+test('MaintenanceWindows: mutes on demand until the time is up', () => {
+  const { maintenance, sent } = createWindows();
+  const now = FRIDAY + 12 * HOUR;
+  maintenance.mute(30, now);
+
+  assert.strictEqual(maintenance.suppresses({ name: 'api', event: 'restart' }, now + 29 * MINUTE), true);
+  assert.strictEqual(maintenance.suppresses({ name: 'api', event: 'restart' }, now + 30 * MINUTE), false);
+  assert.strictEqual(maintenance.mutedUntil, null);
+  assert.strictEqual(sent.length, 1);
+  assert.match(sent[0].msg.description, /1 message was suppressed/);
+  maintenance.stop();
+});
+
+test('MaintenanceWindows: unmute sends the summary right away', () => {
+  const { maintenance, sent } = createWindows();
+  maintenance.mute(30);
+  maintenance.suppresses({ name: 'api', event: 'stop' });
+  maintenance.unmute();
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(maintenance.interval, null);
+});
+
+test('MaintenanceWindows: unmute waits for a recurring window that is still open', () => {
+  const { maintenance, sent } = createWindows({ windows: [{ start: '00:00', end: '00:00' }] });
+  maintenance.mute(30);
+  maintenance.suppresses({ name: 'api', event: 'stop' });
+  maintenance.unmute();
+
+  assert.strictEqual(sent.length, 0);
+  assert.strictEqual(maintenance.counts.size, 1);
+  maintenance.stop();
+});
+
+test('MaintenanceWindows: checks for the end of windows on an interval', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: FRIDAY + 12 * HOUR });
+  const { maintenance, sent } = createWindows();
+  maintenance.mute(1);
+  maintenance.suppresses({ name: 'api', event: 'stop' });
+
+  t.mock.timers.tick(MINUTE);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(maintenance.interval, null);
+});
+
+test('MaintenanceWindows: flush sends the summary of an open window', () => {
+  const { maintenance, sent } = createWindows();
+  maintenance.mute(30);
+  maintenance.suppresses({ name: 'api', event: 'stop' });
+  maintenance.flush();
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(maintenance.interval, null);
+});
+
+// ===== handleMuteAction TESTS =====
+test('handleMuteAction: mutes for 30 minutes when PM2 passes no minutes', () => {
+  const { maintenance } = createWindows();
+  const replies = [];
+  const before = Date.now();
+  // `pm2 trigger pm2-discord mute` calls the action with an empty object
+  handleMuteAction(maintenance, {}, data => replies.push(data));
+
+  assert.strictEqual(replies[0].success, true);
+  assert.ok(maintenance.mutedUntil >= before + 30 * MINUTE && maintenance.mutedUntil <= Date.now() + 30 * MINUTE);
+  maintenance.stop();
+});
+
+test('handleMuteAction: mutes for the given minutes, at most a day', () => {
+  const { maintenance } = createWindows();
+  const replies = [];
+  handleMuteAction(maintenance, '5', data => replies.push(data));
+  assert.ok(maintenance.mutedUntil <= Date.now() + 5 * MINUTE);
+
+  handleMuteAction(maintenance, '100000', data => replies.push(data));
+  assert.ok(maintenance.mutedUntil <= Date.now() + 24 * HOUR);
+
+  handleMuteAction(maintenance, 'soon', data => replies.push(data));
+  assert.deepStrictEqual(replies.map(reply => reply.success), [true, true, false]);
+  maintenance.stop();
+});
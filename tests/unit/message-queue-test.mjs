@@ -1,6 +1,6 @@
 import assert from "node:assert/strict";
 import { test } from "node:test";
-import { MessageQueue } from '../../dist/message-queue.mjs';
+import { computeBackoffDelay, getBufferKey, getPriority, highestPriority, MessageQueue, OVERFLOW_EVENT } from '../../dist/message-queue.mjs';
 
 // ===== MESSAGE QUEUE THROTTLING TESTS =====
 
@@ -720,3 +720,886 @@ test("MessageQueue - respects queue_max limit along with character limit", () =>
   queue.stopInterval();
   
 });
+
+// ===== EMBEDS MODE TESTS =====
+
+test("MessageQueue - embeds mode sends up to 10 messages per request", async () => {
+
+  const calls = [];
+  const mockSender = async (messages, url, options) => {
+    calls.push({ messages, options });
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: false,
+    embeds: true
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  for (let i = 0; i < 12; i++) {
+    queue.addMessage({ name: 'app', event: 'log', description: `msg${i}`, timestamp: null });
+  }
+
+  await queue.flush();
+
+  assert.strictEqual(calls.length, 1, 'should have sent one request');
+  assert.strictEqual(calls[0].messages.length, 10, 'should fill the 10 embeds per request limit');
+  assert.strictEqual(calls[0].options.embeds, true, 'should tell the sender to use embeds');
+  assert.strictEqual(queue.messageQueue.length, 2, 'remaining messages should stay queued');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - fields are sent as text when embeds are disabled", () => {
+
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false }, async () => ({ success: true }));
+
+  queue.addMessage({ name: 'app', event: 'exit', description: 'exited', timestamp: null, fields: [{ name: 'pm_id', value: '3' }] });
+
+  assert.strictEqual(queue.messageQueue[0].description, 'exited\npm_id: 3');
+  assert.strictEqual(queue.messageQueue[0].fields, undefined);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - fields are kept in embeds mode", () => {
+
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, embeds: true }, async () => ({ success: true }));
+
+  queue.addMessage({ name: 'app', event: 'exit', description: 'exited', timestamp: null, fields: [{ name: 'pm_id', value: '3' }] });
+
+  assert.strictEqual(queue.messageQueue[0].description, 'exited');
+  assert.deepStrictEqual(queue.messageQueue[0].fields, [{ name: 'pm_id', value: '3' }]);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - embeds mode respects 6000 character total per request", async () => {
+
+  let sentMessages = [];
+  const mockSender = async (messages) => {
+    sentMessages = messages;
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: false,
+    embeds: true
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'a'.repeat(2500), timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'b'.repeat(2500), timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'c'.repeat(2500), timestamp: null });
+
+  await queue.flush();
+
+  assert.strictEqual(sentMessages.length, 2, 'should only send embeds that fit in 6000 characters');
+  assert.strictEqual(queue.messageQueue.length, 1, 'third message should wait for the next request');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - embeds mode keeps buffered messages separate", () => {
+
+  const mockSender = async (messages) => {
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: true,
+    buffer_seconds: 5,
+    queue_max: 100,
+    embeds: true
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  for (let i = 0; i < 10; i++) {
+    queue.addMessage({ name: 'app', event: 'log', description: `msg${i}`, timestamp: null });
+  }
+
+  assert.strictEqual(queue.currentBuffer.length, 0, 'buffer should flush once it holds 10 embeds');
+  assert.strictEqual(queue.messageQueue.length, 10, 'each buffered message should be queued on its own');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - embeds mode truncates descriptions at 4096 characters", () => {
+
+  const mockSender = async (messages) => {
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: false,
+    embeds: true
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'x'.repeat(3000), timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'y'.repeat(5000), timestamp: null });
+
+  assert.strictEqual(queue.messageQueue[0].description.length, 3000, 'should not truncate below the embed limit');
+  assert.strictEqual(queue.messageQueue[1].description.length, 4096, 'should truncate to the embed description limit');
+
+  queue.stopInterval();
+
+});
+
+// ===== LONG MESSAGE SPLITTING TESTS =====
+
+test("MessageQueue - splits long messages into ordered parts when long_messages is split", () => {
+
+  const mockSender = async (messages) => {
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: true,
+    buffer_seconds: 5,
+    long_messages: 'split'
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'error', description: 'before', timestamp: null });
+  const lines = Array.from({ length: 300 }, (_, i) => `line ${i}`);
+  queue.addMessage({ name: 'app', event: 'error', description: lines.join('\n'), timestamp: null });
+
+  assert.strictEqual(queue.currentBuffer.length, 0, 'buffer should be flushed before the parts');
+  assert.strictEqual(queue.messageQueue[0].description, 'before', 'earlier message should be sent first');
+
+  const parts = queue.messageQueue.slice(1);
+  assert.ok(parts.length > 1, 'should create several parts');
+  parts.forEach((part, i) => {
+    assert.ok(part.description.startsWith(`(${i + 1}/${parts.length})`), 'parts should be queued in order');
+    assert.ok(part.description.length <= 2000, 'each part should fit the character limit');
+    assert.strictEqual(part.event, 'error', 'parts should keep the original event');
+  });
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - keeps message order when putting messages back for retry", async () => {
+
+  const mockSender = async (messages) => {
+    return { success: false, error: 'HTTP 500', rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: false,
+    embeds: true
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: '(1/3)', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: '(2/3)', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: '(3/3)', timestamp: null });
+
+  await queue.flush();
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['(1/3)', '(2/3)', '(3/3)'], 'retried messages should keep their order');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - keeps message order when rate limited", async () => {
+
+  const mockSender = async (messages) => {
+    return { success: false, rateLimited: true, retryAfter: 1, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: false,
+    embeds: true
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: '(1/2)', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: '(2/2)', timestamp: null });
+
+  await queue.flush();
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['(1/2)', '(2/2)'], 'rate limited messages should keep their order');
+
+  queue.stopInterval();
+
+});
+
+// ===== ATTACHMENT TESTS =====
+
+test("MessageQueue - sends long messages as attachments when long_messages is attach", () => {
+
+  const mockSender = async (messages) => {
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: true,
+    buffer_seconds: 5,
+    long_messages: 'attach',
+    attachment_threshold: 500
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'error', description: 'short', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'error', description: 'x'.repeat(800), timestamp: null });
+
+  assert.strictEqual(queue.currentBuffer.length, 0, 'buffer should be flushed before the attachment');
+  assert.strictEqual(queue.messageQueue.length, 2, 'both messages should be queued');
+  assert.strictEqual(queue.messageQueue[1].attachment.content, 'x'.repeat(800), 'full text should be attached');
+  assert.ok(queue.messageQueue[1].description.length < 500, 'description should be a short summary');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - sends messages with attachments in their own request", async () => {
+
+  const calls = [];
+  const mockSender = async (messages) => {
+    calls.push(messages);
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    buffer: false,
+    embeds: true,
+    long_messages: 'attach',
+    attachment_threshold: 500
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'one', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'y'.repeat(800), timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'three', timestamp: null });
+
+  await queue.flush();
+  await queue.flush();
+  await queue.flush();
+
+  assert.strictEqual(calls.length, 3, 'attachment should not be batched with other messages');
+  assert.strictEqual(calls[0].length, 1);
+  assert.ok(calls[1][0].attachment, 'second request should carry the attachment');
+  assert.strictEqual(calls[2][0].description, 'three');
+
+  queue.stopInterval();
+
+});
+
+// ===== BACKOFF TESTS =====
+
+test("computeBackoffDelay - grows exponentially with jitter and is capped", () => {
+
+  assert.strictEqual(computeBackoffDelay(1, () => 0), 500, 'first failure waits at least half a second');
+  assert.strictEqual(computeBackoffDelay(1, () => 0.999999), 999);
+  assert.strictEqual(computeBackoffDelay(3, () => 0), 2000, 'delay doubles with every failure');
+  assert.strictEqual(computeBackoffDelay(4, () => 0), 4000);
+  assert.strictEqual(computeBackoffDelay(20, () => 0.999999), 59999, 'delay is capped at 60 seconds');
+
+  for (let i = 0; i < 20; i++) {
+    const delay = computeBackoffDelay(2);
+    assert.ok(delay >= 1000 && delay < 2000, 'jitter stays within the window');
+  }
+
+});
+
+test("MessageQueue - backs off after a retryable failure", async () => {
+
+  let callCount = 0;
+  const mockSender = async (messages) => {
+    callCount++;
+    return { success: false, status: 503, retryable: true, error: 'HTTP 503: Service Unavailable', rateLimitInfo: {} };
+  };
+
+  const config = {
+    discord_url: 'https://test.webhook',
+    rate_limit_messages: 10,
+    rate_limit_window_seconds: 1,
+    buffer: false
+  };
+
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  await queue.flush();
+
+  assert.strictEqual(queue.messageQueue.length, 1, 'message should be put back for retry');
+  assert.strictEqual(queue.consecutiveFailures, 1);
+  assert.strictEqual(queue.canSendNow(), false, 'should be in backoff period');
+  const firstDelay = queue.getDelayUntilNextSend();
+  assert.ok(firstDelay > 0 && firstDelay <= 1000, 'first backoff should be at most one second');
+
+  // skip the backoff period
+  queue.rateLimitedUntil = 0;
+  await queue.flush();
+
+  assert.strictEqual(callCount, 2);
+  assert.strictEqual(queue.consecutiveFailures, 2);
+  assert.ok(queue.getDelayUntilNextSend() > 900, 'second backoff should be longer');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - resets backoff after a successful send", async () => {
+
+  let fail = true;
+  const mockSender = async (messages) => {
+    if (fail) {
+      return { success: false, error: 'Webhook request timeout', retryable: true, rateLimitInfo: {} };
+    }
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false }, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  await queue.flush();
+  assert.strictEqual(queue.consecutiveFailures, 1);
+
+  fail = false;
+  queue.rateLimitedUntil = 0;
+  await queue.flush();
+
+  assert.strictEqual(queue.consecutiveFailures, 0);
+  assert.strictEqual(queue.messageQueue.length, 0);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - does not retry client errors", async () => {
+
+  let callCount = 0;
+  const mockSender = async (messages) => {
+    callCount++;
+    return { success: false, status: 403, retryable: false, error: 'HTTP 403: Forbidden', rateLimitInfo: {} };
+  };
+
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false }, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg2', timestamp: null });
+  await queue.flush();
+
+  assert.strictEqual(queue.messageQueue.length, 1, 'rejected message should not be put back');
+  assert.strictEqual(queue.messageQueue[0].description, 'msg2');
+  assert.strictEqual(queue.canSendNow(), true, 'client errors should not cause a backoff');
+  assert.strictEqual(queue.isWebhookInvalid(), false, 'client errors should not mark the webhook invalid');
+
+  queue.stopInterval();
+
+});
+
+// ===== INVALID WEBHOOK RECOVERY TESTS =====
+
+test("MessageQueue - resumes sending after the webhook URL changes", async () => {
+
+  const sentTo = [];
+  const mockSender = async (messages, url) => {
+    sentTo.push(url);
+    if (url === 'https://old.webhook') {
+      return { success: false, webhookInvalid: true, error: 'HTTP 404: Not Found', rateLimitInfo: {} };
+    }
+    return { success: true, rateLimitInfo: {} };
+  };
+
+  const queue = new MessageQueue({ discord_url: 'https://old.webhook', buffer: false }, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  await queue.flush();
+  assert.strictEqual(queue.isWebhookInvalid(), true);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg2', timestamp: null });
+  queue.setWebhookUrl('https://new.webhook');
+
+  assert.strictEqual(queue.isWebhookInvalid(), false, 'new URL should not be considered invalid');
+  assert.ok(queue.flushInterval, 'should resume processing the queue');
+  await queue.flush();
+
+  assert.deepStrictEqual(sentTo, ['https://old.webhook', 'https://new.webhook']);
+  assert.strictEqual(queue.messageQueue.length, 0);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - probes an invalid webhook and resumes once it exists again", async () => {
+
+  let exists = false;
+  const probed = [];
+  const mockProbe = async (url) => {
+    probed.push(url);
+    return exists;
+  };
+  const mockSender = async (messages) => {
+    return exists
+      ? { success: true, rateLimitInfo: {} }
+      : { success: false, webhookInvalid: true, error: 'HTTP 404: Not Found', rateLimitInfo: {} };
+  };
+
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false }, mockSender, {}, mockProbe);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  await queue.flush();
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg2', timestamp: null });
+
+  assert.ok(queue.probeInterval, 'should schedule probing the webhook');
+
+  assert.strictEqual(await queue.probeWebhook(), false, 'webhook is still missing');
+  assert.strictEqual(queue.isWebhookInvalid(), true);
+
+  exists = true;
+  assert.strictEqual(await queue.probeWebhook(), true, 'webhook exists again');
+  assert.strictEqual(queue.isWebhookInvalid(), false);
+  assert.strictEqual(queue.probeInterval, null, 'should stop probing');
+  assert.deepStrictEqual(probed, ['https://test.webhook', 'https://test.webhook']);
+
+  await queue.flush();
+  assert.strictEqual(queue.messageQueue.length, 0, 'queued message should be sent');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - stops probing on shutdown", async () => {
+
+  const mockSender = async () => ({ success: false, webhookInvalid: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false }, mockSender, {}, async () => false);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  await queue.flush();
+  assert.ok(queue.probeInterval);
+
+  queue.beginShutdown();
+  assert.strictEqual(queue.probeInterval, null);
+
+});
+
+// ===== CONFIG UPDATE TESTS =====
+
+test("MessageQueue - updateConfig recalculates the throttle", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, rate_limit_messages: 30, rate_limit_window_seconds: 60 }, mockSender);
+  assert.strictEqual(queue.tickIntervalMs, 2000);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  queue.updateConfig({ discord_url: 'https://test.webhook', buffer: false, rate_limit_messages: 10, rate_limit_window_seconds: 60 });
+
+  assert.strictEqual(queue.tickIntervalMs, 6000, 'should use the new rate limit');
+  assert.ok(queue.flushInterval, 'should keep processing the queue');
+  assert.strictEqual(queue.messageQueue.length, 1, 'should keep queued messages');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - updateConfig flushes the buffer when buffering is turned off", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const config = { discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 5 };
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'msg1', timestamp: null });
+  assert.strictEqual(queue.currentBuffer.length, 1);
+
+  queue.updateConfig({ ...config, buffer: false });
+
+  assert.strictEqual(queue.currentBuffer.length, 0, 'buffer should be flushed');
+  assert.strictEqual(queue.messageQueue.length, 1, 'buffered message should be queued');
+  assert.strictEqual(queue.bufferTimer, null);
+
+  queue.stopInterval();
+
+});
+
+// ===== BUFFER GROUPING TESTS =====
+
+test("getBufferKey - groups by process and event by default", () => {
+
+  const message = { name: 'api', event: 'log', description: 'hello', timestamp: null };
+  assert.strictEqual(getBufferKey(message), 'api\u0000log');
+  assert.strictEqual(getBufferKey(message, 'process'), 'api');
+  assert.strictEqual(getBufferKey(message, 'event'), 'log');
+  assert.strictEqual(getBufferKey(message, 'none'), '');
+
+});
+
+test("MessageQueue - combines buffered messages per process and event", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 5 }, mockSender);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'api 1', timestamp: 1 });
+  queue.addMessage({ name: 'worker', event: 'exception', description: 'worker boom', timestamp: 2 });
+  queue.addMessage({ name: 'api', event: 'log', description: 'api 2', timestamp: 3 });
+  queue.addMessage({ name: 'api', event: 'error', description: 'api error', timestamp: 4 });
+
+  assert.strictEqual(queue.buffers.size, 3, 'should keep a buffer per process and event');
+  assert.strictEqual(queue.currentBuffer.length, 4);
+
+  queue.flushBuffer();
+
+  // queued by priority: exceptions first, logs last
+  assert.deepStrictEqual(queue.messageQueue.map(m => [m.name, m.event, m.description]), [
+    ['worker', 'exception', 'worker boom'],
+    ['api', 'error', 'api error'],
+    ['api', 'log', 'api 1\napi 2'],
+  ]);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - combines all buffered messages when buffer_group_by is none", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 5, buffer_group_by: 'none' }, mockSender);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'api 1', timestamp: 1 });
+  queue.addMessage({ name: 'worker', event: 'exception', description: 'worker boom', timestamp: 2 });
+  queue.flushBuffer();
+
+  assert.strictEqual(queue.messageQueue.length, 1);
+  assert.strictEqual(queue.messageQueue[0].description, 'api 1\nworker boom');
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - every buffer has its own timer", (t) => {
+
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 2 }, mockSender);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'api 1', timestamp: 1 });
+  t.mock.timers.tick(1500);
+  queue.addMessage({ name: 'worker', event: 'log', description: 'worker 1', timestamp: 2 });
+  t.mock.timers.tick(500);
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.name), ['api'], 'api buffer should be flushed after 2 seconds');
+  assert.deepStrictEqual(queue.currentBuffer.map(m => m.name), ['worker'], 'worker buffer should still wait');
+
+  t.mock.timers.tick(1500);
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.name), ['api', 'worker']);
+  assert.strictEqual(queue.bufferTimer, null);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - flushes a buffer after the queue went idle", async (t) => {
+
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const sentMessages = [];
+  const mockSender = async (messages) => {
+    sentMessages.push(...messages.map(m => m.description));
+    return { success: true, rateLimitInfo: {} };
+  };
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 2 }, mockSender);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'api 1', timestamp: 1 });
+  t.mock.timers.tick(1500);
+  queue.addMessage({ name: 'worker', event: 'log', description: 'worker 1', timestamp: 2 });
+  t.mock.timers.tick(500);
+
+  await queue.processTick();
+  // the queue is empty now, which stops its interval
+  await queue.processTick();
+  assert.strictEqual(queue.flushInterval, null);
+  assert.notStrictEqual(queue.buffers.get('worker\u0000log').timer, null, 'worker buffer timer should keep running');
+
+  t.mock.timers.tick(1500);
+  assert.strictEqual(queue.buffers.size, 0);
+  await queue.processTick();
+  assert.deepStrictEqual(sentMessages, ['api 1', 'worker 1']);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - every buffer has its own character count", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 5 }, mockSender);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'a'.repeat(1500), timestamp: 1 });
+  queue.addMessage({ name: 'worker', event: 'log', description: 'w'.repeat(1500), timestamp: 2 });
+
+  assert.strictEqual(queue.messageQueue.length, 0, 'buffers of other sources should not count towards the limit');
+  assert.strictEqual(queue.characterCount, 3000);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'a'.repeat(600), timestamp: 3 });
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.name), ['api'], 'only the full buffer should be flushed');
+  assert.strictEqual(queue.buffers.get('api\u0000log').characterCount, 600);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - updateConfig flushes the buffers when the grouping changes", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const config = { discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 5, buffer_group_by: 'process_event' };
+  const queue = new MessageQueue(config, mockSender);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'msg1', timestamp: null });
+  queue.updateConfig({ ...config, buffer_group_by: 'process' });
+
+  assert.strictEqual(queue.currentBuffer.length, 0, 'buffers should be flushed');
+  assert.strictEqual(queue.messageQueue.length, 1);
+
+  queue.stopInterval();
+
+});
+
+// ===== PRIORITY TESTS =====
+
+test("getPriority - uses configured priorities over the defaults", () => {
+
+  assert.strictEqual(getPriority('exception'), 'critical');
+  assert.strictEqual(getPriority('kill'), 'critical');
+  assert.strictEqual(getPriority('log'), 'bulk');
+  assert.strictEqual(getPriority('online'), 'normal');
+  assert.strictEqual(getPriority('log', { log: 'critical' }), 'critical');
+  assert.strictEqual(getPriority('online', { '*': 'bulk' }), 'bulk');
+  assert.strictEqual(getPriority('log', { '*': 'normal' }), 'normal', '"*" should override default priorities of events');
+  assert.strictEqual(getPriority('log', { '*': 'normal', log: 'critical' }), 'critical');
+  assert.strictEqual(getPriority('exception', { '*': 'bulk' }), 'bulk', '"*" should demote default critical events as well');
+  assert.strictEqual(getPriority('crash loop', { '*': 'bulk', 'crash loop': 'critical' }), 'critical');
+
+});
+
+test("MessageQueue - sends critical messages before queued logs", async () => {
+
+  const sentMessages = [];
+  const mockSender = async (messages) => {
+    sentMessages.push(...messages.map(m => m.description));
+    return { success: true, rateLimitInfo: {} };
+  };
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, rate_limit_messages: 1 }, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'log 1', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'log 2', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'online', description: 'online', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'exception', description: 'boom', timestamp: null });
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['boom', 'online', 'log 1', 'log 2']);
+
+  await queue.processTick();
+  assert.deepStrictEqual(sentMessages, ['boom']);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - messages that waited too long go before higher priorities", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, priority_max_wait_seconds: 60 }, mockSender);
+  const now = Date.now();
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'old log', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'exception', description: 'boom', timestamp: null });
+  queue.lanes.bulk[0]._queuedAt = now - 61000;
+
+  assert.strictEqual(queue.selectLane(now), queue.lanes.bulk);
+  assert.strictEqual(queue.selectLane(now - 2000), queue.lanes.critical, 'log should not be overdue yet');
+
+  queue.stopInterval();
+
+});
+
+test("highestPriority - returns the most important priority", () => {
+
+  assert.strictEqual(highestPriority(['bulk', 'critical', 'normal']), 'critical');
+  assert.strictEqual(highestPriority(['bulk', 'bulk']), 'bulk');
+
+});
+
+test("MessageQueue - a combined message goes in the lane of its most important part", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: true, buffer_seconds: 5, buffer_group_by: 'process' }, mockSender);
+
+  queue.addMessage({ name: 'api', event: 'log', description: 'starting', timestamp: 1 });
+  queue.addMessage({ name: 'api', event: 'exception', description: 'boom', timestamp: 2 });
+  queue.addMessage({ name: 'worker', event: 'log', description: 'working', timestamp: 3 });
+  queue.flushBuffer();
+
+  assert.deepStrictEqual(queue.lanes.critical.map(m => m.description), ['starting\nboom']);
+  assert.deepStrictEqual(queue.lanes.bulk.map(m => m.description), ['working']);
+  assert.strictEqual(queue.lanes.bulk[0]._priority, undefined);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - configured priorities change the lane of an event", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, priorities: { log: 'critical', exception: 'normal' } }, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'exception', description: 'boom', timestamp: null });
+  queue.addMessage({ name: 'app', event: 'log', description: 'important log', timestamp: null });
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['important log', 'boom']);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - putBack keeps the order within lanes", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false }, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'log', description: 'log 3', timestamp: null });
+  queue.putBack([
+    { name: 'app', event: 'log', description: 'log 1', timestamp: null },
+    { name: 'app', event: 'exception', description: 'boom', timestamp: null },
+    { name: 'app', event: 'log', description: 'log 2', timestamp: null },
+  ]);
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['boom', 'log 1', 'log 2', 'log 3']);
+
+  queue.messageQueue = [];
+  assert.strictEqual(queue.messageQueue.length, 0);
+
+  queue.stopInterval();
+
+});
+
+// ===== OVERFLOW TESTS =====
+
+function fillQueue(queue, events) {
+  events.forEach((event, i) => {
+    queue.addMessage({ name: 'app', event, description: `${event} ${i}`, timestamp: null });
+  });
+}
+
+test("MessageQueue - drops the lowest priority messages first when the queue is full", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, max_queued_messages: 3 }, mockSender);
+
+  fillQueue(queue, ['log', 'exception', 'log', 'online', 'exception']);
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['exception 1', 'exception 4', 'online 3']);
+  assert.strictEqual(queue.droppedCount, 2);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - drops the oldest messages when overflow_policy is drop_oldest", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, max_queued_messages: 3, overflow_policy: 'drop_oldest' }, mockSender);
+
+  queue.addMessage({ name: 'app', event: 'exception', description: 'old exception', timestamp: null });
+  queue.messageQueue[0]._queuedAt -= 1000;
+  fillQueue(queue, ['log', 'online', 'log']);
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['online 1', 'log 0', 'log 2']);
+  assert.strictEqual(queue.droppedCount, 1);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - drops new messages when overflow_policy is drop_newest", () => {
+
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, max_queued_messages: 2, overflow_policy: 'drop_newest' }, mockSender);
+
+  fillQueue(queue, ['log', 'log', 'log', 'log']);
+
+  assert.deepStrictEqual(queue.messageQueue.map(m => m.description), ['log 0', 'log 1']);
+  assert.strictEqual(queue.droppedCount, 2);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - removes dropped messages from the spool without dead-lettering them", () => {
+
+  const deadLetters = [];
+  const acked = [];
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const storage = {
+    deadLetters: { add: (messages) => deadLetters.push(...messages) },
+    spool: { append: () => {}, ack: (message) => acked.push(message.description) },
+  };
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, max_queued_messages: 1 }, mockSender, storage);
+
+  fillQueue(queue, ['log', 'log', 'log']);
+
+  assert.deepStrictEqual(deadLetters, []);
+  assert.deepStrictEqual(acked, ['log 0', 'log 1']);
+  assert.strictEqual(queue.droppedCount, 2);
+
+  queue.stopInterval();
+
+});
+
+test("MessageQueue - sends a notice of dropped messages once delivery recovers", async () => {
+
+  let fail = true;
+  const sentMessages = [];
+  const mockSender = async (messages) => {
+    if (fail) {
+      return { success: false, error: 'timeout', rateLimitInfo: {} };
+    }
+    sentMessages.push(...messages);
+    return { success: true, rateLimitInfo: {} };
+  };
+  const queue = new MessageQueue({ discord_url: 'https://test.webhook', buffer: false, max_queued_messages: 4, rate_limit_messages: 1 }, mockSender);
+
+  fillQueue(queue, ['log', 'log', 'log', 'log', 'log', 'log']);
+  await queue.processTick();
+  assert.strictEqual(queue.getQueuedCount(), 4);
+  assert.strictEqual(queue.droppedCount, 2);
+
+  fail = false;
+  queue.rateLimitedUntil = 0;
+  await queue.processTick();
+  assert.strictEqual(queue.droppedCount, 2, 'notice should wait until the backlog went down');
+
+  await queue.processTick();
+  assert.strictEqual(queue.droppedCount, 0);
+  const notice = queue.messageQueue.find(m => m.event === OVERFLOW_EVENT);
+  assert.strictEqual(notice.name, 'PM2');
+  assert.strictEqual(notice.description, '2 messages were dropped due to backlog');
+
+  queue.stopInterval();
+
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { splitMessage } from "../../dist/message-split.mjs";
+
+// ===== splitMessage TESTS =====
+test('splitMessage: returns text unchanged when it fits', () => {
+  assert.deepStrictEqual(splitMessage('short message', 2000), ['short message']);
+});
+
+test('splitMessage: splits on line boundaries with part markers', () => {
+  const parts = splitMessage('line 1\nline 2\nline 3', 19);
+  assert.deepStrictEqual(parts, ['(1/2)\nline 1\nline 2', '(2/2)\nline 3']);
+});
+
+test('splitMessage: every part fits within the limit', () => {
+  const text = Array.from({ length: 200 }, (_, i) => `    at function${i} (/app/src/file${i}.js:${i}:10)`).join('\n');
+  const parts = splitMessage(text, 2000);
+  assert.ok(parts.length > 1, 'should split into several parts');
+  parts.forEach(part => assert.ok(part.length <= 2000, `part should fit in 2000 chars (got ${part.length})`));
+});
+
+test('splitMessage: keeps all lines in order', () => {
+  const lines = Array.from({ length: 200 }, (_, i) => `line ${i}`);
+  const parts = splitMessage(lines.join('\n'), 300);
+  const rejoined = parts.map(part => part.replace(/^\(\d+\/\d+\)\n/, '')).join('\n');
+  assert.strictEqual(rejoined, lines.join('\n'), 'lines should come back in the original order');
+});
+
+test('splitMessage: numbers parts in order', () => {
+  const lines = Array.from({ length: 50 }, (_, i) => `line ${i}`);
+  const parts = splitMessage(lines.join('\n'), 100);
+  parts.forEach((part, i) => {
+    assert.ok(part.startsWith(`(${i + 1}/${parts.length})\n`), `part ${i + 1} should have the right marker`);
+  });
+});
+
+test('splitMessage: closes and reopens code fences across parts', () => {
+  const lines = Array.from({ length: 100 }, (_, i) => `line ${i}`);
+  const text = '```' + lines.join('\n') + '```';
+  const parts = splitMessage(text, 200);
+
+  assert.ok(parts.length > 2, 'should split into several parts');
+  parts.forEach((part, i) => {
+    const body = part.replace(/^\(\d+\/\d+\)\n/, '');
+    assert.ok(body.startsWith('```'), `part ${i + 1} should start with a fence`);
+    assert.ok(body.endsWith('```'), `part ${i + 1} should end with a fence`);
+    assert.strictEqual(body.split('```').length - 1, 2, `part ${i + 1} should have balanced fences`);
+    assert.ok(part.length <= 200, `part ${i + 1} should fit within the limit`);
+  });
+});
+
+test('splitMessage: splits lines that are longer than the limit', () => {
+  const parts = splitMessage('x'.repeat(5000), 2000);
+  assert.strictEqual(parts.length, 3, 'should split a single long line into 3 parts');
+  parts.forEach(part => assert.ok(part.length <= 2000, 'part should fit within the limit'));
+  assert.strictEqual(parts.map(part => part.replace(/^\(\d+\/\d+\)\n/, '')).join(''), 'x'.repeat(5000));
+});
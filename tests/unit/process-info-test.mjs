@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { collectProcessDetails, formatBytes, formatDuration, getProcessFields, toProcessFields } from "../../dist/process-info.mjs";
+
+const description = {
+  name: 'api',
+  pm_id: 3,
+  monit: { memory: 50540544, cpu: 2.5 },
+  pm2_env: {
+    pm_uptime: 1000,
+    restart_time: 13,
+    node_version: '20.19.5',
+    pm_exec_path: '/app/server.js',
+  },
+};
+
+// ===== formatDuration TESTS =====
+test('formatDuration: shows the two largest units', () => {
+  assert.strictEqual(formatDuration(0), '0s');
+  assert.strictEqual(formatDuration(42000), '42s');
+  assert.strictEqual(formatDuration(725000), '12m 5s');
+  assert.strictEqual(formatDuration(3 * 86400000 + 4 * 3600000 + 59000), '3d 4h');
+});
+
+// ===== formatBytes TESTS =====
+test('formatBytes: uses the largest fitting unit', () => {
+  assert.strictEqual(formatBytes(512), '512 B');
+  assert.strictEqual(formatBytes(2048), '2.0 KB');
+  assert.strictEqual(formatBytes(50540544), '48.2 MB');
+  assert.strictEqual(formatBytes(3 * 1024 ** 3), '3.0 GB');
+});
+
+// ===== collectProcessDetails TESTS =====
+test('collectProcessDetails: combines bus data and PM2 description', () => {
+  const details = collectProcessDetails({ name: 'api', pm_id: 3, exit_code: 1, exit_signal: 'SIGKILL' }, description, 61000);
+  assert.deepStrictEqual(details, {
+    pm_id: 3,
+    restarts: 13,
+    uptime: 60000,
+    memory: 50540544,
+    cpu: 2.5,
+    exit_code: 1,
+    signal: 'SIGKILL',
+    node_version: '20.19.5',
+    script: '/app/server.js',
+  });
+});
+
+test('collectProcessDetails: prefers bus data, which describes the time of the event', () => {
+  const details = collectProcessDetails({ name: 'api', pm_id: 3, restart_time: 12, pm_uptime: 500 }, description, 61000);
+  assert.strictEqual(details.restarts, 12);
+  assert.strictEqual(details.uptime, 60500);
+});
+
+test('collectProcessDetails: works without a description', () => {
+  const details = collectProcessDetails({ name: 'api', pm_id: 3, restart_time: 2 }, null);
+  assert.strictEqual(details.pm_id, 3);
+  assert.strictEqual(details.restarts, 2);
+  assert.strictEqual(details.memory, undefined);
+  assert.strictEqual(details.uptime, undefined);
+});
+
+// ===== toProcessFields TESTS =====
+test('toProcessFields: leaves out unknown details', () => {
+  assert.deepStrictEqual(toProcessFields({ pm_id: 3, restarts: 12, memory: 50540544, cpu: 2.5 }), [
+    { name: 'pm_id', value: '3' },
+    { name: 'Restarts', value: '12' },
+    { name: 'Memory', value: '48.2 MB' },
+    { name: 'CPU', value: '2.5%' },
+  ]);
+  assert.deepStrictEqual(toProcessFields({}), []);
+});
+
+test('toProcessFields: keeps an exit code of 0', () => {
+  assert.deepStrictEqual(toProcessFields({ exit_code: 0 }), [{ name: 'Exit code', value: '0' }]);
+});
+
+// ===== getProcessFields TESTS =====
+test('getProcessFields: describes the process by pm_id', async () => {
+  const described = [];
+  const fields = await getProcessFields({ name: 'api', pm_id: 3 }, async (id) => {
+    described.push(id);
+    return description;
+  });
+  assert.deepStrictEqual(described, [3]);
+  assert.deepStrictEqual(fields.map(f => f.name), ['pm_id', 'Restarts', 'Uptime', 'Memory', 'CPU', 'Node', 'Script']);
+});
+
+test('getProcessFields: uses the bus data when PM2 cannot describe the process', async () => {
+  const fields = await getProcessFields({ name: 'api', pm_id: 3, exit_code: 137 }, async () => null);
+  assert.deepStrictEqual(fields, [{ name: 'pm_id', value: '3' }, { name: 'Exit code', value: '137' }]);
+});
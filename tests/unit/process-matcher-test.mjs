@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkProcessName } from "../../dist/log-utils.mjs";
+import { compileNamePatterns, ProcessMatcher } from "../../dist/process-matcher.mjs";
+
+// ===== compileNamePatterns TESTS =====
+test('compileNamePatterns: returns null without patterns', () => {
+  assert.strictEqual(compileNamePatterns(null, 'process_name'), null);
+  assert.strictEqual(compileNamePatterns(undefined, 'process_name'), null);
+});
+
+test('compileNamePatterns: compiles globs and regular expressions', () => {
+  const [glob, regex] = compileNamePatterns(['api-*', '/^worker-\\d+$/i'], 'process_name');
+  assert.ok(glob.test('api-users'));
+  assert.ok(!glob.test('my-api-users'), 'globs should match the whole name');
+  assert.ok(regex.test('WORKER-12'));
+  assert.ok(!regex.test('worker-x'));
+});
+
+test('compileNamePatterns: leaves out invalid regular expressions', () => {
+  const compiled = compileNamePatterns(['/(unclosed/', 'api'], 'process_name');
+  assert.strictEqual(compiled.length, 1);
+  assert.ok(compiled[0].test('api'));
+});
+
+test('compileNamePatterns: ignores the option when no pattern is valid', () => {
+  assert.strictEqual(compileNamePatterns(['/(unclosed/', 42], 'process_name'), null);
+  assert.strictEqual(compileNamePatterns('/[a-/', 'process_name'), null);
+});
+
+// ===== ProcessMatcher TESTS =====
+test('ProcessMatcher: matches everything but itself without patterns', () => {
+  const matcher = new ProcessMatcher();
+  assert.strictEqual(matcher.matches({ name: 'api' }), true);
+  assert.strictEqual(matcher.matches({ name: 'pm2-discord' }), false);
+});
+
+test('ProcessMatcher: a process_name with only invalid patterns does not mute every process', () => {
+  const matcher = new ProcessMatcher('/(api/');
+  assert.strictEqual(matcher.matches({ name: 'api' }), true);
+  assert.strictEqual(matcher.matches({ name: 'worker' }), true);
+});
+
+test('ProcessMatcher: exact names only match the same name', () => {
+  const matcher = new ProcessMatcher('api');
+  assert.strictEqual(matcher.matches({ name: 'api' }), true);
+  assert.strictEqual(matcher.matches({ name: 'api-2' }), false);
+});
+
+test('ProcessMatcher: matches glob patterns', () => {
+  const matcher = new ProcessMatcher(['api-*', 'worker-?']);
+  assert.strictEqual(matcher.matches({ name: 'api-users' }), true);
+  assert.strictEqual(matcher.matches({ name: 'worker-1' }), true);
+  assert.strictEqual(matcher.matches({ name: 'worker-12' }), false);
+  assert.strictEqual(matcher.matches({ name: 'cron' }), false);
+});
+
+test('ProcessMatcher: matches regular expressions', () => {
+  const matcher = new ProcessMatcher('/^(api|web)-/');
+  assert.strictEqual(matcher.matches({ name: 'web-1' }), true);
+  assert.strictEqual(matcher.matches({ name: 'worker-1' }), false);
+});
+
+test('ProcessMatcher: excluded processes are never matched', () => {
+  const matcher = new ProcessMatcher('worker-*', ['worker-debug', '/-canary$/']);
+  assert.strictEqual(matcher.matches({ name: 'worker-1' }), true);
+  assert.strictEqual(matcher.matches({ name: 'worker-debug' }), false);
+  assert.strictEqual(matcher.matches({ name: 'worker-canary' }), false);
+});
+
+test('ProcessMatcher: exclusion works without process_name', () => {
+  const matcher = new ProcessMatcher(null, 'noisy-*');
+  assert.strictEqual(matcher.matches({ name: 'api' }), true);
+  assert.strictEqual(matcher.matches({ name: 'noisy-cron' }), false);
+});
+
+test('ProcessMatcher: matches on namespace', () => {
+  const matcher = new ProcessMatcher(null, null, ['production', 'prod-*']);
+  assert.strictEqual(matcher.matches({ name: 'api', namespace: 'production' }), true);
+  assert.strictEqual(matcher.matches({ name: 'api', namespace: 'prod-eu' }), true);
+  assert.strictEqual(matcher.matches({ name: 'api', namespace: 'staging' }), false);
+  assert.strictEqual(matcher.matches({ name: 'api' }), false, 'processes without namespace should not match');
+});
+
+test('ProcessMatcher: name and namespace must both match', () => {
+  const matcher = new ProcessMatcher('api-*', null, 'production');
+  assert.strictEqual(matcher.matches({ name: 'api-1', namespace: 'production' }), true);
+  assert.strictEqual(matcher.matches({ name: 'api-1', namespace: 'staging' }), false);
+  assert.strictEqual(matcher.matches({ name: 'worker', namespace: 'production' }), false);
+});
+
+// ===== checkProcessName compatibility TESTS =====
+test('checkProcessName: still supports exact names and lists', () => {
+  assert.strictEqual(checkProcessName({ process: { name: 'api' } }, 'api'), true);
+  assert.strictEqual(checkProcessName({ process: { name: 'worker' } }, 'api'), false);
+  assert.strictEqual(checkProcessName({ process: { name: 'worker' } }, ['api', 'worker']), true);
+});
+
+test('checkProcessName: supports globs', () => {
+  assert.strictEqual(checkProcessName({ process: { name: 'api-users' } }, 'api-*'), true);
+});
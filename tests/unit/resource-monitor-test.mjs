@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { getThreshold, RESOURCE_EVENT, ResourceMonitor, toProcess } from "../../dist/resource-monitor.mjs";
+import emitRecorder from "../fixtures/emit-recorder.js";
+
+const { createRecorder } = emitRecorder;
+
+const MB = 1024 * 1024;
+
+function describe(name, pmId, memoryMb, cpu) {
+  return { name, pm_id: pmId, monit: { memory: memoryMb * MB, cpu }, pm2_env: { exec_mode: 'fork_mode', instances: 1, namespace: 'default' } };
+}
+
+function createMonitor(options = {}, list = async () => []) {
+  const { sent, emit } = createRecorder();
+  const monitor = new ResourceMonitor({
+    memoryThresholdMb: 500,
+    cpuThreshold: null,
+    sustainSeconds: 60,
+    pollSeconds: 15,
+    ...options,
+  }, list, emit);
+  return { monitor, sent };
+}
+
+// ===== getThreshold TESTS =====
+test('getThreshold: applies a number to every process', () => {
+  assert.strictEqual(getThreshold(90, 'api'), 90);
+  assert.strictEqual(getThreshold(null, 'api'), null);
+});
+
+test('getThreshold: picks the first matching glob, then the default', () => {
+  const thresholds = { 'api-*': 1024, 'worker': 256, '*': 512 };
+  assert.strictEqual(getThreshold(thresholds, 'api-users'), 1024);
+  assert.strictEqual(getThreshold(thresholds, 'worker'), 256);
+  assert.strictEqual(getThreshold(thresholds, 'cron'), 512);
+  assert.strictEqual(getThreshold({ 'api-*': 1024 }, 'cron'), null);
+});
+
+test('toProcess: converts a pm2.list description', () => {
+  assert.deepStrictEqual(toProcess(describe('api', 3, 100, 1)), { name: 'api', pm_id: 3, exec_mode: 'fork_mode', instances: 1, namespace: 'default' });
+});
+
+// ===== ResourceMonitor TESTS =====
+test('ResourceMonitor: alerts when usage stays over the threshold', () => {
+  const { monitor, sent } = createMonitor();
+
+  monitor.check([describe('api', 0, 600, 1)], 0);
+  monitor.check([describe('api', 0, 600, 1)], 30000);
+  assert.strictEqual(sent.length, 0, 'usage has to last');
+
+  monitor.check([describe('api', 0, 612.3, 1)], 60000);
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].msg.name, 'api');
+  assert.strictEqual(sent[0].msg.event, RESOURCE_EVENT);
+  assert.strictEqual(sent[0].msg.description, 'Memory: api is at 612.3 MB, over the 500.0 MB threshold for 1m.');
+  assert.strictEqual(sent[0].msg.timestamp, 60);
+  assert.strictEqual(sent[0].proc.name, 'api');
+});
+
+test('ResourceMonitor: does not alert on short spikes', () => {
+  const { monitor, sent } = createMonitor();
+
+  monitor.check([describe('api', 0, 600, 1)], 0);
+  monitor.check([describe('api', 0, 400, 1)], 30000);
+  monitor.check([describe('api', 0, 600, 1)], 60000);
+
+  assert.strictEqual(sent.length, 0);
+});
+
+test('ResourceMonitor: alerts on recovery below 80% of the threshold', () => {
+  const { monitor, sent } = createMonitor({ sustainSeconds: 0 });
+
+  monitor.check([describe('api', 0, 600, 1)], 0);
+  monitor.check([describe('api', 0, 450, 1)], 15000);
+  monitor.check([describe('api', 0, 600, 1)], 30000);
+  assert.strictEqual(sent.length, 1, 'usage between 80% and the threshold is not a recovery');
+
+  monitor.check([describe('api', 0, 350, 1)], 45000);
+
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1].msg.description, 'Memory: api is back to 350.0 MB, under 400.0 MB (80% of the 500.0 MB threshold) for 0s.');
+});
+
+test('ResourceMonitor: checks CPU with per process thresholds', () => {
+  const { monitor, sent } = createMonitor({ memoryThresholdMb: null, cpuThreshold: { 'worker-*': 95, '*': 80 }, sustainSeconds: 0 });
+
+  monitor.check([describe('api', 0, 100, 85), describe('worker-1', 1, 100, 90)], 0);
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].msg.description, 'CPU: api is at 85%, over the 80% threshold for 0s.');
+});
+
+test('ResourceMonitor: states the CPU recovery level', () => {
+  const { monitor, sent } = createMonitor({ memoryThresholdMb: null, cpuThreshold: 33, sustainSeconds: 0 });
+
+  monitor.check([describe('api', 0, 100, 40)], 0);
+  monitor.check([describe('api', 0, 100, 20)], 15000);
+
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1].msg.description, 'CPU: api is back to 20%, under 26.4% (80% of the 33% threshold) for 0s.');
+});
+
+test('ResourceMonitor: forgets processes that are gone', () => {
+  const { monitor } = createMonitor();
+
+  monitor.check([describe('api', 0, 600, 1)], 0);
+  assert.strictEqual(monitor.states.size, 1);
+
+  monitor.check([], 15000);
+  assert.strictEqual(monitor.states.size, 0);
+});
+
+test('ResourceMonitor: polls only when a threshold is set', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  let calls = 0;
+  const { monitor } = createMonitor({ memoryThresholdMb: null }, async () => { calls++; return []; });
+
+  monitor.start();
+  t.mock.timers.tick(15000);
+  assert.strictEqual(calls, 0);
+
+  monitor.update({ ...monitor.options, memoryThresholdMb: 500 });
+  t.mock.timers.tick(15000);
+  assert.strictEqual(calls, 1);
+
+  monitor.stop();
+  t.mock.timers.tick(15000);
+  assert.strictEqual(calls, 1);
+});
+
+test('ResourceMonitor: logs errors while listing processes', async () => {
+  const { monitor, sent } = createMonitor({}, async () => { throw new Error('PM2 is gone'); });
+  await monitor.poll();
+  assert.strictEqual(sent.length, 0);
+});
@@ -0,0 +1,301 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { globToRegExp, matchesGlob } from "../../dist/pattern-utils.mjs";
+import { DEFAULT_WEBHOOK, getWebhookUrls, matchesRoute, resolveWebhooks, Router } from "../../dist/router.mjs";
+
+const ALERTS_URL = 'https://discord.com/api/webhooks/1/alerts';
+const LOGS_URL = 'https://discord.com/api/webhooks/2/logs';
+const DEFAULT_URL = 'https://discord.com/api/webhooks/3/default';
+
+// ===== globToRegExp / matchesGlob TESTS =====
+test('globToRegExp: matches wildcards', () => {
+  assert.strictEqual(globToRegExp('api-*').test('api-users'), true, '* should match any characters');
+  assert.strictEqual(globToRegExp('worker-?').test('worker-1'), true, '? should match one character');
+  assert.strictEqual(globToRegExp('worker-?').test('worker-10'), false, '? should not match two characters');
+});
+
+test('globToRegExp: escapes regex characters', () => {
+  assert.strictEqual(globToRegExp('app.js').test('app.js'), true, 'should match literal dot');
+  assert.strictEqual(globToRegExp('app.js').test('appxjs'), false, 'dot should not be a regex wildcard');
+});
+
+test('matchesGlob: null patterns match everything', () => {
+  assert.strictEqual(matchesGlob('api', null), true, 'null should match anything');
+  assert.strictEqual(matchesGlob('api', undefined), true, 'undefined should match anything');
+});
+
+test('matchesGlob: matches any pattern in a list', () => {
+  assert.strictEqual(matchesGlob('worker-2', ['api-*', 'worker-*']), true, 'should match second pattern');
+  assert.strictEqual(matchesGlob('cron', ['api-*', 'worker-*']), false, 'should not match');
+});
+
+// ===== matchesRoute TESTS =====
+test('matchesRoute: rule without criteria matches everything', () => {
+  assert.strictEqual(matchesRoute({ webhook: 'logs' }, { name: 'api', event: 'log' }), true);
+});
+
+test('matchesRoute: matches on event type', () => {
+  const rule = { webhook: 'alerts', event: ['exception', 'restart overlimit'] };
+  assert.strictEqual(matchesRoute(rule, { name: 'api', event: 'exception' }), true, 'should match listed event');
+  assert.strictEqual(matchesRoute(rule, { name: 'api', event: 'log' }), false, 'should not match other events');
+});
+
+test('matchesRoute: matches on process name pattern', () => {
+  const rule = { webhook: 'logs', process: 'worker-*' };
+  assert.strictEqual(matchesRoute(rule, { name: 'worker-1', event: 'log' }), true, 'should match pattern');
+  assert.strictEqual(matchesRoute(rule, { name: 'api', event: 'log' }), false, 'should not match other names');
+});
+
+test('matchesRoute: matches on namespace', () => {
+  const rule = { webhook: 'logs', namespace: 'billing' };
+  assert.strictEqual(matchesRoute(rule, { name: 'api', event: 'log', namespace: 'billing' }), true, 'should match namespace');
+  assert.strictEqual(matchesRoute(rule, { name: 'api', event: 'log', namespace: 'default' }), false, 'should not match other namespace');
+});
+
+test('matchesRoute: all criteria must match', () => {
+  const rule = { webhook: 'alerts', process: 'api', event: 'exception' };
+  assert.strictEqual(matchesRoute(rule, { name: 'api', event: 'log' }), false, 'event must match as well');
+});
+
+// ===== resolveWebhooks TESTS =====
+test('resolveWebhooks: falls back to default webhook', () => {
+  const routes = [{ webhook: 'alerts', event: 'exception' }];
+  assert.deepStrictEqual(resolveWebhooks(routes, { name: 'api', event: 'log' }), [DEFAULT_WEBHOOK]);
+});
+
+test('resolveWebhooks: returns every matching webhook once', () => {
+  const routes = [
+    { webhook: 'alerts', event: 'exception' },
+    { webhook: 'logs' },
+    { webhook: 'alerts', process: 'api' }
+  ];
+  assert.deepStrictEqual(resolveWebhooks(routes, { name: 'api', event: 'exception' }), ['alerts', 'logs']);
+});
+
+// ===== getWebhookUrls TESTS =====
+test('getWebhookUrls: registers discord_url as default webhook', () => {
+  const urls = getWebhookUrls({ discord_url: DEFAULT_URL, webhooks: { alerts: ALERTS_URL } });
+  assert.deepStrictEqual(urls, { default: DEFAULT_URL, alerts: ALERTS_URL });
+});
+
+test('getWebhookUrls: discord_url is optional when named webhooks exist', () => {
+  const urls = getWebhookUrls({ discord_url: null, webhooks: { alerts: ALERTS_URL } });
+  assert.deepStrictEqual(urls, { alerts: ALERTS_URL });
+});
+
+test('getWebhookUrls: leaves out invalid webhook URLs', () => {
+  const urls = getWebhookUrls({ discord_url: null, webhooks: { alerts: ALERTS_URL, bad: 'https://example.com/hook' } });
+  assert.deepStrictEqual(urls, { alerts: ALERTS_URL });
+});
+
+test('getWebhookUrls: returns nothing without any valid URL', () => {
+  assert.deepStrictEqual(getWebhookUrls({ discord_url: null, webhooks: null }), {});
+});
+
+// ===== Router TESTS =====
+function createRouter(overrides = {}) {
+  const sent = [];
+  const mockSender = async (messages, url) => {
+    sent.push({ messages, url });
+    return { success: true, rateLimitInfo: {} };
+  };
+  const config = {
+    discord_url: DEFAULT_URL,
+    webhooks: { alerts: ALERTS_URL, logs: LOGS_URL },
+    routes: [
+      { webhook: 'alerts', event: 'exception' },
+      { webhook: 'logs', event: 'log' }
+    ],
+    buffer: false,
+    rate_limit_messages: 30,
+    rate_limit_window_seconds: 60,
+    ...overrides
+  };
+  return { router: new Router(config, mockSender), sent };
+}
+
+test('Router - creates one queue per webhook', () => {
+  const { router } = createRouter();
+  const queues = router.getQueues();
+
+  assert.strictEqual(queues.length, 3, 'should create a queue for each webhook');
+  assert.notStrictEqual(queues[0], queues[1], 'queues should be separate instances');
+  assert.deepStrictEqual(queues.map(q => q.config.discord_url), [DEFAULT_URL, ALERTS_URL, LOGS_URL]);
+
+  queues.forEach(q => q.stopInterval());
+});
+
+test('Router - dispatches messages to the matching queue', () => {
+  const { router } = createRouter();
+
+  router.route({ name: 'api', event: 'exception', description: 'boom', timestamp: null }, { name: 'api' });
+  router.route({ name: 'api', event: 'log', description: 'hello', timestamp: null }, { name: 'api' });
+  router.route({ name: 'api', event: 'stop', description: 'stopped', timestamp: null }, { name: 'api' });
+
+  assert.deepStrictEqual(router.queues.get('alerts').messageQueue.map(m => m.description), ['boom']);
+  assert.deepStrictEqual(router.queues.get('logs').messageQueue.map(m => m.description), ['hello']);
+  assert.deepStrictEqual(router.queues.get('default').messageQueue.map(m => m.description), ['stopped']);
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+test('Router - sends a copy of the message to every matching queue', () => {
+  const { router } = createRouter({
+    routes: [
+      { webhook: 'alerts', event: 'exception' },
+      { webhook: 'logs' }
+    ]
+  });
+
+  router.route({ name: 'api', event: 'exception', description: 'boom', timestamp: null }, { name: 'api' });
+
+  const alertsMessage = router.queues.get('alerts').messageQueue[0];
+  const logsMessage = router.queues.get('logs').messageQueue[0];
+  assert.strictEqual(alertsMessage.description, 'boom');
+  assert.strictEqual(logsMessage.description, 'boom');
+  assert.notStrictEqual(alertsMessage, logsMessage, 'each queue should get its own copy');
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+test('Router - ignores routes to unknown webhooks', () => {
+  const { router } = createRouter({ routes: [{ webhook: 'missing', event: 'log' }, { webhook: 'logs' }] });
+
+  assert.deepStrictEqual(router.routes, [{ webhook: 'logs' }], 'should drop the route to an unknown webhook');
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+test('Router - logs an error once for messages that match no route without a default webhook', (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const { router } = createRouter({ discord_url: null });
+
+  router.route({ name: 'api', event: 'stop', description: 'stopped', timestamp: null }, { name: 'api' });
+  router.route({ name: 'api', event: 'online', description: 'online', timestamp: null }, { name: 'api' });
+
+  assert.strictEqual(router.queues.has(DEFAULT_WEBHOOK), false);
+  assert.strictEqual(router.getQueues().every(q => q.messageQueue.length === 0), true);
+  assert.strictEqual(errors.mock.callCount(), 1, 'should log the dropped messages once');
+  assert.match(errors.mock.calls[0].arguments.join(' '), /No webhook named "default"/);
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+test('Router - each queue sends to its own webhook', async () => {
+  const { router, sent } = createRouter();
+
+  router.route({ name: 'api', event: 'exception', description: 'boom', timestamp: null }, { name: 'api' });
+  router.route({ name: 'api', event: 'log', description: 'hello', timestamp: null }, { name: 'api' });
+
+  await Promise.all(router.getQueues().map(q => q.flush()));
+
+  assert.deepStrictEqual(sent.map(s => s.url).sort(), [ALERTS_URL, LOGS_URL].sort());
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+// ===== Router config update TESTS =====
+function updatedConfig(overrides = {}) {
+  return {
+    discord_url: DEFAULT_URL,
+    webhooks: { alerts: ALERTS_URL, logs: LOGS_URL },
+    routes: [],
+    buffer: false,
+    rate_limit_messages: 30,
+    rate_limit_window_seconds: 60,
+    ...overrides
+  };
+}
+
+test('Router - switches queues to changed webhook URLs', () => {
+  const { router } = createRouter();
+  const alerts = router.queues.get('alerts');
+  alerts.webhookInvalid = true;
+
+  const NEW_ALERTS_URL = 'https://discord.com/api/webhooks/4/new';
+  router.update(updatedConfig({ webhooks: { alerts: NEW_ALERTS_URL, logs: LOGS_URL } }));
+
+  assert.strictEqual(alerts.config.discord_url, NEW_ALERTS_URL, 'should use the new URL');
+  assert.strictEqual(alerts.isWebhookInvalid(), false, 'should try the new URL');
+  assert.strictEqual(router.queues.get('logs').config.discord_url, LOGS_URL, 'should leave other webhooks alone');
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+test('Router - applies new queue settings without losing queued messages', () => {
+  const { router } = createRouter();
+  router.route({ name: 'api', event: 'log', description: 'hello', timestamp: null }, { name: 'api' });
+  const logs = router.queues.get('logs');
+
+  router.update(updatedConfig({ rate_limit_messages: 10, routes: [{ webhook: 'alerts', event: 'log' }] }));
+
+  assert.strictEqual(router.queues.get('logs'), logs, 'should keep the existing queue');
+  assert.strictEqual(logs.config.rate_limit_messages, 10, 'should apply the new settings');
+  assert.deepStrictEqual(logs.messageQueue.map(m => m.description), ['hello'], 'should keep queued messages');
+
+  router.route({ name: 'api', event: 'log', description: 'rerouted', timestamp: null }, { name: 'api' });
+  assert.deepStrictEqual(router.queues.get('alerts').messageQueue.map(m => m.description), ['rerouted'], 'should use the new routes');
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+test('Router - adds and removes webhooks', () => {
+  const { router } = createRouter();
+  router.route({ name: 'api', event: 'log', description: 'hello', timestamp: null }, { name: 'api' });
+  const logs = router.queues.get('logs');
+
+  const OPS_URL = 'https://discord.com/api/webhooks/5/ops';
+  router.update(updatedConfig({ webhooks: { alerts: ALERTS_URL, ops: OPS_URL } }));
+
+  assert.deepStrictEqual(Array.from(router.queues.keys()), ['default', 'alerts', 'ops']);
+  assert.strictEqual(router.queues.get('ops').config.discord_url, OPS_URL);
+  assert.ok(router.getQueues().includes(logs), 'removed webhook should still send its queued messages');
+
+  logs.messageQueue = [];
+  assert.ok(!router.getQueues().includes(logs), 'removed webhook should be forgotten once empty');
+
+  router.getQueues().forEach(q => q.stopInterval());
+  logs.stopInterval();
+});
+
+test('Router - keeps the current webhooks when the new config has none', () => {
+  const { router } = createRouter();
+
+  router.update(updatedConfig({ discord_url: null, webhooks: null }));
+
+  assert.strictEqual(router.getQueues().length, 3);
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+// ===== Router redaction TESTS =====
+test('Router - redacts messages before queueing them', () => {
+  const { router } = createRouter({ embeds: true, redact: true, redact_detectors: null, redact_rules: [{ pattern: 'secret-\\w+' }] });
+
+  router.route({
+    name: 'api',
+    event: 'log',
+    description: 'login by jane@example.com with secret-abc',
+    timestamp: null,
+    fields: [{ name: 'Script', value: '/home/jane@example.com/app.js' }],
+  }, { name: 'api' });
+
+  const message = router.queues.get('logs').messageQueue[0];
+  assert.strictEqual(message.description, 'login by [REDACTED:email] with [REDACTED]');
+  assert.strictEqual(message.fields[0].value, '/home/[REDACTED:email]/app.js');
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
+
+test('Router - applies changed redaction settings', () => {
+  const { router } = createRouter();
+  router.route({ name: 'api', event: 'log', description: 'jane@example.com', timestamp: null }, { name: 'api' });
+
+  router.update(updatedConfig({ redact: true, redact_detectors: ['email'], redact_rules: null }));
+  router.route({ name: 'api', event: 'log', description: 'jane@example.com', timestamp: null }, { name: 'api' });
+
+  assert.deepStrictEqual(router.queues.get('logs').messageQueue.map(m => m.description), ['jane@example.com']);
+  assert.deepStrictEqual(router.queues.get('default').messageQueue.map(m => m.description), ['[REDACTED:email]']);
+
+  router.getQueues().forEach(q => q.stopInterval());
+});
@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getAttachmentFilename, stripCodeFences, toAttachmentMessage } from "../../dist/attachment-utils.mjs";
+import { isRetryableStatus, probeWebhook, sendToDiscord } from "../../dist/send-to-discord.mjs";
+import mockDiscordServer from "../fixtures/mock-discord-server.js";
+
+const { startMockDiscordServer, MODES } = mockDiscordServer;
+
+/** @type {Awaited<ReturnType<typeof startMockDiscordServer>>} */
+let mock;
+let webhookUrl;
+
+before(async () => {
+  mock = await startMockDiscordServer(0);
+  webhookUrl = `http://127.0.0.1:${mock.port}/webhook/`;
+});
+
+after(() => {
+  mock.server.close();
+});
+
+function resetMock(mode = MODES.SUCCESS) {
+  mock.clearRequests();
+  mock.setMode(mode);
+}
+
+const attachmentMessage = {
+  name: 'api',
+  event: 'error',
+  description: 'Error: boom\n(full message attached as api-error.log, 20 characters)',
+  timestamp: null,
+  attachment: { filename: 'api-error.log', content: 'Error: boom\n  at x()' }
+};
+
+// ===== attachment-utils TESTS =====
+test('stripCodeFences: removes surrounding code fences', () => {
+  assert.strictEqual(stripCodeFences('```some text```'), 'some text');
+  assert.strictEqual(stripCodeFences('plain text'), 'plain text');
+});
+
+test('getAttachmentFilename: uses .log for log output and .txt for other events', () => {
+  assert.strictEqual(getAttachmentFilename({ name: 'api[2]', event: 'error' }), 'api-2-error.log');
+  assert.strictEqual(getAttachmentFilename({ name: 'api', event: 'log' }), 'api-log.log');
+  assert.strictEqual(getAttachmentFilename({ name: 'api', event: 'exception' }), 'api-exception.txt');
+});
+
+test('toAttachmentMessage: attaches full text and keeps a short summary', () => {
+  const text = 'Error: something failed\n' + '    at handler (/app/index.js:1:1)\n'.repeat(100);
+  const message = toAttachmentMessage({ name: 'api', event: 'error', description: '```' + text + '```', timestamp: 5 });
+
+  assert.strictEqual(message.attachment.filename, 'api-error.log');
+  assert.strictEqual(message.attachment.content, text, 'attachment should hold the full text without fences');
+  assert.ok(message.description.startsWith('```Error: something failed```'), 'summary should keep formatting');
+  assert.ok(message.description.includes('api-error.log'), 'summary should mention the file');
+  assert.ok(message.description.length < 300, 'summary should be short');
+  assert.strictEqual(message.timestamp, 5, 'should keep other message fields');
+});
+
+// ===== sendToDiscord TESTS =====
+test('sendToDiscord: sends JSON payload', async () => {
+  resetMock();
+
+  const result = await sendToDiscord([{ name: 'api', event: 'log', description: 'hello', timestamp: null }], webhookUrl);
+  const requests = mock.getRequests();
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(requests.length, 1);
+  assert.ok(requests[0].headers['content-type'].startsWith('application/json'));
+  assert.deepStrictEqual(requests[0].body, { content: 'hello', username: 'api' });
+  assert.deepStrictEqual(requests[0].files, []);
+});
+
+test('sendToDiscord: treats any 2xx response as success', async () => {
+  resetMock(MODES.SUCCESS_WITH_BODY);
+
+  const result = await sendToDiscord([{ name: 'api', event: 'log', description: 'hello', timestamp: null }], webhookUrl);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(mock.getRequests().length, 1);
+});
+
+test('sendToDiscord: uploads attachments as multipart/form-data', async () => {
+  resetMock();
+
+  const result = await sendToDiscord([attachmentMessage], webhookUrl);
+  const requests = mock.getRequests();
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(requests.length, 1);
+  assert.ok(requests[0].headers['content-type'].startsWith('multipart/form-data'), 'should send multipart request');
+  assert.strictEqual(requests[0].body.content, attachmentMessage.description, 'summary should be the message content');
+  assert.deepStrictEqual(requests[0].body.attachments, [{ id: 0, filename: 'api-error.log' }]);
+  assert.strictEqual(requests[0].files.length, 1);
+  assert.strictEqual(requests[0].files[0].name, 'files[0]');
+  assert.strictEqual(requests[0].files[0].filename, 'api-error.log');
+  assert.strictEqual(requests[0].files[0].content, attachmentMessage.attachment.content);
+});
+
+test('sendToDiscord: multipart requests handle rate limits', async () => {
+  resetMock(MODES.RATE_LIMIT);
+  mock.setRateLimitConfig({ retry_after: 3 });
+
+  const result = await sendToDiscord([attachmentMessage], webhookUrl);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.rateLimited, true);
+  assert.strictEqual(result.retryAfter, 3);
+});
+
+test('sendToDiscord: multipart requests detect invalid webhooks', async () => {
+  resetMock(MODES.NOT_FOUND);
+
+  const result = await sendToDiscord([attachmentMessage], webhookUrl);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.webhookInvalid, true);
+});
+
+// ===== ERROR CLASSIFICATION TESTS =====
+test('isRetryableStatus: retries server errors but not client errors', () => {
+  assert.strictEqual(isRetryableStatus(500), true);
+  assert.strictEqual(isRetryableStatus(503), true);
+  assert.strictEqual(isRetryableStatus(408), true);
+  assert.strictEqual(isRetryableStatus(400), false);
+  assert.strictEqual(isRetryableStatus(401), false);
+  assert.strictEqual(isRetryableStatus(403), false);
+});
+
+test('sendToDiscord: marks server errors as retryable', async () => {
+  resetMock(MODES.SERVER_ERROR);
+
+  const result = await sendToDiscord([{ name: 'api', event: 'log', description: 'hello', timestamp: null }], webhookUrl);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 502);
+  assert.strictEqual(result.retryable, true);
+});
+
+test('sendToDiscord: marks unauthorized requests as not retryable', async () => {
+  resetMock(MODES.UNAUTHORIZED);
+
+  const result = await sendToDiscord([{ name: 'api', event: 'log', description: 'hello', timestamp: null }], webhookUrl);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(result.retryable, false);
+  assert.notStrictEqual(result.webhookInvalid, true, 'should not be treated as an invalid webhook');
+});
+
+test('sendToDiscord: marks network errors as retryable', async () => {
+  // nothing listens on port 1
+  const result = await sendToDiscord([{ name: 'api', event: 'log', description: 'hello', timestamp: null }], 'http://127.0.0.1:1/webhook/');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.retryable, true);
+});
+
+// ===== probeWebhook TESTS =====
+test('probeWebhook: returns true for an existing webhook', async () => {
+  resetMock();
+
+  assert.strictEqual(await probeWebhook(webhookUrl), true);
+  assert.strictEqual(mock.getRequests().length, 0, 'should not post anything');
+});
+
+test('probeWebhook: returns false for a deleted webhook', async () => {
+  resetMock(MODES.NOT_FOUND);
+
+  assert.strictEqual(await probeWebhook(webhookUrl), false);
+});
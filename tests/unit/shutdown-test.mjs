@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MessageQueue } from "../../dist/message-queue.mjs";
+import { gracefulShutdown } from "../../dist/shutdown.mjs";
+
+function createQueue(url, sent) {
+  const mockSender = async (messages, webhookUrl) => {
+    sent.push(...messages.map(m => [webhookUrl, m.description]));
+    return { success: true, rateLimitInfo: {} };
+  };
+  return new MessageQueue({ discord_url: url, buffer: true, buffer_seconds: 5 }, mockSender);
+}
+
+test('gracefulShutdown: sends the queued and buffered messages of every queue before exiting', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const exit = t.mock.method(process, 'exit', () => {});
+  const sent = [];
+  const first = createQueue('https://discord.com/api/webhooks/1/a', sent);
+  const second = createQueue('https://discord.com/api/webhooks/2/b', sent);
+
+  first.addMessage({ name: 'api', event: 'log', description: 'buffered', timestamp: null });
+  second.enqueue({ name: 'api', event: 'exception', description: 'queued', timestamp: null });
+
+  await gracefulShutdown([first, second]);
+
+  assert.deepStrictEqual(sent, [
+    ['https://discord.com/api/webhooks/1/a', 'buffered'],
+    ['https://discord.com/api/webhooks/2/b', 'queued'],
+  ]);
+  assert.strictEqual(exit.mock.callCount(), 1);
+});
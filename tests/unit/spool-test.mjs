@@ -0,0 +1,176 @@
+import assert from "node:assert/strict";
+import { appendFileSync, mkdtempSync, readFileSync, rmSync, statSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, test } from "node:test";
+import { MessageQueue } from "../../dist/message-queue.mjs";
+import { Spool } from "../../dist/spool.mjs";
+
+const tmpDir = mkdtempSync(join(tmpdir(), 'pm2-discord-spool-'));
+let fileCounter = 0;
+
+function spoolPath() {
+  fileCounter++;
+  return join(tmpDir, `spool-${fileCounter}.jsonl`);
+}
+
+function message(description) {
+  return { name: 'app', event: 'log', description, timestamp: null };
+}
+
+after(() => {
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ===== Spool TESTS =====
+test('Spool: replays messages that were not acknowledged', () => {
+  const path = spoolPath();
+  const spool = new Spool(path, 1024 * 1024);
+  const first = message('first');
+  const second = message('second');
+  const third = message('third');
+
+  spool.append(first);
+  spool.append(second);
+  spool.append(third);
+  spool.ack(second);
+
+  // a new Spool instance simulates a module restart
+  const replayed = new Spool(path, 1024 * 1024).load();
+  assert.deepStrictEqual(replayed.map(m => m.description), ['first', 'third'], 'should replay unacknowledged messages in order');
+});
+
+test('Spool: empties the file once everything is acknowledged', () => {
+  const path = spoolPath();
+  const spool = new Spool(path, 1024 * 1024);
+  const first = message('first');
+
+  spool.append(first);
+  assert.ok(statSync(path).size > 0, 'spool file should hold the message');
+
+  spool.ack(first);
+  assert.strictEqual(statSync(path).size, 0, 'spool file should be compacted to nothing');
+  assert.deepStrictEqual(new Spool(path, 1024 * 1024).load(), []);
+});
+
+test('Spool: compacts the file on load', () => {
+  const path = spoolPath();
+  const spool = new Spool(path, 1024 * 1024);
+  const messages = ['a', 'b', 'c'].map(message);
+  messages.forEach(m => spool.append(m));
+  spool.ack(messages[0]);
+  spool.ack(messages[1]);
+
+  new Spool(path, 1024 * 1024).load();
+
+  const lines = readFileSync(path, 'utf-8').trim().split('\n');
+  assert.strictEqual(lines.length, 1, 'only the pending message should remain in the file');
+  assert.strictEqual(JSON.parse(lines[0]).message.description, 'c');
+});
+
+test('Spool: drops the oldest messages when over the size cap', () => {
+  const path = spoolPath();
+  const spool = new Spool(path, 1000);
+
+  for (let i = 0; i < 20; i++) {
+    spool.append(message(`message ${i} ${'x'.repeat(50)}`));
+  }
+
+  assert.ok(statSync(path).size <= 1000, 'spool file should stay under the size cap');
+  const replayed = new Spool(path, 1000).load();
+  assert.ok(replayed.length > 0 && replayed.length < 20, 'some messages should have been dropped');
+  assert.ok(replayed[replayed.length - 1].description.startsWith('message 19'), 'newest message should be kept');
+});
+
+test('Spool: skips unreadable lines', () => {
+  const path = spoolPath();
+  const spool = new Spool(path, 1024 * 1024);
+  spool.append(message('first'));
+  // simulate a crash in the middle of a write
+  appendFileSync(path, '{"op":"add","id":2,"mess');
+
+  const replayed = new Spool(path, 1024 * 1024).load();
+  assert.deepStrictEqual(replayed.map(m => m.description), ['first']);
+});
+
+test('Spool: ignores acknowledgements for messages that were not spooled', () => {
+  const path = spoolPath();
+  const spool = new Spool(path, 1024 * 1024);
+  spool.append(message('first'));
+
+  spool.ack(message('never spooled'));
+
+  assert.deepStrictEqual(new Spool(path, 1024 * 1024).load().map(m => m.description), ['first']);
+});
+
+test('Spool: keeps messages from the file that are appended to before loading', () => {
+  const path = spoolPath();
+  const spool = new Spool(path, 1024 * 1024);
+  spool.append(message('first'));
+  spool.append(message('second'));
+
+  const restarted = new Spool(path, 1024 * 1024);
+  const early = message('early');
+  restarted.append(early);
+  restarted.ack(early);
+
+  assert.deepStrictEqual(restarted.load().map(m => m.description), ['first', 'second'], 'acking a new message should not remove an old one');
+  assert.deepStrictEqual(new Spool(path, 1024 * 1024).load().map(m => m.description), ['first', 'second']);
+});
+
+// ===== MessageQueue with spool TESTS =====
+test('MessageQueue - spools queued messages and acknowledges them after sending', async () => {
+  const path = spoolPath();
+  const mockSender = async () => ({ success: true, rateLimitInfo: {} });
+  const config = { discord_url: 'https://test.webhook', buffer: false };
+
+  const queue = new MessageQueue(config, mockSender, { spool: new Spool(path, 1024 * 1024) });
+  queue.addMessage(message('first'));
+  queue.addMessage(message('second'));
+
+  assert.strictEqual(queue.spool.pending.size, 2, 'queued messages should be spooled');
+
+  await queue.flush();
+
+  assert.strictEqual(queue.spool.pending.size, 1, 'sent message should be acknowledged');
+  queue.stopInterval();
+});
+
+test('MessageQueue - replays spooled messages after a restart', async () => {
+  const path = spoolPath();
+  const failingSender = async () => ({ success: false, rateLimited: true, retryAfter: 60, rateLimitInfo: {} });
+  const config = { discord_url: 'https://test.webhook', buffer: false };
+
+  const queue = new MessageQueue(config, failingSender, { spool: new Spool(path, 1024 * 1024) });
+  queue.addMessage(message('first'));
+  queue.addMessage(message('second'));
+  await queue.flush(); // rate limited, messages stay queued
+  queue.stopInterval();
+
+  const sent = [];
+  const restartedQueue = new MessageQueue(config, async (messages) => {
+    sent.push(...messages.map(m => m.description));
+    return { success: true, rateLimitInfo: {} };
+  }, { spool: new Spool(path, 1024 * 1024) });
+
+  assert.strictEqual(restartedQueue.restoreFromSpool(), 2, 'should replay both messages');
+  await restartedQueue.flush();
+  await restartedQueue.flush();
+
+  assert.deepStrictEqual(sent, ['first', 'second'], 'replayed messages should be sent in order');
+  assert.strictEqual(restartedQueue.spool.pending.size, 0, 'replayed messages should be acknowledged');
+  restartedQueue.stopInterval();
+});
+
+test('MessageQueue - acknowledges messages dropped for an invalid webhook', async () => {
+  const path = spoolPath();
+  const mockSender = async () => ({ success: false, webhookInvalid: true, rateLimitInfo: {} });
+  const config = { discord_url: 'https://test.webhook', buffer: false };
+
+  const queue = new MessageQueue(config, mockSender, { spool: new Spool(path, 1024 * 1024) });
+  queue.addMessage(message('first'));
+  await queue.flush();
+
+  assert.strictEqual(queue.spool.pending.size, 0, 'dropped message should not be replayed');
+  queue.stopInterval();
+});
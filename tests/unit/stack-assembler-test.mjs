@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { isContinuation, StackAssembler } from "../../dist/stack-assembler.mjs";
+
+const api = { name: 'api', pm_id: 0 };
+const worker = { name: 'worker', pm_id: 1 };
+
+function createAssembler() {
+  const sent = [];
+  const assembler = new StackAssembler((logMessage, proc) => sent.push({ logMessage, proc }));
+  return { assembler, sent };
+}
+
+// ===== isContinuation TESTS =====
+test('isContinuation: recognizes stack frames, causes and indentation', () => {
+  assert.strictEqual(isContinuation('    at handler (/app/index.js:1:1)'), true);
+  assert.strictEqual(isContinuation('at handler (/app/index.js:1:1)'), true, 'indentation is lost after a PM2 timestamp');
+  assert.strictEqual(isContinuation('Caused by: java.io.IOException: timeout'), true);
+  assert.strictEqual(isContinuation('\t... 12 more'), true);
+  assert.strictEqual(isContinuation('  code: "ECONNREFUSED"'), true);
+});
+
+test('isContinuation: treats other lines as the start of a message', () => {
+  assert.strictEqual(isContinuation('Error: boom'), false);
+  assert.strictEqual(isContinuation('attempt 3 failed'), false);
+  assert.strictEqual(isContinuation(''), false);
+});
+
+// ===== StackAssembler TESTS =====
+test('StackAssembler: joins continuation chunks with their head line', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { assembler, sent } = createAssembler();
+
+  assembler.add({ description: 'Error: boom\n', timestamp: 100 }, api);
+  assembler.add({ description: '    at handler (/app/index.js:1:1)\n', timestamp: 101 }, api);
+  assembler.add({ description: 'at main (/app/index.js:9:1)', timestamp: 101 }, api);
+  assert.strictEqual(sent.length, 0);
+
+  t.mock.timers.tick(500);
+
+  assert.strictEqual(sent.length, 1);
+  assert.deepStrictEqual(sent[0].logMessage, {
+    description: 'Error: boom\n    at handler (/app/index.js:1:1)\nat main (/app/index.js:9:1)',
+    timestamp: 100,
+  });
+  assert.strictEqual(sent[0].proc, api);
+});
+
+test('StackAssembler: sends the pending message when a new one starts', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { assembler, sent } = createAssembler();
+
+  assembler.add({ description: 'Error: first', timestamp: 100 }, api);
+  assembler.add({ description: 'Error: second', timestamp: 101 }, api);
+
+  assert.deepStrictEqual(sent.map(s => s.logMessage.description), ['Error: first']);
+});
+
+test('StackAssembler: keeps the output of processes apart', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { assembler, sent } = createAssembler();
+
+  assembler.add({ description: 'Error: api failed', timestamp: 100 }, api);
+  assembler.add({ description: 'Error: worker failed', timestamp: 100 }, worker);
+  assembler.add({ description: '    at api (/app/api.js:1:1)', timestamp: 100 }, api);
+  assembler.add({ description: '    at worker (/app/worker.js:1:1)', timestamp: 100 }, worker);
+  t.mock.timers.tick(500);
+
+  assert.deepStrictEqual(sent.map(s => s.logMessage.description), [
+    'Error: api failed\n    at api (/app/api.js:1:1)',
+    'Error: worker failed\n    at worker (/app/worker.js:1:1)',
+  ]);
+});
+
+test('StackAssembler: waits for continuations as long as they keep coming, up to a limit', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { assembler, sent } = createAssembler();
+
+  assembler.add({ description: 'Error: boom', timestamp: 100 }, api);
+  for (let i = 0; i < 12; i++) {
+    t.mock.timers.tick(400);
+    assembler.add({ description: `    at frame${i}`, timestamp: 100 }, api);
+  }
+  assert.strictEqual(sent.length, 0);
+
+  t.mock.timers.tick(400);
+  assembler.add({ description: '    at last', timestamp: 100 }, api);
+
+  assert.strictEqual(sent.length, 1, 'sent once the max wait is reached');
+  assert.match(sent[0].logMessage.description, /at frame11\n {4}at last$/);
+});
+
+test('StackAssembler: sends a continuation without a head line on its own', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { assembler, sent } = createAssembler();
+
+  assembler.add({ description: '    at orphan', timestamp: 100 }, api);
+  t.mock.timers.tick(500);
+
+  assert.deepStrictEqual(sent.map(s => s.logMessage.description), ['    at orphan']);
+});
+
+test('StackAssembler: flush sends all pending output', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { assembler, sent } = createAssembler();
+
+  assembler.add({ description: 'Error: api failed', timestamp: 100 }, api);
+  assembler.add({ description: 'Error: worker failed', timestamp: 100 }, worker);
+  assembler.flush();
+
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(assembler.pending.size, 0);
+});
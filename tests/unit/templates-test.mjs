@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { hostname } from "node:os";
+import { test } from "node:test";
+import { DEFAULT_TEMPLATE, findUnknownPlaceholders, getTemplate, getTemplateValues, renderTemplate } from "../../dist/templates.mjs";
+
+const api = { name: 'api', pm_id: 3, exec_mode: 'cluster_mode', instances: 2, namespace: 'prod', restart_time: 7 };
+
+// ===== findUnknownPlaceholders TESTS =====
+test('findUnknownPlaceholders: returns placeholders that do not exist', () => {
+  assert.deepStrictEqual(findUnknownPlaceholders('{name} on {host} at {host}'), ['host']);
+  assert.deepStrictEqual(findUnknownPlaceholders('{name} (#{pm_id}) {event}: {message} {hostname} {restart_time} {namespace} {time}'), []);
+});
+
+test('findUnknownPlaceholders: ignores braces that are not placeholders', () => {
+  assert.deepStrictEqual(findUnknownPlaceholders('{"process": "{name}"} { } {a-b}'), []);
+});
+
+// ===== getTemplate TESTS =====
+test('getTemplate: prefers the template of the event, then "*"', () => {
+  const templates = { restart: '{name} restarted', '*': '[{hostname}] {message}' };
+  assert.strictEqual(getTemplate(templates, 'restart'), '{name} restarted');
+  assert.strictEqual(getTemplate(templates, 'log'), '[{hostname}] {message}');
+  assert.strictEqual(getTemplate({ restart: '{name} restarted' }, 'log'), DEFAULT_TEMPLATE);
+  assert.strictEqual(getTemplate(null, 'log'), DEFAULT_TEMPLATE);
+});
+
+// ===== getTemplateValues TESTS =====
+test('getTemplateValues: collects the values of a process message', () => {
+  const values = getTemplateValues('restart', 'restarted', api, 1769160600);
+  assert.deepStrictEqual(values, {
+    name: 'api[3]',
+    pm_id: '3',
+    event: 'restart',
+    message: 'restarted',
+    hostname: hostname(),
+    restart_time: '7',
+    namespace: 'prod',
+    time: '2026-01-23T09:30:00.000Z',
+  });
+});
+
+test('getTemplateValues: leaves values PM2 did not send empty', () => {
+  const values = getTemplateValues('kill', 'PM2 killed', null, null);
+  assert.strictEqual(values.name, 'PM2');
+  assert.strictEqual(values.pm_id, '');
+  assert.strictEqual(values.restart_time, '');
+  assert.strictEqual(values.namespace, '');
+  assert.ok(!isNaN(Date.parse(values.time)));
+});
+
+// ===== renderTemplate TESTS =====
+test('renderTemplate: fills in placeholders', () => {
+  const values = getTemplateValues('log', 'Listening on port 3000', api, 1769160600);
+  assert.strictEqual(renderTemplate('{name} (#{pm_id}, {namespace}): {message}', values), 'api[3] (#3, prod): Listening on port 3000');
+  assert.strictEqual(renderTemplate(DEFAULT_TEMPLATE, values), 'Listening on port 3000');
+});
+
+test('renderTemplate: leaves unknown placeholders and placeholders in the message alone', () => {
+  const values = getTemplateValues('log', 'literal {name}', api, 1769160600);
+  assert.strictEqual(renderTemplate('{host}: {message}', values), '{host}: literal {name}');
+});